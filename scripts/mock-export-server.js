@@ -0,0 +1,108 @@
+// A local stand-in for the Notion and Confluence APIs, for trying out memo exports without real accounts.
+//
+//   node scripts/mock-export-server.js
+//
+// Then point the app at it:
+//   NOTION_API_URL=http://localhost:4010  NOTION_TOKEN=mock  NOTION_DATABASE_ID=mock-database
+//   CONFLUENCE_BASE_URL=http://localhost:4010  CONFLUENCE_SPACE_KEY=MOCK
+//
+// Every page the app creates is logged and can be read back from GET /pages.
+// The tests run the same mock in-process with createMockExportApp().
+const express = require('express');
+
+// Notion rejects requests with more blocks than this, so the mock does too
+const NOTION_MAX_BLOCKS = 100;
+
+// Create the mock APIs. `pages` collects every page created, with the blocks appended to Notion pages afterwards
+// in `appended`. Pass `log` to report each request (the script logs to the console).
+function createMockExportApp({ log = () => {} } = {}) {
+  const pages = [];
+
+  const app = express();
+  app.use(express.json({ limit: '5mb' }));
+
+  // Helper function to build a link back to this server, whichever port it ended up on
+  function baseUrl(req) {
+    return `${req.protocol}://${req.get('host')}`;
+  }
+
+  // Helper function to check a Notion request's token and block count, answering with Notion's error if it's wrong
+  function rejectNotionRequest(req, res) {
+    if (!req.headers.authorization || !req.headers['notion-version']) {
+      res.status(401).json({ object: 'error', code: 'unauthorized', message: 'Missing token or Notion-Version' });
+      return true;
+    }
+    if ((req.body.children || []).length > NOTION_MAX_BLOCKS) {
+      res.status(400).json({ object: 'error', code: 'validation_error', message: `body.children.length should be ≤ ${NOTION_MAX_BLOCKS}` });
+      return true;
+    }
+    return false;
+  }
+
+  // Notion: create a page in a database
+  app.post('/v1/pages', (req, res) => {
+    if (rejectNotionRequest(req, res)) return;
+    if (!req.body.parent || !req.body.parent.database_id) {
+      return res.status(400).json({ object: 'error', code: 'validation_error', message: 'parent.database_id is required' });
+    }
+
+    const id = `mock-page-${pages.length + 1}`;
+    pages.push({ target: 'notion', id, body: req.body, appended: [] });
+    log(`Notion page ${id} created with ${(req.body.children || []).length} blocks`);
+
+    res.json({ object: 'page', id, url: `${baseUrl(req)}/notion/${id}` });
+  });
+
+  // Notion: append blocks to a page
+  app.patch('/v1/blocks/:id/children', (req, res) => {
+    if (rejectNotionRequest(req, res)) return;
+    const page = pages.find(candidate => candidate.target === 'notion' && candidate.id === req.params.id);
+    if (!page) {
+      return res.status(404).json({ object: 'error', code: 'object_not_found', message: `Could not find block with ID: ${req.params.id}` });
+    }
+
+    const children = req.body.children || [];
+    page.appended.push(...children);
+    log(`Notion page ${page.id} got ${children.length} more blocks`);
+
+    res.json({ object: 'list', results: children });
+  });
+
+  // Confluence: create a page in a space
+  app.post('/wiki/rest/api/content', (req, res) => {
+    if (!req.body.space || !req.body.space.key || !req.body.body || !req.body.body.storage) {
+      return res.status(400).json({ statusCode: 400, message: 'space.key and body.storage are required' });
+    }
+    if (pages.some(page => page.target === 'confluence' && page.body.title === req.body.title)) {
+      return res.status(400).json({ statusCode: 400, message: 'A page with this title already exists' });
+    }
+
+    const id = String(10000 + pages.length + 1);
+    pages.push({ target: 'confluence', id, body: req.body });
+    log(`Confluence page ${id} created: ${req.body.title}`);
+
+    res.json({
+      id,
+      type: 'page',
+      title: req.body.title,
+      _links: { base: `${baseUrl(req)}/wiki`, webui: `/spaces/${req.body.space.key}/pages/${id}` }
+    });
+  });
+
+  app.get('/pages', (req, res) => {
+    res.json(pages);
+  });
+
+  return { app, pages };
+}
+
+if (require.main === module) {
+  const port = Number(process.env.EXPORT_MOCK_PORT) || 4010;
+  const { app } = createMockExportApp({ log: message => console.log(message) });
+
+  app.listen(port, () => {
+    console.log(`Mock Notion and Confluence APIs listening on http://localhost:${port}`);
+  });
+}
+
+module.exports = { createMockExportApp };
@@ -0,0 +1,85 @@
+// Roughly how many characters make up one token for English text.
+// Good enough for budgeting without pulling in a tokenizer.
+const CHARS_PER_TOKEN = 4;
+
+// Stop reducing after this many rounds, even if the digest is still over budget
+const MAX_REDUCE_ROUNDS = 3;
+
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+// Split text into chunks of at most `maxTokens`, breaking between paragraphs or lines where possible
+function chunkText(text, maxTokens) {
+  const maxChars = maxTokens * CHARS_PER_TOKEN;
+  const chunks = [];
+  let current = '';
+
+  function pushCurrent() {
+    if (current.trim()) chunks.push(current.trim());
+    current = '';
+  }
+
+  for (const line of text.split('\n')) {
+    // A single line that's too long on its own gets split wherever it has to be
+    if (line.length > maxChars) {
+      pushCurrent();
+      for (let start = 0; start < line.length; start += maxChars) {
+        chunks.push(line.slice(start, start + maxChars));
+      }
+      continue;
+    }
+
+    if (current.length + line.length + 1 > maxChars) {
+      pushCurrent();
+    }
+    current += `${line}\n`;
+  }
+  pushCurrent();
+
+  return chunks;
+}
+
+// Condense context that's too long for the prompt with a map-reduce pass:
+// summarise each chunk into decision-relevant facts, merge the summaries,
+// and repeat on the merged digest if it's still over budget.
+//
+// `summarizeChunk(chunk, index, total)` does the actual summarising and returns text.
+async function condenseContext(text, { maxTokens, chunkTokens, summarizeChunk }) {
+  const originalTokens = estimateTokens(text);
+  if (originalTokens <= maxTokens) {
+    return { context: text, condensed: false, originalTokens, condensedTokens: originalTokens, chunkCount: 0 };
+  }
+
+  let digest = text;
+  let chunkCount = 0;
+
+  for (let round = 0; round < MAX_REDUCE_ROUNDS && estimateTokens(digest) > maxTokens; round++) {
+    const chunks = chunkText(digest, chunkTokens);
+    if (round === 0) chunkCount = chunks.length;
+
+    const summaries = [];
+    for (let i = 0; i < chunks.length; i++) {
+      // Summarise one chunk at a time to stay well inside API rate limits
+      const summary = await summarizeChunk(chunks[i], i, chunks.length);
+      summaries.push(`[Part ${i + 1} of ${chunks.length}]\n${summary.trim()}`);
+    }
+
+    digest = summaries.join('\n\n');
+  }
+
+  // As a last resort, never hand the prompt more than the budget
+  if (estimateTokens(digest) > maxTokens) {
+    digest = `${digest.slice(0, maxTokens * CHARS_PER_TOKEN)}\n\n[Note: The condensed context was still too long, so the end was cut off.]`;
+  }
+
+  return {
+    context: digest,
+    condensed: true,
+    originalTokens,
+    condensedTokens: estimateTokens(digest),
+    chunkCount
+  };
+}
+
+module.exports = { estimateTokens, chunkText, condenseContext };
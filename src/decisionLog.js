@@ -0,0 +1,173 @@
+const path = require('path');
+const { readJsonFile, createJsonFileWriter } = require('./jsonFile');
+
+// Create the Decision Log: every generated memo, saved to a local JSON file
+// so past decisions can be listed, searched and shown again from Slack.
+//
+// Each memo records where it came from (`source`: { channelIds, private }) and who may read it (`visibility`):
+// 'team' for the whole workspace, or 'members' for its author and the people in `memberIds`, like the members
+// of the private channel it was built from.
+//
+// An approved memo can have a `review` ({ date, reviewerId, jobId, status }, where status is 'scheduled',
+// 'asked' or 'answered') and `outcomes`, what the reviewer said actually happened.
+function createDecisionLog(options = {}) {
+  const filePath = options.filePath || path.join(process.cwd(), 'data', 'decision-log.json');
+  const state = readJsonFile(filePath, { nextId: 1, memos: [] });
+
+  const saveState = createJsonFileWriter(filePath, { label: 'the Decision Log' });
+  const persist = () => saveState(state);
+
+  // Helper function to check whether someone may read a memo: its author always can, anyone else only once it's
+  // out of draft, and for memos from private sources only if they're one of its members
+  function canRead(entry, userId) {
+    if (userId && entry.authorId === userId) return true;
+    if (entry.status === 'draft') return false;
+    if (entry.visibility === 'members') return Boolean(userId) && (entry.memberIds || []).includes(userId);
+    return true;
+  }
+
+  // Only show a team its own memos, and only the ones `userId` may read.
+  // Without a team (or for entries saved without one) nothing is visible.
+  function visibleTo(teamId, userId = null) {
+    if (!teamId) return [];
+    return state.memos.filter(entry => entry.teamId === teamId && canRead(entry, userId));
+  }
+
+  // Save a memo and return the stored entry (including its new ID)
+  async function add(memo) {
+    const entry = {
+      id: state.nextId++,
+      title: memo.title || 'Untitled decision',
+      memo: memo.memo || null,
+      text: memo.text || '',
+      status: memo.status || 'approved',
+      authorId: memo.authorId || null,
+      teamId: memo.teamId || null,
+      channelId: memo.channelId || null,
+      threadTs: memo.threadTs || null,
+      permalink: memo.permalink || null,
+      source: memo.source || { channelIds: [], private: false },
+      visibility: memo.visibility || 'team',
+      memberIds: memo.memberIds || [],
+      createdAt: new Date().toISOString()
+    };
+
+    state.memos.push(entry);
+    await persist();
+    return entry;
+  }
+
+  // Merge changes into a saved memo and return the updated entry
+  async function update(id, changes) {
+    const entry = state.memos.find(candidate => candidate.id === Number(id));
+    if (!entry) return null;
+
+    Object.assign(entry, changes, { updatedAt: new Date().toISOString() });
+    await persist();
+    return entry;
+  }
+
+  async function get(id, teamId, userId = null) {
+    return visibleTo(teamId, userId).find(entry => entry.id === Number(id)) || null;
+  }
+
+  // A team's memo whoever may read it, for the app's own jobs (like sending a review) rather than a person
+  async function find(id, teamId) {
+    return state.memos.find(entry => entry.id === Number(id) && entry.teamId === teamId) || null;
+  }
+
+  // Let someone read a memo that's only visible to its members, e.g. the person asked to review it
+  async function share(id, userId) {
+    const entry = state.memos.find(candidate => candidate.id === Number(id));
+    if (!entry || entry.visibility !== 'members' || canRead(entry, userId)) return entry || null;
+
+    entry.memberIds = [...(entry.memberIds || []), userId];
+    await persist();
+    return entry;
+  }
+
+  // Most recent memos first
+  async function list({ teamId, userId = null, limit = 10 } = {}) {
+    return visibleTo(teamId, userId).slice().reverse().slice(0, limit);
+  }
+
+  // Find memos containing every search term, best matches first (title matches count extra)
+  async function search(query, { teamId, userId = null, limit = 10 } = {}) {
+    const terms = (query || '').toLowerCase().split(/\s+/).filter(Boolean);
+    if (terms.length === 0) return [];
+
+    const results = [];
+    for (const entry of visibleTo(teamId, userId)) {
+      const title = entry.title.toLowerCase();
+      const body = (entry.text || '').toLowerCase();
+
+      let score = 0;
+      let matchedAll = true;
+      for (const term of terms) {
+        const titleHits = title.split(term).length - 1;
+        const bodyHits = body.split(term).length - 1;
+        if (titleHits + bodyHits === 0) {
+          matchedAll = false;
+          break;
+        }
+        score += titleHits * 5 + bodyHits;
+      }
+
+      if (matchedAll) {
+        results.push({ entry, score });
+      }
+    }
+
+    return results
+      .sort((a, b) => b.score - a.score || b.entry.id - a.entry.id)
+      .slice(0, limit)
+      .map(result => result.entry);
+  }
+
+  // Attach what actually happened to a memo, e.g. { result, summary, lessons, recordedBy }.
+  // A memo can collect several outcomes over time; returns the updated entry.
+  async function addOutcome(id, outcome) {
+    const entry = state.memos.find(candidate => candidate.id === Number(id));
+    if (!entry) return null;
+
+    entry.outcomes = entry.outcomes || [];
+    entry.outcomes.push({ ...outcome, recordedAt: new Date().toISOString() });
+    entry.updatedAt = new Date().toISOString();
+    await persist();
+    return entry;
+  }
+
+  // Memos with a review that's still to come or still waiting for its outcome, soonest first
+  async function listReviews({ teamId, userId = null } = {}) {
+    return visibleTo(teamId, userId)
+      .filter(entry => entry.review && entry.review.status !== 'answered')
+      .sort((a, b) => a.review.date.localeCompare(b.review.date) || a.id - b.id);
+  }
+
+  // Delete a memo that's still a draft (like one whose session was stopped), returning whether there was one
+  async function discardDraft(id) {
+    const before = state.memos.length;
+    state.memos = state.memos.filter(entry => entry.id !== Number(id) || entry.status !== 'draft');
+    if (state.memos.length === before) return false;
+
+    await persist();
+    return true;
+  }
+
+  // Delete a team's memos created before the cutoff date, returning how many were removed
+  async function purgeOlderThan(teamId, cutoff) {
+    const before = state.memos.length;
+    state.memos = state.memos.filter(entry =>
+      (entry.teamId || null) !== (teamId || null) || new Date(entry.createdAt) >= cutoff);
+
+    const removed = before - state.memos.length;
+    if (removed > 0) {
+      await persist();
+    }
+    return removed;
+  }
+
+  return { add, update, get, find, share, list, search, addOutcome, listReviews, discardDraft, purgeOlderThan };
+}
+
+module.exports = { createDecisionLog };
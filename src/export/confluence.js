@@ -0,0 +1,43 @@
+const axios = require('axios');
+const { formatMemoHtml } = require('../memoFormat');
+
+// Creates memos as pages in a Confluence space, in Confluence's storage format (XHTML)
+function createConfluenceExporter(config) {
+  async function exportMemo(memo, { id, permalink } = {}) {
+    let body = formatMemoHtml(memo, { document: false, includeTitle: false });
+    if (permalink) {
+      body += `\n<p><a href="${permalink.replace(/&/g, '&amp;').replace(/"/g, '&quot;')}">View the original conversation</a></p>`;
+    }
+
+    // Page titles must be unique within a space, so include the Decision Log ID
+    const title = id ? `${memo.title || 'Decision Memo'} (Decision #${id})` : (memo.title || 'Decision Memo');
+
+    const page = {
+      type: 'page',
+      title,
+      space: { key: config.spaceKey },
+      body: {
+        storage: { value: body, representation: 'storage' }
+      }
+    };
+    if (config.parentPageId) {
+      page.ancestors = [{ id: config.parentPageId }];
+    }
+
+    const response = await axios.post(`${config.baseUrl}/wiki/rest/api/content`, page, {
+      timeout: config.timeoutMs,
+      auth: { username: config.email, password: config.apiToken },
+      headers: { 'Content-Type': 'application/json' }
+    });
+
+    const links = response.data._links || {};
+    return {
+      id: response.data.id,
+      url: links.webui ? `${links.base || `${config.baseUrl}/wiki`}${links.webui}` : null
+    };
+  }
+
+  return { name: 'confluence', label: 'Confluence', exportMemo };
+}
+
+module.exports = { createConfluenceExporter };
@@ -0,0 +1,79 @@
+const { Document, HeadingLevel, Packer, Paragraph, TextRun } = require('docx');
+const { memoSections, INVOLVED_HEADING, involvedByRole, formatMemoMarkdown, formatMemoHtml } = require('../memoFormat');
+
+// Downloadable formats, by the short name used in action IDs
+const FILE_FORMATS = {
+  md: { label: 'Markdown (.md)', extension: 'md' },
+  html: { label: 'HTML', extension: 'html' },
+  docx: { label: 'Word (.docx)', extension: 'docx' }
+};
+
+// Build a Word document with the same headings and bullet points as the other formats
+function buildDocx(memo) {
+  const paragraphs = [
+    new Paragraph({ text: memo.title || 'Decision Memo', heading: HeadingLevel.TITLE })
+  ];
+
+  for (const section of memoSections(memo)) {
+    paragraphs.push(new Paragraph({ text: section.heading, heading: HeadingLevel.HEADING_2 }));
+
+    const content = memo[section.key];
+    if (!content || content.length === 0) {
+      paragraphs.push(new Paragraph({ children: [new TextRun({ text: 'Not covered', italics: true })] }));
+    } else if (section.list) {
+      paragraphs.push(...content.map(point => new Paragraph({ text: point, bullet: { level: 0 } })));
+    } else {
+      paragraphs.push(new Paragraph({ text: content }));
+    }
+  }
+
+  const roles = involvedByRole(memo);
+  if (roles.length > 0) {
+    paragraphs.push(new Paragraph({ text: INVOLVED_HEADING, heading: HeadingLevel.HEADING_2 }));
+    paragraphs.push(...roles.map(({ label, names }) => new Paragraph({
+      children: [new TextRun({ text: `${label}: `, bold: true }), new TextRun({ text: names })],
+      bullet: { level: 0 }
+    })));
+  }
+
+  return Packer.toBuffer(new Document({
+    title: memo.title || 'Decision Memo',
+    sections: [{ children: paragraphs }]
+  }));
+}
+
+// Turn a title into a safe file name, e.g. "Moving Billing to Usage-Based Pricing" -> "moving-billing-to-usage-based-pricing"
+function fileSlug(title) {
+  const slug = (title || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60);
+  return slug || 'decision-memo';
+}
+
+// Render a memo as a file ready to upload: `{ filename, content }` where content is a Buffer
+async function buildMemoFile(memo, format) {
+  const definition = FILE_FORMATS[format];
+  if (!definition) {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+
+  let content;
+  switch (format) {
+    case 'md':
+      content = Buffer.from(formatMemoMarkdown(memo), 'utf8');
+      break;
+    case 'html':
+      content = Buffer.from(formatMemoHtml(memo), 'utf8');
+      break;
+    case 'docx':
+      content = await buildDocx(memo);
+      break;
+    default:
+      break;
+  }
+
+  return {
+    filename: `${fileSlug(memo.title)}.${definition.extension}`,
+    content
+  };
+}
+
+module.exports = { FILE_FORMATS, buildMemoFile };
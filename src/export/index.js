@@ -0,0 +1,38 @@
+const { createNotionExporter } = require('./notion');
+const { createConfluenceExporter } = require('./confluence');
+const { FILE_FORMATS, buildMemoFile } = require('./files');
+
+// Read the export settings from environment variables.
+// The API URLs can point at a local mock server (see scripts/mock-export-server.js).
+function loadExportConfig(env = process.env) {
+  const timeoutMs = Number(env.EXPORT_TIMEOUT_MS) || 30000;
+
+  return {
+    notion: env.NOTION_TOKEN && env.NOTION_DATABASE_ID ? {
+      apiUrl: (env.NOTION_API_URL || 'https://api.notion.com').replace(/\/+$/, ''),
+      token: env.NOTION_TOKEN,
+      databaseId: env.NOTION_DATABASE_ID,
+      titleProperty: env.NOTION_TITLE_PROPERTY || 'Name',
+      timeoutMs
+    } : null,
+    confluence: env.CONFLUENCE_BASE_URL && env.CONFLUENCE_SPACE_KEY ? {
+      baseUrl: env.CONFLUENCE_BASE_URL.replace(/\/+$/, ''),
+      email: env.CONFLUENCE_EMAIL || '',
+      apiToken: env.CONFLUENCE_API_TOKEN || '',
+      spaceKey: env.CONFLUENCE_SPACE_KEY,
+      parentPageId: env.CONFLUENCE_PARENT_PAGE_ID || null,
+      timeoutMs
+    } : null
+  };
+}
+
+// Create the exporters for every configured destination.
+// Each one has `exportMemo(memo, { id, permalink })`, which returns `{ id, url }` for the new page.
+function createExporters(config = loadExportConfig()) {
+  const exporters = {};
+  if (config.notion) exporters.notion = createNotionExporter(config.notion);
+  if (config.confluence) exporters.confluence = createConfluenceExporter(config.confluence);
+  return exporters;
+}
+
+module.exports = { loadExportConfig, createExporters, FILE_FORMATS, buildMemoFile };
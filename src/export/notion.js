@@ -0,0 +1,98 @@
+const axios = require('axios');
+const { memoSections, INVOLVED_HEADING, involvedByRole } = require('../memoFormat');
+
+const NOTION_VERSION = '2022-06-28';
+
+// Notion rejects rich text longer than this, so longer points are split across several runs
+const MAX_TEXT_LENGTH = 2000;
+
+// Notion takes at most this many blocks per request, so longer memos are added to the page in batches
+const MAX_BLOCKS_PER_REQUEST = 100;
+
+function richText(text) {
+  const runs = [];
+  for (let start = 0; start < text.length; start += MAX_TEXT_LENGTH) {
+    runs.push({ type: 'text', text: { content: text.slice(start, start + MAX_TEXT_LENGTH) } });
+  }
+  return runs;
+}
+
+function block(type, text) {
+  return { object: 'block', type, [type]: { rich_text: richText(text) } };
+}
+
+// Turn a memo into Notion blocks: a heading per section, with its points as a bulleted list, then who was involved
+function buildNotionBlocks(memo, { permalink } = {}) {
+  const blocks = [];
+
+  for (const section of memoSections(memo)) {
+    blocks.push(block('heading_2', section.heading));
+
+    const content = memo[section.key];
+    if (!content || content.length === 0) {
+      blocks.push(block('paragraph', 'Not covered'));
+    } else if (section.list) {
+      blocks.push(...content.map(point => block('bulleted_list_item', point)));
+    } else {
+      blocks.push(block('paragraph', content));
+    }
+  }
+
+  const roles = involvedByRole(memo);
+  if (roles.length > 0) {
+    blocks.push(block('heading_2', INVOLVED_HEADING));
+    blocks.push(...roles.map(({ label, names }) => block('bulleted_list_item', `${label}: ${names}`)));
+  }
+
+  if (permalink) {
+    blocks.push({
+      object: 'block',
+      type: 'paragraph',
+      paragraph: {
+        rich_text: [{ type: 'text', text: { content: 'View the original conversation', link: { url: permalink } } }]
+      }
+    });
+  }
+
+  return blocks;
+}
+
+// Pushes memos to a Notion database as new pages
+function createNotionExporter(config) {
+  const requestOptions = {
+    timeout: config.timeoutMs,
+    headers: {
+      'Authorization': `Bearer ${config.token}`,
+      'Notion-Version': NOTION_VERSION,
+      'Content-Type': 'application/json'
+    }
+  };
+
+  async function exportMemo(memo, { permalink } = {}) {
+    const blocks = buildNotionBlocks(memo, { permalink });
+
+    // Create the page with the first batch of blocks, then append the rest in order
+    const response = await axios.post(`${config.apiUrl}/v1/pages`, {
+      parent: { database_id: config.databaseId },
+      properties: {
+        [config.titleProperty]: {
+          title: richText(memo.title || 'Decision Memo')
+        }
+      },
+      children: blocks.slice(0, MAX_BLOCKS_PER_REQUEST)
+    }, requestOptions);
+
+    const pageId = response.data.id;
+    for (let start = MAX_BLOCKS_PER_REQUEST; start < blocks.length; start += MAX_BLOCKS_PER_REQUEST) {
+      await axios.patch(`${config.apiUrl}/v1/blocks/${pageId}/children`, {
+        children: blocks.slice(start, start + MAX_BLOCKS_PER_REQUEST)
+      }, requestOptions);
+    }
+
+    return { id: pageId, url: response.data.url };
+  }
+
+  return { name: 'notion', label: 'Notion', exportMemo };
+}
+
+module.exports = { createNotionExporter, buildNotionBlocks };
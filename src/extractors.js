@@ -0,0 +1,206 @@
+const mammoth = require('mammoth');
+// Require the library file directly: the package entry point tries to read a test PDF when loaded
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+
+// File formats we can turn into context, by file extension and Slack filetype
+const FORMATS_BY_EXTENSION = {
+  txt: 'text',
+  text: 'text',
+  log: 'text',
+  md: 'markdown',
+  markdown: 'markdown',
+  pdf: 'pdf',
+  docx: 'docx',
+  vtt: 'vtt',
+  srt: 'srt',
+  json: 'json'
+};
+
+const FORMATS_BY_FILETYPE = {
+  text: 'text',
+  txt: 'text',
+  plain: 'text',
+  markdown: 'markdown',
+  pdf: 'pdf',
+  docx: 'docx',
+  vtt: 'vtt',
+  srt: 'srt',
+  json: 'json'
+};
+
+// Every format we can read, with a label for admin settings and error messages
+const FILE_FORMAT_LABELS = {
+  text: 'Text (.txt)',
+  markdown: 'Markdown (.md)',
+  pdf: 'PDF',
+  docx: 'Word (.docx)',
+  vtt: 'WebVTT transcripts (.vtt)',
+  srt: 'SRT transcripts (.srt)',
+  json: 'JSON chat exports'
+};
+
+// Describe a list of formats for people, e.g. "PDF, Word (.docx) and JSON chat exports"
+function describeFileFormats(formats) {
+  const labels = Object.keys(FILE_FORMAT_LABELS)
+    .filter(format => formats.includes(format))
+    .map(format => FILE_FORMAT_LABELS[format]);
+  if (labels.length <= 1) return labels.join('');
+  return `${labels.slice(0, -1).join(', ')} and ${labels[labels.length - 1]}`;
+}
+
+// Work out which extractor to use for a Slack file, or null if we can't read it
+function detectFileFormat(file) {
+  const extension = (file.name || '').split('.').pop().toLowerCase();
+  if (FORMATS_BY_EXTENSION[extension]) {
+    return FORMATS_BY_EXTENSION[extension];
+  }
+
+  const filetype = (file.filetype || '').toLowerCase();
+  return FORMATS_BY_FILETYPE[filetype] || null;
+}
+
+// Collapse consecutive lines from the same speaker into one "Speaker: text" line
+function joinSpeakerLines(entries) {
+  const lines = [];
+  let previous = null;
+
+  for (const entry of entries) {
+    const text = entry.text.trim();
+    if (!text) continue;
+
+    if (previous && previous.speaker === entry.speaker) {
+      previous.text += ` ${text}`;
+    } else {
+      previous = { speaker: entry.speaker, text };
+      lines.push(previous);
+    }
+  }
+
+  return lines
+    .map(line => (line.speaker ? `${line.speaker}: ${line.text}` : line.text))
+    .join('\n');
+}
+
+// Split a caption's text into speaker and words.
+// Handles WebVTT voice tags (<v Jane Doe>Hello) and "Jane Doe: Hello" prefixes used by Zoom and Meet.
+function parseCaptionText(text, previousSpeaker) {
+  const voiceTag = text.match(/^<v(?:\.[^ >]*)?\s+([^>]+)>([\s\S]*)$/);
+  if (voiceTag) {
+    return { speaker: voiceTag[1].trim(), text: voiceTag[2].replace(/<\/v>/g, '') };
+  }
+
+  const prefix = text.match(/^([^:\n]{1,60}):\s+([\s\S]*)$/);
+  if (prefix && !/^\d+$/.test(prefix[1])) {
+    return { speaker: prefix[1].trim(), text: prefix[2] };
+  }
+
+  // Captions without a speaker usually continue the previous speaker's sentence
+  return { speaker: previousSpeaker, text };
+}
+
+// Turn WebVTT or SRT captions into speaker-attributed lines
+function normalizeCaptions(content) {
+  const blocks = content.replace(/\r\n/g, '\n').split(/\n\s*\n/);
+  const entries = [];
+  let speaker = null;
+
+  for (const block of blocks) {
+    const lines = block.split('\n').map(line => line.trim()).filter(Boolean);
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    if (timingIndex === -1) continue; // WEBVTT header, NOTE and STYLE blocks
+
+    const captionText = lines
+      .slice(timingIndex + 1)
+      .join(' ')
+      .replace(/<(?!v[\s.])(?!\/v)[^>]+>/g, ''); // Strip styling tags but keep voice tags
+
+    if (!captionText) continue;
+
+    const caption = parseCaptionText(captionText, speaker);
+    speaker = caption.speaker;
+    entries.push(caption);
+  }
+
+  return joinSpeakerLines(entries);
+}
+
+// Pick the first field that has a value
+function firstField(object, fields) {
+  for (const field of fields) {
+    const value = field.split('.').reduce((current, key) => (current ? current[key] : undefined), object);
+    if (typeof value === 'string' && value.trim()) return value;
+  }
+  return null;
+}
+
+// Turn a JSON chat export (Slack export, or any list of messages with an author and text) into speaker-attributed lines
+function normalizeChatExport(content) {
+  const data = JSON.parse(content);
+  const messages = Array.isArray(data) ? data : (data.messages || data.chat || data.conversation || []);
+
+  if (!Array.isArray(messages)) {
+    throw new Error('JSON file does not look like a chat export');
+  }
+
+  const entries = messages
+    .filter(message => message && typeof message === 'object' && !message.bot_id)
+    .map(message => ({
+      speaker: firstField(message, [
+        'user_profile.real_name',
+        'user_profile.display_name',
+        'user_name',
+        'author.name',
+        'author',
+        'sender.name',
+        'sender',
+        'from',
+        'user',
+        'name'
+      ]),
+      text: firstField(message, ['text', 'content', 'message', 'body']) || ''
+    }));
+
+  return joinSpeakerLines(entries);
+}
+
+// Extract readable text from a downloaded file.
+// `content` is a Buffer of the raw file.
+async function extractFileText(format, content) {
+  switch (format) {
+    case 'pdf': {
+      const result = await pdfParse(content);
+      return result.text.trim();
+    }
+    case 'docx': {
+      const result = await mammoth.extractRawText({ buffer: content });
+      return result.value.trim();
+    }
+    default:
+      break;
+  }
+
+  // Everything else is text, so decode it and drop any byte order mark
+  const text = content.toString('utf8').replace(/^\uFEFF/, '');
+
+  switch (format) {
+    case 'vtt':
+    case 'srt':
+      return normalizeCaptions(text);
+    case 'json':
+      return normalizeChatExport(text);
+    case 'markdown':
+    case 'text':
+      return text.trim();
+    default:
+      throw new Error(`Unsupported file format: ${format}`);
+  }
+}
+
+module.exports = {
+  FILE_FORMAT_LABELS,
+  describeFileFormats,
+  detectFileFormat,
+  extractFileText,
+  normalizeCaptions,
+  normalizeChatExport
+};
@@ -0,0 +1,594 @@
+const { DEFAULT_TEMPLATE, getTemplate, resolveTemplate, listTemplates } = require('../templates');
+const { buildIntakeModal, buildExportBlocks, buildSessionListBlocks } = require('../memoBlocks');
+const { describeFileFormats } = require('../extractors');
+const { monthOf } = require('../usageStore');
+const { formatUsd, describeBudget, describeSession } = require('../memoFlow');
+const { buildRoster } = require('../participants');
+const { todayIn, formatOutcome } = require('../reviews');
+const { logger } = require('../logger');
+const {
+  fetchChannelHistory,
+  findChannelByName,
+  isChannelMember,
+  isHumanMessage,
+  createDirectory,
+  renderChannelHistory,
+  isWorkspaceAdmin
+} = require('../slackContext');
+
+// Helper function to parse `from #channel since:YYYY-MM-DD until:YYYY-MM-DD`.
+// The channel arrives as <#C123|name> when the command escapes channels, otherwise as plain #name.
+function parseChannelHistoryArgs(args) {
+  const parsed = { channelId: null, channelName: null, since: null, until: null };
+
+  for (const arg of args.split(/\s+/).filter(Boolean)) {
+    const escapedChannel = arg.match(/^<#([A-Z0-9]+)(?:\|([^>]*))?>$/);
+    const dateOption = arg.match(/^(since|until):(\d{4}-\d{2}-\d{2})$/i);
+
+    if (escapedChannel) {
+      parsed.channelId = escapedChannel[1];
+      parsed.channelName = escapedChannel[2] || null;
+    } else if (arg.startsWith('#')) {
+      parsed.channelName = arg.slice(1);
+    } else if (dateOption && !Number.isNaN(Date.parse(dateOption[2]))) {
+      parsed[dateOption[1].toLowerCase()] = dateOption[2];
+    } else {
+      return null;
+    }
+  }
+
+  return parsed.channelId || parsed.channelName ? parsed : null;
+}
+
+// Helper function to turn a YYYY-MM-DD date in the user's timezone into a Slack timestamp
+function toSlackTs(date, tzOffsetSeconds, endOfDay) {
+  const time = endOfDay ? 'T23:59:59.999Z' : 'T00:00:00.000Z';
+  return String((Date.parse(`${date}${time}`) / 1000) - tzOffsetSeconds);
+}
+
+// Helper function to format a Decision Log entry as a one-line summary
+function formatLogEntrySummary(entry) {
+  const date = entry.createdAt.slice(0, 10);
+  const author = entry.authorId ? ` by <@${entry.authorId}>` : '';
+  const draft = entry.status === 'draft' ? ' _(draft)_' : '';
+  return `*#${entry.id}* ${entry.title}${draft}${author} (${date})`;
+}
+
+// Helper function to list the templates users can pick from
+function describeAvailableTemplates() {
+  const names = listTemplates().map(template => `\`${template.name}\``).join(', ');
+  return `Available templates: ${names}. Use \`/decisionmemo templates\` to see what each one covers.`;
+}
+
+// Create the /decisionmemo slash command handler: the Decision Log, template, usage and sessions subcommands,
+// and every way of starting a memo from the command (DM, form or channel history).
+//
+// `deps` holds the stores and the memo session flow (see createMemoFlow), so tests can pass their own.
+function createCommandHandler(deps) {
+  const {
+    decisionLog,
+    settings,
+    usageStore,
+    exporters,
+    checkBudget,
+    chooseTemplate,
+    getTeamSettings,
+    listSessions,
+    openSession,
+    startCapturedMemo
+  } = deps;
+
+  // Handle `/decisionmemo sessions`: list the memos open in the user's DM, with buttons to switch between them
+  async function handleSessionsCommand(command, client, respond) {
+    try {
+      const dmResult = await client.conversations.open({
+        users: command.user_id
+      });
+      const sessions = (await listSessions(dmResult.channel.id)).filter(session => session.stage !== 'pending');
+
+      if (sessions.length === 0) {
+        await respond({
+          response_type: 'ephemeral',
+          text: "You don't have any Decision Memos in progress. 🔁 Start one with the `/decisionmemo` command or via the message shortcut."
+        });
+        return;
+      }
+
+      await respond({
+        response_type: 'ephemeral',
+        text: `You have ${sessions.length} Decision Memo${sessions.length === 1 ? '' : 's'} in progress.`,
+        blocks: buildSessionListBlocks(sessions.map(describeSession))
+      });
+    } catch (error) {
+      logger.error('Error listing memo sessions', { error });
+      await respond({
+        response_type: 'ephemeral',
+        text: "Sorry, there was an error listing your Decision Memos. Please try again."
+      });
+    }
+  }
+
+  // Handle `/decisionmemo due`: the workspace's decision reviews that are overdue or coming up
+  async function handleDueCommand(command, client, respond) {
+    try {
+      let tzOffset = 0;
+      try {
+        const userInfo = await client.users.info({ user: command.user_id });
+        tzOffset = userInfo.user.tz_offset || 0;
+      } catch (error) {
+        logger.error('Error looking up user timezone, using UTC', { error });
+      }
+      const today = todayIn(tzOffset);
+
+      // A review is overdue once it's been asked and not answered, or its date has passed without it being sent
+      const entries = await decisionLog.listReviews({ teamId: command.team_id, userId: command.user_id });
+      const isOverdue = entry => entry.review.status === 'asked' || entry.review.date < today;
+      const describe = entry => `• ${entry.review.date} · *#${entry.id}* ${entry.title} - <@${entry.review.reviewerId}>${entry.review.status === 'asked' ? ' _(waiting for an answer)_' : ''}`;
+
+      const overdue = entries.filter(isOverdue);
+      const upcoming = entries.filter(entry => !isOverdue(entry));
+
+      let text;
+      if (entries.length === 0) {
+        text = "No decision reviews are scheduled. Set one with the *Set a review date…* button when you approve a memo.";
+      } else {
+        const parts = [];
+        if (overdue.length > 0) parts.push(`*⏰ Overdue*\n${overdue.map(describe).join('\n')}`);
+        if (upcoming.length > 0) parts.push(`*📅 Upcoming*\n${upcoming.map(describe).join('\n')}`);
+        text = `*🔍 Decision reviews*\n\n${parts.join('\n\n')}\n\nUse \`/decisionmemo show <id>\` to read a memo and its outcomes.`;
+      }
+
+      await respond({ response_type: 'ephemeral', text });
+    } catch (error) {
+      logger.error('Error listing decision reviews', { error });
+      await respond({
+        response_type: 'ephemeral',
+        text: "Sorry, there was an error listing the decision reviews. Please try again."
+      });
+    }
+  }
+
+  // Handle `/decisionmemo search <terms>`, `/decisionmemo list` and `/decisionmemo show <id>`
+  async function handleDecisionLogCommand(command, subcommand, args, respond) {
+    try {
+      let text;
+      let blocks;
+
+      if (subcommand === 'list') {
+        const entries = await decisionLog.list({ teamId: command.team_id, userId: command.user_id });
+        text = entries.length > 0
+          ? `*🗂️ Most recent Decision Memos*\n${entries.map(formatLogEntrySummary).join('\n')}\n\nUse \`/decisionmemo show <id>\` to read one.`
+          : "The Decision Log is empty. Create the first memo with `/decisionmemo`.";
+      } else if (subcommand === 'search') {
+        if (!args) {
+          text = "Tell me what to look for, e.g. `/decisionmemo search pricing migration`.";
+        } else {
+          const entries = await decisionLog.search(args, { teamId: command.team_id, userId: command.user_id });
+          text = entries.length > 0
+            ? `*🔎 Decision Memos matching "${args}"*\n${entries.map(formatLogEntrySummary).join('\n')}\n\nUse \`/decisionmemo show <id>\` to read one.`
+            : `I couldn't find any Decision Memos matching "${args}".`;
+        }
+      } else {
+        const id = args.replace(/^#/, '');
+        const entry = /^\d+$/.test(id) ? await decisionLog.get(id, command.team_id, command.user_id) : null;
+        if (!entry) {
+          text = `I couldn't find Decision Memo "${args}". Use \`/decisionmemo list\` to see recent memos.`;
+        } else {
+          text = `${formatLogEntrySummary(entry)}\n\n*${entry.title}*\n\n${entry.text}`;
+          if (entry.permalink) {
+            text += `\n\n<${entry.permalink}|View the original conversation>`;
+          }
+          if (entry.review && entry.review.status !== 'answered') {
+            text += `\n\n📅 Review on ${entry.review.date} by <@${entry.review.reviewerId}>`;
+          }
+          if (entry.outcomes && entry.outcomes.length > 0) {
+            text += `\n\n*🔍 Outcomes*\n${entry.outcomes.map(formatOutcome).join('\n\n')}`;
+          }
+          blocks = [
+            {
+              type: 'section',
+              text: { type: 'mrkdwn', text: text.length > 3000 ? `${text.slice(0, 2990)}…` : text }
+            },
+            ...buildExportBlocks(entry, exporters)
+          ];
+        }
+      }
+
+      await respond({
+        response_type: 'ephemeral',
+        text,
+        blocks
+      });
+    } catch (error) {
+      logger.error('Error querying the Decision Log', { error });
+      await respond({
+        response_type: 'ephemeral',
+        text: "Sorry, there was an error searching the Decision Log. Please try again."
+      });
+    }
+  }
+
+  // Handle `/decisionmemo templates` and `/decisionmemo set-template <name|none>`
+  async function handleTemplateCommand(command, subcommand, args, respond) {
+    try {
+      let text;
+      const channelDefault = await chooseTemplate(command.team_id, command.channel_id);
+
+      if (subcommand === 'templates') {
+        const lines = listTemplates().map(template => {
+          const marker = template.name === channelDefault ? ' _(default here)_' : '';
+          return `• \`${template.name}\` *${template.label}*${marker} - ${template.description || template.sections.map(section => section.heading).join(', ')}`;
+        });
+        text = `*🧩 Memo templates*\n${lines.join('\n')}\n\nUse one for a single memo with \`/decisionmemo template:<name>\`, or make it this channel's default with \`/decisionmemo set-template <name>\`.`;
+      } else {
+        const name = args.trim().toLowerCase();
+        if (!name) {
+          text = `Tell me which template to use by default in this channel, e.g. \`/decisionmemo set-template adr\`. ${describeAvailableTemplates()}`;
+        } else if (name === 'none' || name === 'default') {
+          await settings.setChannel(command.team_id, command.channel_id, { template: null });
+          const workspaceDefault = (await getTeamSettings(command.team_id)).defaultTemplate;
+          text = `✅ Memos started from <#${command.channel_id}> will use the workspace's default *${resolveTemplate(workspaceDefault).label}* template again.`;
+        } else if (!getTemplate(name)) {
+          text = `I don't know the "${name}" template. ${describeAvailableTemplates()}`;
+        } else {
+          await settings.setChannel(command.team_id, command.channel_id, { template: name });
+          text = `✅ Memos started from <#${command.channel_id}> will now use the *${getTemplate(name).label}* template. Anyone can still pick another one with \`/decisionmemo template:<name>\`.`;
+        }
+      }
+
+      await respond({
+        response_type: 'ephemeral',
+        text
+      });
+    } catch (error) {
+      logger.error('Error updating templates', { error });
+      await respond({
+        response_type: 'ephemeral',
+        text: "Sorry, there was an error updating the templates for this channel. Please try again."
+      });
+    }
+  }
+
+  // Handle `/decisionmemo usage [YYYY-MM]`: the workspace's LLM tokens and cost for a month.
+  // Admins also see the breakdown by person.
+  async function handleUsageCommand(command, args, client, respond) {
+    const month = args.trim() || monthOf();
+    if (!/^\d{4}-\d{2}$/.test(month)) {
+      await respond({
+        response_type: 'ephemeral',
+        text: "Tell me which month to report on as YYYY-MM, e.g. `/decisionmemo usage 2026-09`, or leave it out for this month."
+      });
+      return;
+    }
+
+    try {
+      const [usage, teamSettings, isAdmin] = await Promise.all([
+        usageStore.getTeamMonth(command.team_id, month),
+        getTeamSettings(command.team_id),
+        isWorkspaceAdmin(client, command.user_id)
+      ]);
+      const { totals } = usage;
+      const sessionCount = Object.keys(usage.sessions).length;
+
+      let text = `📊 *Decision Memo usage for ${month}*\n`;
+      text += `• Cost: *${formatUsd(totals.costUsd)}*`;
+      if (teamSettings.monthlyBudgetUsd) {
+        text += ` of a ${formatUsd(teamSettings.monthlyBudgetUsd)} budget (${Math.round(totals.costUsd / teamSettings.monthlyBudgetUsd * 100)}%)`;
+      }
+      text += `\n• LLM calls: ${totals.calls} (${totals.inputTokens.toLocaleString()} input and ${totals.outputTokens.toLocaleString()} output tokens)`;
+      if (sessionCount > 0) {
+        text += `\n• Memo sessions: ${sessionCount}, ${formatUsd(totals.costUsd / sessionCount)} each on average`;
+      }
+
+      const purposes = Object.entries(usage.purposes).sort((a, b) => b[1].costUsd - a[1].costUsd);
+      if (purposes.length > 0) {
+        text += `\n\n*By step*\n${purposes.map(([purpose, purposeTotals]) =>
+        `• ${purpose.replace(/_/g, ' ')}: ${formatUsd(purposeTotals.costUsd)} (${purposeTotals.calls} calls)`).join('\n')}`;
+      }
+
+      if (isAdmin) {
+        const users = Object.entries(usage.users).sort((a, b) => b[1].costUsd - a[1].costUsd);
+        if (users.length > 0) {
+          text += `\n\n*By person*\n${users.map(([userId, userTotals]) =>
+          `• <@${userId}>: ${formatUsd(userTotals.costUsd)} (${userTotals.calls} calls)`).join('\n')}`;
+        }
+      } else if (usage.users[command.user_id]) {
+        text += `\n\nYour share: ${formatUsd(usage.users[command.user_id].costUsd)}`;
+      }
+
+      await respond({ response_type: 'ephemeral', text });
+    } catch (error) {
+      logger.error('Error reporting usage', { error });
+      await respond({
+        response_type: 'ephemeral',
+        text: "Sorry, there was an error getting the usage report. Please try again."
+      });
+    }
+  }
+
+  // Handle `/decisionmemo from #channel since:YYYY-MM-DD until:YYYY-MM-DD`
+  async function handleChannelHistoryCommand(command, args, requestedTemplate, client, respond) {
+    const parsed = parseChannelHistoryArgs(args);
+    if (!parsed) {
+      await respond({
+        response_type: 'ephemeral',
+        text: "Tell me which channel and dates to use, e.g. `/decisionmemo from #pricing since:2026-10-01 until:2026-10-14`. Both dates are optional."
+      });
+      return;
+    }
+
+    try {
+      const channelId = parsed.channelId || await findChannelByName(client, parsed.channelName);
+      if (!channelId) {
+        await respond({
+          response_type: 'ephemeral',
+          text: `I couldn't find #${parsed.channelName}. If it's a private channel, invite me with \`/invite @Decision Memo\` first.`
+        });
+        return;
+      }
+
+      // The memo is built with the bot's access, so only people in the channel can use its history
+      let isMember;
+      try {
+        isMember = await isChannelMember(client, channelId, command.user_id);
+      } catch (error) {
+        logger.error('Error checking channel membership', { error });
+        const slackError = error.data && error.data.error;
+        await respond({
+          response_type: 'ephemeral',
+          text: slackError === 'not_in_channel' || slackError === 'channel_not_found'
+            ? `I need to be added to <#${channelId}> before I can read its history. Type \`/invite @Decision Memo\` there and try again.`
+            : "Sorry, there was an error reading that channel's history. Please try again."
+        });
+        return;
+      }
+      if (!isMember) {
+        await respond({
+          response_type: 'ephemeral',
+          text: `You're not a member of <#${channelId}>, so I can't create a memo from its history for you. Join the channel and try again.`
+        });
+        return;
+      }
+
+      // Dates are interpreted in the user's own timezone
+      let tzOffset = 0;
+      try {
+        const userInfo = await client.users.info({ user: command.user_id });
+        tzOffset = userInfo.user.tz_offset || 0;
+      } catch (error) {
+        logger.error('Error looking up user timezone, using UTC', { error });
+      }
+
+      const rangeText = [
+        parsed.since ? `since ${parsed.since}` : null,
+        parsed.until ? `until ${parsed.until}` : null
+      ].filter(Boolean).join(' ') || 'from the last 7 days';
+
+      await respond({
+        response_type: 'ephemeral',
+        text: `:hourglass_flowing_sand: I'm collecting the messages in <#${channelId}> ${rangeText}. I'll send you a direct message when I'm ready.`
+      });
+
+      // Default to the last week if no start date was given
+      const oldest = parsed.since
+        ? toSlackTs(parsed.since, tzOffset, false)
+        : String(Math.floor(Date.now() / 1000) - 7 * 24 * 60 * 60);
+      const latest = parsed.until ? toSlackTs(parsed.until, tzOffset, true) : undefined;
+
+      let history;
+      try {
+        history = await fetchChannelHistory(client, channelId, { oldest, latest });
+      } catch (error) {
+        logger.error('Error fetching channel history', { error });
+        const slackError = error.data && error.data.error;
+        await respond({
+          response_type: 'ephemeral',
+          text: slackError === 'not_in_channel' || slackError === 'channel_not_found'
+            ? `I need to be added to <#${channelId}> before I can read its history. Type \`/invite @Decision Memo\` there and try again.`
+            : "Sorry, there was an error reading that channel's history. Please try again."
+        });
+        return;
+      }
+
+      const humanMessages = history.filter(isHumanMessage);
+      if (humanMessages.length === 0) {
+        await respond({
+          response_type: 'ephemeral',
+          text: `I couldn't find any messages in <#${channelId}> ${rangeText}.`
+        });
+        return;
+      }
+
+      const dmResult = await client.conversations.open({
+        users: command.user_id
+      });
+      const dmChannelId = dmResult.channel.id;
+
+      const directory = createDirectory(client);
+      const threadCount = humanMessages.filter(message => message.replies && message.replies.length > 0).length;
+      const replyCount = humanMessages.reduce((total, message) => total + (message.replies || []).length, 0);
+
+      await startCapturedMemo(client, dmChannelId, {
+        userId: command.user_id,
+        teamId: command.team_id,
+        template: await chooseTemplate(command.team_id, channelId, requestedTemplate),
+        context: await renderChannelHistory(history, directory),
+        participants: '',
+        roster: await buildRoster(directory, humanMessages),
+        originalChannel: channelId
+      }, `:memo: I'm creating a Decision Memo from ${humanMessages.length} messages in <#${channelId}> ${rangeText}, including ${replyCount} replies across ${threadCount} threads.`, 'channel_history');
+    } catch (error) {
+      logger.error('Error creating memo from channel history', { error });
+      await respond({
+        response_type: 'ephemeral',
+        text: "Sorry, there was an error starting the Decision Memo process. Please try again."
+      });
+    }
+  }
+
+  return async function handleDecisionMemoCommand({ command, ack, client, respond }) {
+    // Acknowledge command request
+    await ack();
+
+    // `template:<name>` can go anywhere in the command and picks the template for this memo
+    const words = (command.text || '').trim().split(/\s+/);
+    const templateOption = words.find(word => /^template:/i.test(word));
+    const requestedTemplate = templateOption ? templateOption.slice('template:'.length).toLowerCase() : null;
+    if (requestedTemplate !== null && !getTemplate(requestedTemplate)) {
+      await respond({
+        response_type: 'ephemeral',
+        text: `I don't know the "${requestedTemplate}" template. ${describeAvailableTemplates()}`
+      });
+      return;
+    }
+
+    // Subcommands that query the Decision Log instead of starting a new memo
+    // (`/decisionmemo` and `/decisionmemo template:<name>` on their own have no subcommand)
+    const [firstWord = '', ...args] = words.filter(word => word && word !== templateOption);
+    const subcommand = firstWord.toLowerCase();
+    if (['search', 'list', 'show'].includes(subcommand)) {
+      await handleDecisionLogCommand(command, subcommand, args.join(' '), respond);
+      return;
+    }
+
+    // `/decisionmemo templates` and `/decisionmemo set-template <name>` manage the templates for this channel
+    if (['templates', 'set-template'].includes(subcommand)) {
+      await handleTemplateCommand(command, subcommand, args.join(' '), respond);
+      return;
+    }
+
+    // `/decisionmemo usage [YYYY-MM]` reports the workspace's LLM usage and cost
+    if (subcommand === 'usage') {
+      await handleUsageCommand(command, args.join(' '), client, respond);
+      return;
+    }
+
+    // `/decisionmemo due` lists the decision reviews that are overdue or coming up
+    if (subcommand === 'due') {
+      await handleDueCommand(command, client, respond);
+      return;
+    }
+
+    // `/decisionmemo sessions` lists the memos in progress, to switch between them
+    if (subcommand === 'sessions') {
+      await handleSessionsCommand(command, client, respond);
+      return;
+    }
+
+    // Everything below starts a new memo, which isn't allowed once the workspace's monthly budget is used up
+    let budget;
+    let templateName;
+    try {
+      budget = await checkBudget(command.team_id);
+
+      // Use the template asked for, or else this channel's default
+      templateName = await chooseTemplate(command.team_id, command.channel_id, requestedTemplate);
+    } catch (error) {
+      logger.error('Error checking the budget before starting a memo', { error });
+      await respond({
+        response_type: 'ephemeral',
+        text: "Sorry, there was an error starting the Decision Memo process. Please try again."
+      });
+      return;
+    }
+
+    if (budget.blocked) {
+      await respond({
+        response_type: 'ephemeral',
+        text: describeBudget(budget)
+      });
+      return;
+    }
+
+    // `/decisionmemo from #channel since:... until:...` builds the memo from a channel's history
+    if (subcommand === 'from') {
+      await handleChannelHistoryCommand(command, args.join(' '), requestedTemplate, client, respond);
+      return;
+    }
+
+    // `/decisionmemo form` collects everything in a modal instead of the DM conversation
+    if (subcommand === 'form') {
+      try {
+        await client.views.open({
+          trigger_id: command.trigger_id,
+          view: buildIntakeModal({ templates: listTemplates(), templateName })
+        });
+      } catch (error) {
+        logger.error('Error opening intake form', { error });
+        await respond({
+          response_type: 'ephemeral',
+          text: "Sorry, there was an error opening the Decision Memo form. Please try again."
+        });
+      }
+      return;
+    }
+
+    try {
+      // Open a DM with the user first to get the DM channel ID
+      const dmResult = await client.conversations.open({
+        users: command.user_id
+      });
+
+      const dmChannelId = dmResult.channel.id;
+
+      // Create a link to the DM
+      const dmLink = `slack://channel?team=${command.team_id}&id=${dmChannelId}`;
+
+      // Let the user know we're starting a DM with a clickable link (and if the budget is running low)
+      const budgetNote = budget.status === 'warning' ? `\n\n${describeBudget(budget)}` : '';
+      await respond({
+        response_type: 'ephemeral', // Only visible to the user who triggered the command
+        text: `I'll send you a direct message to help create your Decision Memo. <${dmLink}|Click here to open our conversation>${budgetNote}`
+      });
+
+      // Start the conversation in the DM with updated message and formatting
+      const template = resolveTemplate(templateName);
+      const templateNote = template.name !== DEFAULT_TEMPLATE ? ` using the *${template.label}* template` : '';
+      const { allowedFileFormats } = await getTeamSettings(command.team_id);
+      const uploadNote = allowedFileFormats.length > 0
+        ? `\n\n*Note:* If your transcript is too long to paste into Slack, you can upload it instead (${describeFileFormats(allowedFileFormats)}). You can attach several files at once.`
+        : '';
+      const introText = `:memo: I'll help you create a Decision Memo${templateNote}. *Please paste* the relevant conversation from Slack, a meeting transcript, or other notes so we can generate the memo. Include as much context as might be helpful.${uploadNote} (Respond with "stop" at any time to terminate this process)`;
+      const introMessage = {
+        text: introText,
+        blocks: [
+          {
+            type: 'section',
+            text: { type: 'mrkdwn', text: introText }
+          },
+          {
+            type: 'actions',
+            elements: [
+              {
+                type: 'button',
+                action_id: 'open_intake_form',
+                text: { type: 'plain_text', text: 'Use form', emoji: true }
+              }
+            ]
+          }
+        ]
+      };
+
+      // Store conversation state and start the conversation in the DM (once the user has decided what to do
+      // with any memo they already have open there)
+      await openSession(client, {
+        userId: command.user_id,
+        teamId: command.team_id,
+        dmChannelId,
+        template: templateName,
+        context: '',
+        participants: ''
+      }, { stage: 'started', source: 'command', messages: [introMessage] });
+    } catch (error) {
+      logger.error('Error starting DM conversation', { error });
+
+      // Send an error message
+      await respond({
+        response_type: 'ephemeral',
+        text: "Sorry, there was an error starting the Decision Memo process. Please try again."
+      });
+    }
+  };
+}
+
+module.exports = { createCommandHandler, parseChannelHistoryArgs };
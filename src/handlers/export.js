@@ -0,0 +1,92 @@
+const { logger } = require('../logger');
+const { FILE_FORMATS, buildMemoFile } = require('../export');
+
+// The memo object for a Decision Log entry.
+// Entries saved before memos were structured only have their text, so that becomes the choice.
+function memoFromLogEntry(entry) {
+  return entry.memo || { title: entry.title, choice: entry.text };
+}
+
+// Create the handler for the export buttons: push the memo to Notion or Confluence, or upload it as a file
+// to the user's DM.
+//
+// `deps` holds the Decision Log and the exporters that are configured (see createExporters).
+function createExportHandler(deps) {
+  const { decisionLog, exporters } = deps;
+
+  return async function handleExportMemo({ action, body, ack, client }) {
+    await ack();
+
+    const target = action.action_id.replace('export_memo_', '');
+
+    // Exports always go to the user's DM, even when the buttons were on an ephemeral message in a channel
+    const dm = await client.conversations.open({ users: body.user.id });
+    const dmChannelId = dm.channel.id;
+
+    try {
+      const entry = await decisionLog.get(action.value, body.team && body.team.id, body.user.id);
+      if (!entry) {
+        await client.chat.postMessage({
+          channel: dmChannelId,
+          text: "Sorry, I couldn't find that memo in the Decision Log anymore."
+        });
+        return;
+      }
+
+      const memo = memoFromLogEntry(entry);
+
+      if (exporters[target]) {
+        const exporter = exporters[target];
+        const page = await exporter.exportMemo(memo, { id: entry.id, permalink: entry.permalink });
+
+        await decisionLog.update(entry.id, {
+          exports: [...(entry.exports || []), {
+            target,
+            id: page.id,
+            url: page.url,
+            exportedAt: new Date().toISOString()
+          }]
+        });
+
+        await client.chat.postMessage({
+          channel: dmChannelId,
+          text: page.url
+            ? `✅ Memo #${entry.id} is now in ${exporter.label}: <${page.url}|${entry.title}>`
+            : `✅ Memo #${entry.id} is now in ${exporter.label}.`
+        });
+      } else if (FILE_FORMATS[target]) {
+        const file = await buildMemoFile(memo, target);
+
+        await client.files.uploadV2({
+          channel_id: dmChannelId,
+          file: file.content,
+          filename: file.filename,
+          title: entry.title,
+          initial_comment: `📄 Here's Decision Memo #${entry.id} as ${FILE_FORMATS[target].label}.`
+        });
+      } else {
+        await client.chat.postMessage({
+          channel: dmChannelId,
+          text: "Sorry, that export isn't set up for this workspace."
+        });
+      }
+    } catch (error) {
+      logger.error('Error exporting memo', { target, logEntryId: action.value, error });
+
+      // Provide clear guidance based on the error
+      let text = "Sorry, there was an error exporting your memo. Please try again.";
+      if (error.response && [401, 403].includes(error.response.status)) {
+        text = `Sorry, ${exporters[target] ? exporters[target].label : 'the export'} rejected my credentials. Please ask an admin to check the integration token and that it has access to the target database or space.`;
+      } else if (error.data && error.data.error === 'missing_scope') {
+        text = "Sorry, I don't have permission to upload files. Please ask an admin to add the `files:write` scope and reinstall the app.";
+      }
+
+      await client.chat.postMessage({
+        channel: dmChannelId,
+        text
+      });
+    }
+  };
+}
+
+module.exports = { createExportHandler };
@@ -0,0 +1,180 @@
+const axios = require('axios');
+const { describeFileFormats, detectFileFormat, extractFileText } = require('../extractors');
+
+// Files bigger than this are never downloaded, so one huge upload can't fill the app's memory
+const MAX_UPLOAD_MB = Number(process.env.MAX_UPLOAD_MB) || 20;
+const MAX_UPLOAD_BYTES = MAX_UPLOAD_MB * 1024 * 1024;
+
+// Helper function to check a shared file's size (as Slack reports it) against the upload limit
+function isTooLarge(file) {
+  return file.size > MAX_UPLOAD_BYTES;
+}
+
+// Download the raw content of a file shared in Slack, with the bot token of the workspace it was shared in
+async function downloadSlackFile(url, token) {
+  const response = await axios.get(url, {
+    responseType: 'arraybuffer',
+    // In case Slack didn't tell us the size, stop reading once the file is over the limit
+    maxContentLength: MAX_UPLOAD_BYTES,
+    headers: {
+      Authorization: `Bearer ${token}`
+    }
+  });
+  return Buffer.from(response.data);
+}
+
+// Create the file upload handler, which reads every supported file attached to a DM into the memo's context.
+//
+// `deps` holds the session store and the memo session flow (see createMemoFlow). Pass `downloadFile(url, token)`
+// to fetch files some other way than over HTTP, e.g. in tests.
+function createFileUploadHandler(deps) {
+  const { getTeamSettings, sessionLogger, saveSession, setStage, askClarifyingQuestions } = deps;
+  const downloadFile = deps.downloadFile || downloadSlackFile;
+
+  // Helper function to go back to waiting for context when nothing in the upload could be used
+  async function waitForContext(conversation) {
+    setStage(conversation, 'started');
+    await saveSession(conversation);
+  }
+
+  // Handle file uploads - reads every supported file attached to the message.
+  // The message handler has already moved the session to 'asking_questions' so the upload is only read once.
+  return async function handleFileUpload(client, conversation, message) {
+    try {
+      // Work out which of the files we know how to read and the workspace allows
+      const { allowedFileFormats } = await getTeamSettings(conversation.teamId);
+      const files = message.files.map(file => {
+        const format = detectFileFormat(file);
+        return { file, format: allowedFileFormats.includes(format) ? format : null };
+      });
+      const supportedFiles = files.filter(({ format }) => format);
+      const skippedFiles = files.filter(({ format }) => !format).map(({ file }) => file.name);
+
+      if (supportedFiles.length === 0) {
+        await waitForContext(conversation);
+        await client.chat.postMessage({
+          channel: message.channel,
+          text: allowedFileFormats.length > 0
+            ? `I can only process ${describeFileFormats(allowedFileFormats)} files. Please upload one of those or paste your context directly.`
+            : "File uploads are turned off in this workspace. Please paste your context directly."
+        });
+        return;
+      }
+
+      // Leave out files over the size limit before downloading anything
+      const readableFiles = supportedFiles.filter(({ file }) => !isTooLarge(file));
+      const tooLargeFiles = supportedFiles.filter(({ file }) => isTooLarge(file)).map(({ file }) => file.name);
+      const tooLargeText = tooLargeFiles.length > 0
+        ? `${tooLargeFiles.join(', ')} ${tooLargeFiles.length > 1 ? 'are' : 'is'} over the ${MAX_UPLOAD_MB} MB upload limit, so I haven't read ${tooLargeFiles.length > 1 ? 'them' : 'it'}.`
+        : null;
+
+      if (readableFiles.length === 0) {
+        await waitForContext(conversation);
+        await client.chat.postMessage({
+          channel: message.channel,
+          text: `Sorry, ${tooLargeText} Please upload a smaller file or paste the relevant part of the conversation directly.`
+        });
+        return;
+      }
+
+      const log = sessionLogger(conversation);
+      const extractedFiles = [];
+      for (const { file, format } of readableFiles) {
+        log.debug('Processing uploaded file', { fileId: file.id, format });
+
+        // Get the file info - don't include file contents as that requires different permissions
+        const fileInfo = await client.files.info({
+          file: file.id
+        });
+
+        // Download the raw file content
+        let fileBuffer;
+        try {
+          // The token of the workspace the file was shared in, not a global one
+          fileBuffer = await downloadFile(fileInfo.file.url_private, client.token);
+        } catch (downloadError) {
+          log.error('Error downloading file', { fileId: file.id, error: downloadError });
+          throw new Error('Could not download file content: ' + downloadError.message);
+        }
+
+        log.debug('Downloaded uploaded file', { fileId: file.id, format, bytes: fileBuffer.length });
+
+        // Turn the file into plain text, skipping any file we can't make sense of
+        try {
+          const text = await extractFileText(format, fileBuffer);
+          if (text) {
+            extractedFiles.push({ name: file.name, text });
+          } else {
+            skippedFiles.push(file.name);
+          }
+        } catch (extractError) {
+          log.warn('Error extracting text from uploaded file', { fileId: file.id, format, error: extractError });
+          skippedFiles.push(file.name);
+        }
+      }
+
+      if (extractedFiles.length === 0) {
+        await waitForContext(conversation);
+        await client.chat.postMessage({
+          channel: message.channel,
+          text: "Sorry, I couldn't read any text from that upload. Please try a different file or paste the content directly instead."
+        });
+        return;
+      }
+
+      // Combine the files (and anything typed alongside them) into one context, labelling each file
+      const parts = [];
+      if (message.text) {
+        parts.push(message.text);
+      }
+      for (const extractedFile of extractedFiles) {
+        parts.push(extractedFiles.length > 1 || message.text
+          ? `--- ${extractedFile.name} ---\n${extractedFile.text}`
+          : extractedFile.text);
+      }
+
+      // Save the file content as context (long files are condensed before the questions are generated)
+      conversation.context = parts.join('\n\n');
+      await saveSession(conversation);
+
+      // Let the user know we're analyzing the files, and which ones we couldn't use
+      let analyzingText = extractedFiles.length > 1
+        ? `Thanks for uploading ${extractedFiles.length} files. I'm analyzing the content to determine if I need any clarifying information...`
+        : "Thanks for uploading the file. I'm analyzing the content to determine if I need any clarifying information...";
+
+      if (skippedFiles.length > 0) {
+        analyzingText += `\n\n_I couldn't read ${skippedFiles.join(', ')}, so I've left ${skippedFiles.length > 1 ? 'them' : 'it'} out._`;
+      }
+      if (tooLargeText) {
+        analyzingText += `\n\n_${tooLargeText}_`;
+      }
+
+      await client.chat.postMessage({
+        channel: message.channel,
+        text: analyzingText
+      });
+
+      await askClarifyingQuestions(client, message.channel, conversation);
+    } catch (error) {
+      sessionLogger(conversation).error('Error handling file upload', { error });
+      if (conversation.stage === 'asking_questions' && !conversation.clarifyingQuestions) {
+        await waitForContext(conversation);
+      }
+
+      // Provide clear guidance based on the error
+      if (error.data && error.data.error === 'missing_scope') {
+        await client.chat.postMessage({
+          channel: message.channel,
+          text: "Sorry, I don't have permission to read files yet. The app needs to be reinstalled with the 'files:read' permission. Please paste the content directly instead or contact the administrator to update permissions."
+        });
+      } else {
+        await client.chat.postMessage({
+          channel: message.channel,
+          text: "Sorry, there was an error processing your file. Please try pasting the content directly instead."
+        });
+      }
+    }
+  };
+}
+
+module.exports = { createFileUploadHandler };
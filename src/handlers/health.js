@@ -0,0 +1,109 @@
+const { logger } = require('../logger');
+
+// Remember the last auth.test result for a little while, so frequent probes don't hit Slack's rate limits.
+// The Web API client retries failed calls for minutes, so give up on a probe that takes longer than a few seconds.
+const SLACK_CHECK_CACHE_MS = 30 * 1000;
+const SLACK_CHECK_TIMEOUT_MS = 5 * 1000;
+
+// Create the Express handlers for the health checks (GET /healthz and /readyz) and the Prometheus metrics
+// (GET /metrics).
+//
+// `deps` holds the session store, the LLM client, the metrics registry, when the app started (`bootedAt`), and what
+// the Slack check needs: the installation store, whether OAuth is enabled and the app's own Slack client (`slackClient`).
+function createHealthHandlers(deps) {
+  const { conversations, llm, metrics, bootedAt, installationStore, oauthEnabled, slackClient } = deps;
+
+  // The last auth.test result, and when we got it
+  let lastSlackCheck = null;
+
+  // Helper function to check that Slack accepts our credentials
+  async function checkSlack() {
+    if (oauthEnabled) {
+      // Each workspace has its own token, so there's no single one to test
+      return { ok: true, detail: `OAuth, ${await installationStore.count()} installations` };
+    }
+
+    if (lastSlackCheck && Date.now() - lastSlackCheck.checkedAt < SLACK_CHECK_CACHE_MS) {
+      return lastSlackCheck.result;
+    }
+
+    let result;
+    try {
+      let timer;
+      const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`auth.test took longer than ${SLACK_CHECK_TIMEOUT_MS}ms`)), SLACK_CHECK_TIMEOUT_MS);
+      });
+      const auth = await Promise.race([slackClient.auth.test(), timeout]).finally(() => clearTimeout(timer));
+      result = { ok: true, detail: `connected to ${auth.team} as ${auth.user}` };
+    } catch (error) {
+      result = { ok: false, detail: error.data && error.data.error ? error.data.error : error.message };
+    }
+
+    lastSlackCheck = { checkedAt: Date.now(), result };
+    return result;
+  }
+
+  // Helper function to check that the session store can still save sessions
+  async function checkSessionStore() {
+    try {
+      await conversations.ping();
+      return { ok: true, detail: conversations.driver };
+    } catch (error) {
+      return { ok: false, detail: error.message };
+    }
+  }
+
+  // Helper function to run the readiness checks, returning `{ ok, checks }`
+  async function runHealthChecks({ includeSlack = true } = {}) {
+    const checks = {
+      sessionStore: await checkSessionStore(),
+      llmCredentials: llm.hasCredentials
+        ? { ok: true, detail: llm.provider }
+        : { ok: false, detail: `missing API key for ${llm.provider}` }
+    };
+    if (includeSlack) {
+      checks.slack = await checkSlack();
+    }
+
+    return {
+      ok: Object.values(checks).every(check => check.ok),
+      checks
+    };
+  }
+
+  // Liveness: the process is up and can keep sessions. Slack isn't called and missing LLM credentials
+  // are only reported, so a problem outside the process doesn't get the app restarted in a loop.
+  async function handleHealthz(req, res) {
+    const { checks } = await runHealthChecks({ includeSlack: false });
+    res.status(checks.sessionStore.ok ? 200 : 503).json({
+      status: checks.sessionStore.ok ? 'ok' : 'error',
+      uptimeSeconds: Math.round((Date.now() - bootedAt) / 1000),
+      checks
+    });
+  }
+
+  // Readiness: Slack accepts our token, the LLM has credentials and sessions can be saved
+  async function handleReadyz(req, res) {
+    const { ok, checks } = await runHealthChecks();
+    res.status(ok ? 200 : 503).json({ status: ok ? 'ready' : 'not ready', checks });
+  }
+
+  // Prometheus metrics
+  async function handleMetrics(req, res) {
+    try {
+      res.set('Content-Type', metrics.contentType);
+      res.send(await metrics.render());
+    } catch (error) {
+      logger.error('Error rendering metrics', { error });
+      res.status(500).send('Error rendering metrics');
+    }
+  }
+
+  return {
+    handleHealthz,
+    handleReadyz,
+    handleMetrics
+  };
+}
+
+module.exports = { createHealthHandlers };
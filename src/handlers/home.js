@@ -0,0 +1,121 @@
+const { logger } = require('../logger');
+const { listTemplates } = require('../templates');
+const { isWorkspaceAdmin } = require('../slackContext');
+const { buildHomeView, buildSettingsModal } = require('../homeBlocks');
+
+// Create the handlers for the App Home tab: showing it, and the workspace settings modal admins open from it.
+//
+// `deps` holds the settings and usage stores and the memo session flow (see createMemoFlow).
+function createHomeHandlers(deps) {
+  const { settings, usageStore, getTeamSettings } = deps;
+
+  // Helper function to show a user the App Home tab with the workspace's current settings
+  async function publishHome(client, userId, teamId) {
+    const [teamSettings, isAdmin, usage] = await Promise.all([
+      getTeamSettings(teamId),
+      isWorkspaceAdmin(client, userId),
+      usageStore.getTeamMonth(teamId)
+    ]);
+
+    await client.views.publish({
+      user_id: userId,
+      view: buildHomeView(teamSettings, { isAdmin, templates: listTemplates(), spentUsd: usage.totals.costUsd })
+    });
+  }
+
+  // Show the App Home tab whenever someone opens it
+  async function handleAppHomeOpened({ event, body, client }) {
+    if (event.tab !== 'home') return;
+
+    try {
+      await publishHome(client, event.user, body.team_id);
+    } catch (error) {
+      logger.error('Error publishing App Home', { error });
+    }
+  }
+
+  // Handle the "Edit settings" button in App Home
+  async function handleOpenSettings({ body, ack, client }) {
+    await ack();
+
+    const teamId = body.team ? body.team.id : body.user.team_id;
+
+    try {
+      // The button is only shown to admins, but check again in case their role changed
+      if (!(await isWorkspaceAdmin(client, body.user.id))) {
+        await publishHome(client, body.user.id, teamId);
+        return;
+      }
+
+      await client.views.open({
+        trigger_id: body.trigger_id,
+        view: buildSettingsModal(await getTeamSettings(teamId), { templates: listTemplates() })
+      });
+    } catch (error) {
+      logger.error('Error opening workspace settings', { error });
+    }
+  }
+
+  // Save the workspace settings once the modal is submitted
+  async function handleSettingsSubmission({ ack, body, view, client }) {
+    const teamId = body.team ? body.team.id : body.user.team_id;
+    const values = view.state.values;
+
+    if (!(await isWorkspaceAdmin(client, body.user.id))) {
+      await ack({
+        response_action: 'errors',
+        errors: { default_template: 'Only workspace admins can change these settings.' }
+      });
+      return;
+    }
+
+    const retention = values.retention_days.value.value;
+    if (retention && !(Number.isInteger(Number(retention)) && Number(retention) > 0)) {
+      await ack({
+        response_action: 'errors',
+        errors: { retention_days: 'Please enter a whole number of days, or leave it empty to keep memos forever.' }
+      });
+      return;
+    }
+
+    const budget = values.monthly_budget.value.value;
+    if (budget && !(Number(budget) > 0)) {
+      await ack({
+        response_action: 'errors',
+        errors: { monthly_budget: 'Please enter an amount in US dollars, or leave it empty for no limit.' }
+      });
+      return;
+    }
+
+    await ack();
+
+    try {
+      await settings.setTeam(teamId, {
+        defaultTemplate: values.default_template.value.selected_option.value,
+        decisionLogChannel: values.decision_log_channel.value.selected_conversation || null,
+        maxClarifyingQuestions: Number(values.max_clarifying_questions.value.selected_option.value),
+        maxClarifyingRounds: Number(values.max_clarifying_rounds.value.selected_option.value),
+        finalQuestion: (values.final_question.value.value || '').trim(),
+        allowedFileFormats: (values.allowed_file_formats.value.selected_options || []).map(option => option.value),
+        retentionDays: retention ? Number(retention) : null,
+        feedbackContactId: values.feedback_contact.value.selected_user || null,
+        monthlyBudgetUsd: budget ? Number(budget) : null
+      });
+
+      logger.info('Workspace settings updated', { teamId, userId: body.user.id });
+
+      await publishHome(client, body.user.id, teamId);
+    } catch (error) {
+      logger.error('Error saving workspace settings', { error });
+    }
+  }
+
+  return {
+    publishHome,
+    handleAppHomeOpened,
+    handleOpenSettings,
+    handleSettingsSubmission
+  };
+}
+
+module.exports = { createHomeHandlers };
@@ -0,0 +1,33 @@
+const { createCommandHandler } = require('./command');
+const { createShortcutHandler } = require('./shortcut');
+const { createMessageHandler } = require('./message');
+const { createFileUploadHandler } = require('./fileUpload');
+const { createSessionActionHandlers } = require('./sessionActions');
+const { createReviewHandlers } = require('./review');
+const { createIntakeFormHandlers } = require('./intakeForm');
+const { createSelectionHandlers } = require('./selection');
+const { createMemoReviewHandlers } = require('./memoReview');
+const { createPublishHandler } = require('./publish');
+const { createExportHandler } = require('./export');
+const { createRetryHandler } = require('./retry');
+const { createHomeHandlers } = require('./home');
+const { createOAuthHandlers } = require('./oauth');
+const { createHealthHandlers } = require('./health');
+
+module.exports = {
+  createCommandHandler,
+  createShortcutHandler,
+  createMessageHandler,
+  createFileUploadHandler,
+  createSessionActionHandlers,
+  createReviewHandlers,
+  createIntakeFormHandlers,
+  createSelectionHandlers,
+  createMemoReviewHandlers,
+  createPublishHandler,
+  createExportHandler,
+  createRetryHandler,
+  createHomeHandlers,
+  createOAuthHandlers,
+  createHealthHandlers
+};
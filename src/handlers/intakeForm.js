@@ -0,0 +1,183 @@
+const { logger } = require('../logger');
+const { DEFAULT_TEMPLATE, listTemplates } = require('../templates');
+const { sessionLabel } = require('../memoFlow');
+const { buildRoster } = require('../participants');
+const { createDirectory, renderSlackText } = require('../slackContext');
+const { buildIntakeModal, buildLoadingModal, buildQuestionsModal } = require('../memoBlocks');
+
+// Create the handlers for starting a memo from the form: the "Use form" button in the DM, the form itself
+// and the modal with one input per clarifying question.
+//
+// `deps` holds the session store and the memo session flow (see createMemoFlow).
+function createIntakeFormHandlers(deps) {
+  const {
+    conversations,
+    getActiveSession,
+    getSession,
+    saveSession,
+    setStage,
+    claimStage,
+    activateSession,
+    recordSessionStart,
+    prepareContext,
+    identifyParticipants,
+    generateQuestionsFor,
+    generateAndSendMemo
+  } = deps;
+
+  // Handle the "Use form" button in the DM
+  async function handleOpenIntakeForm({ body, ack, client }) {
+    await ack();
+
+    try {
+      const conversation = await getActiveSession(body.channel.id);
+      await client.views.open({
+        trigger_id: body.trigger_id,
+        view: buildIntakeModal({
+          templates: listTemplates(),
+          templateName: conversation ? conversation.template : DEFAULT_TEMPLATE
+        })
+      });
+    } catch (error) {
+      logger.error('Error opening intake form', { error });
+    }
+  }
+
+  // Step 1 of the form intake: save the details, then show one input per clarifying question
+  async function handleIntakeSubmission({ ack, body, view, client }) {
+    // Show a loading view straight away because generating questions takes longer than Slack waits for
+    await ack({
+      response_action: 'update',
+      view: buildLoadingModal("⏳ I'm analyzing the context to determine if I need any clarifying information...")
+    });
+
+    const values = view.state.values;
+    const userId = body.user.id;
+    const title = values.title.value.value;
+    const participantIds = values.participants.value.selected_users || [];
+    const sourceChannels = values.channels.value.selected_conversations || [];
+    const templateName = values.template ? values.template.value.selected_option.value : DEFAULT_TEMPLATE;
+
+    try {
+      // Open a DM with the user so the memo has somewhere to be reviewed
+      const dmResult = await client.conversations.open({
+        users: userId
+      });
+      const dmChannelId = dmResult.channel.id;
+
+      let context = `Decision: ${title}\n\n${values.context.value.value}`;
+      if (sourceChannels.length > 0) {
+        const channelLinks = sourceChannels.map(channelId => `<#${channelId}>`).join(', ');
+        context += `\n\nDiscussed in: ${await renderSlackText(channelLinks, createDirectory(client))}`;
+      }
+
+      const conversation = {
+        userId,
+        teamId: body.team ? body.team.id : body.user.team_id,
+        dmChannelId,
+        template: templateName,
+        intake: 'form',
+        title,
+        context,
+        // The people picked in the form (and the author), whose roles are worked out with the context
+        roster: await buildRoster(createDirectory(client), [], { authorId: userId, userIds: participantIds }),
+        participantIds,
+        sourceChannels
+      };
+
+      // A memo started from the form becomes the one the DM is working on. It replaces a memo that was still
+      // waiting for its context (like the one whose "Use form" button was clicked); anything further along is put aside.
+      const previous = await conversations.withLock(dmChannelId, async () => {
+        setStage(conversation, 'asking_questions');
+        const active = await activateSession(conversation);
+        if (active && active.stage === 'started') {
+          await conversations.delete(active.key);
+          return null;
+        }
+        return active;
+      });
+      recordSessionStart(conversation, 'form');
+
+      if (previous) {
+        await client.chat.postMessage({
+          channel: dmChannelId,
+          text: `⏸️ I've put *${sessionLabel(previous)}* aside while you work on *${title}*. Switch back anytime with \`/decisionmemo sessions\`.`
+        });
+      }
+
+      // Make sure the context fits in the prompts before we analyze it, and work out who played what role
+      await prepareContext(client, dmChannelId, conversation);
+      await identifyParticipants(client, conversation);
+
+      // Generate clarifying questions, followed by the workspace's final question
+      conversation.clarifyingQuestions = await generateQuestionsFor(conversation);
+
+      // With nothing to ask, go straight to writing the memo
+      if (conversation.clarifyingQuestions.length === 0) {
+        if (!(await claimStage(conversation, 'asking_questions', 'generating'))) return;
+
+        await client.views.update({
+          view_id: view.id,
+          view: buildLoadingModal(`:memo: I have everything I need. I'm generating your Decision Memo for *${title}* and will send it to you in a direct message.`)
+        });
+
+        await generateAndSendMemo(client, dmChannelId, conversation);
+        return;
+      }
+
+      await saveSession(conversation);
+
+      await client.views.update({
+        view_id: view.id,
+        view: buildQuestionsModal(dmChannelId, conversation.clarifyingQuestions, conversation.key)
+      });
+    } catch (error) {
+      logger.error('Error processing intake form', { error });
+
+      await client.views.update({
+        view_id: view.id,
+        view: buildLoadingModal("Sorry, there was an error starting the Decision Memo process. Please try again.")
+      });
+    }
+  }
+
+  // Step 2 of the form intake: generate the memo from the per-question answers
+  async function handleQuestionsSubmission({ ack, view, client }) {
+    await ack();
+
+    const { channelId, sessionKey } = JSON.parse(view.private_metadata);
+    const conversation = sessionKey ? await getSession(sessionKey) : await getActiveSession(channelId);
+
+    // Only the first submission moves the session on, in case the form is sent twice
+    if (!conversation || !conversation.clarifyingQuestions || !(await claimStage(conversation, 'asking_questions', 'generating'))) {
+      await client.chat.postMessage({
+        channel: channelId,
+        text: "Sorry, this Decision Memo session has expired. 🔁 Start again anytime with the `/decisionmemo` command or via the message shortcut."
+      });
+      return;
+    }
+
+    // Keep one answer per question, in order
+    conversation.clarifyingAnswers = conversation.clarifyingQuestions.map((question, index) => {
+      const answer = view.state.values[`answer_${index}`].value.value;
+      return answer ? answer.trim() : '';
+    });
+    await saveSession(conversation);
+
+    // Let the user know we're processing
+    await client.chat.postMessage({
+      channel: channelId,
+      text: `:memo: Thanks for filling in the form for *${conversation.title}*. I'm now generating your Decision Memo. This may take a moment... ⏳`
+    });
+
+    await generateAndSendMemo(client, channelId, conversation);
+  }
+
+  return {
+    handleOpenIntakeForm,
+    handleIntakeSubmission,
+    handleQuestionsSubmission
+  };
+}
+
+module.exports = { createIntakeFormHandlers };
@@ -0,0 +1,463 @@
+const { resolveTemplate } = require('../templates');
+const { validateMemo, getSection, formatMemoText, sectionFromEditText } = require('../memoFormat');
+const { ROLES, buildRoster, describeRoster } = require('../participants');
+const { createDirectory } = require('../slackContext');
+const {
+  buildMemoBlocks,
+  buildRegenerateSectionModal,
+  buildEditMemoModal,
+  buildInvolvedModal,
+  buildPublishBlocks,
+  buildExportBlocks,
+  buildReviewPromptBlocks
+} = require('../memoBlocks');
+const { getDecisionLogChannelName } = require('./publish');
+
+// Helper function to explain a memo validation problem (like "/risks must NOT have more than 12 items")
+// for the field of the edit modal it's about
+function describeEditProblem(template, blockId, problem) {
+  const tooMany = /must NOT have more than/.test(problem);
+  if (blockId === 'title') {
+    return tooMany ? 'Please keep the title to 150 characters or fewer.' : 'Please give the memo a title.';
+  }
+
+  const section = getSection(template, blockId);
+  if (section && section.list) {
+    return tooMany ? 'Please keep this to 12 points or fewer, one per line.' : 'Please add at least one point, one per line.';
+  }
+  return 'Please fill this in.';
+}
+
+// Create the handlers for the buttons under a memo that's being reviewed: "Regenerate section…", "Edit in modal",
+// "Who was involved…" and "Approve", and the modals they open.
+//
+// `deps` holds the Decision Log, the exporters, the memo generator, the metrics counters and the memo session flow
+// (see createMemoFlow).
+function createMemoReviewHandlers(deps) {
+  const {
+    conversations,
+    decisionLog,
+    exporters,
+    generator,
+    counters,
+    getTeamSettings,
+    getSession,
+    listSessions,
+    getActiveSession,
+    saveSession,
+    isCurrent,
+    claimStage,
+    sessionMeta,
+    sessionLogger,
+    endSession
+  } = deps;
+  const { regenerateMemoSection } = generator;
+  const { memosCompleted } = counters;
+
+  // Helper function to let the user know a memo can't be changed or approved any more
+  async function postReviewClosed(client, channelId) {
+    await client.chat.postMessage({
+      channel: channelId,
+      text: "Sorry, this memo is no longer open for review. 🔁 Start again anytime with the `/decisionmemo` command or via the message shortcut."
+    });
+  }
+
+  // Helper function to save a new version of the memo under review and update the memo message in place.
+  // `revise(conversation)` returns the new memo. It runs while holding the DM's lock, and only if the memo is
+  // still open for review, so a revision can't land on a memo that was approved or stopped in the meantime.
+  // Pass `basedOn` (the number of versions the revision was worked out from) to also drop it if another
+  // change was saved meanwhile. Returns false (and lets the user know) if it wasn't saved.
+  async function saveMemoRevision(client, channelId, conversation, change, revise, { basedOn } = {}) {
+    const { memo, problem } = await conversations.withLock(conversation.dmChannelId, async () => {
+      if (conversation.stage !== 'reviewing' || !(await isCurrent(conversation))) return { problem: 'closed' };
+      if (basedOn !== undefined && conversation.memoVersions.length !== basedOn) return { problem: 'stale' };
+
+      const revised = revise(conversation);
+      conversation.memo = revised;
+      conversation.memoVersions.push({
+        version: conversation.memoVersions.length + 1,
+        change,
+        memo: revised,
+        createdAt: new Date().toISOString()
+      });
+      await saveSession(conversation);
+      return { memo: revised };
+    });
+
+    if (problem === 'closed') {
+      await postReviewClosed(client, channelId);
+      return false;
+    }
+
+    if (problem === 'stale') {
+      // Show the memo as it is now, with the buttons back
+      await client.chat.update({
+        channel: channelId,
+        ts: conversation.memoTs,
+        text: formatMemoText(conversation.memo),
+        blocks: buildMemoBlocks(conversation.memo, { version: conversation.memoVersions.length, reviewing: true })
+      });
+      await client.chat.postMessage({
+        channel: channelId,
+        text: "The memo changed while I was working on it, so I didn't apply that change. Please try again on the latest version."
+      });
+      return false;
+    }
+
+    if (conversation.logEntryId) {
+      await decisionLog.update(conversation.logEntryId, {
+        title: memo.title || 'Untitled decision',
+        memo,
+        text: formatMemoText(memo, { includeTitle: false })
+      });
+    }
+
+    await client.chat.update({
+      channel: channelId,
+      ts: conversation.memoTs,
+      text: formatMemoText(memo),
+      blocks: buildMemoBlocks(memo, { version: conversation.memoVersions.length, change, reviewing: true })
+    });
+    return true;
+  }
+
+  // Helper function to approve the memo under review, then offer to publish it
+  async function approveMemo(client, channelId, conversation) {
+    const memo = conversation.memo;
+    const teamSettings = await getTeamSettings(conversation.teamId);
+    const version = conversation.memoVersions.length;
+
+    let logEntry = null;
+    if (conversation.logEntryId) {
+      logEntry = await decisionLog.update(conversation.logEntryId, {
+        status: 'approved',
+        approvedVersion: version,
+        approvedAt: new Date().toISOString()
+      });
+    }
+
+    // Remove the review buttons from the memo so it can't be changed after approval
+    await client.chat.update({
+      channel: channelId,
+      ts: conversation.memoTs,
+      text: formatMemoText(memo),
+      blocks: buildMemoBlocks(memo, { version, statusText: '✅ Approved' })
+    });
+
+    // Offer to share the memo with everyone who was part of the discussion
+    if (logEntry) {
+      await client.chat.postMessage({
+        channel: channelId,
+        text: "Where should this memo go next?",
+        blocks: buildPublishBlocks(logEntry, await getDecisionLogChannelName(client, teamSettings.decisionLogChannel))
+      });
+
+      await client.chat.postMessage({
+        channel: channelId,
+        text: "Export this memo",
+        blocks: buildExportBlocks(logEntry, exporters)
+      });
+
+      // Offer to check back later on how the decision turned out
+      await client.chat.postMessage({
+        channel: channelId,
+        text: "When should we look back on this decision?",
+        blocks: buildReviewPromptBlocks(logEntry)
+      });
+    }
+
+    // Let the user know where the memo was saved and that they can run the command again
+    const savedText = logEntry
+      ? `🗂️ I've saved this memo to the Decision Log as *#${logEntry.id}*. Find it again with \`/decisionmemo show ${logEntry.id}\` or \`/decisionmemo search <terms>\`.`
+      : "⚠️ I couldn't save this memo to the Decision Log, so be sure to keep a copy.";
+
+    await client.chat.postMessage({
+      channel: channelId,
+      text: `🙌 Thanks for using the Decision Memo tool. ${savedText}\n\n🔁 Start again anytime with the \`/decisionmemo\` command or via the message shortcut. Please share any constructive feedback about this tool directly with ${teamSettings.feedbackContact}.`
+    });
+
+    // The memo is final, so the session is no longer needed (and any memo put aside for it picks up again)
+    await endSession(client, conversation);
+    memosCompleted.inc();
+    sessionLogger(conversation).info('Memo approved', { logEntryId: logEntry ? logEntry.id : null, version });
+  }
+
+  // Helper function to load the session for a memo review action, letting the user know if it has expired.
+  // Buttons find it by the memo message they're on (`memoTs`), modals by the key they were opened with (`sessionKey`).
+  async function getReviewSession(client, channelId, { sessionKey, memoTs } = {}) {
+    let conversation;
+    if (sessionKey) {
+      conversation = await getSession(sessionKey);
+    } else if (memoTs) {
+      conversation = (await listSessions(channelId)).find(session => session.memoTs === memoTs);
+    } else {
+      conversation = await getActiveSession(channelId);
+    }
+
+    if (conversation && conversation.stage === 'reviewing') {
+      return conversation;
+    }
+
+    await postReviewClosed(client, channelId);
+    return null;
+  }
+
+  // Handle the "Regenerate section…" button by asking which section and what to change
+  async function handleRegenerateSection({ body, ack, client }) {
+    await ack();
+
+    const conversation = await getReviewSession(client, body.channel.id, { memoTs: body.message.ts });
+    if (!conversation) return;
+
+    try {
+      await client.views.open({
+        trigger_id: body.trigger_id,
+        view: buildRegenerateSectionModal(body.channel.id, conversation.memo, conversation.key)
+      });
+    } catch (error) {
+      sessionLogger(conversation).error('Error opening regenerate section modal', { error });
+    }
+  }
+
+  // Regenerate the chosen section once the modal is submitted
+  async function handleRegenerateSectionSubmission({ ack, view, client }) {
+    await ack();
+
+    const { channelId, sessionKey } = JSON.parse(view.private_metadata);
+    const sectionKey = view.state.values.section.value.selected_option.value;
+    const guidance = view.state.values.guidance.value.value || '';
+
+    const conversation = await getReviewSession(client, channelId, { sessionKey });
+    if (!conversation) return;
+
+    const section = getSection(resolveTemplate(conversation.memo.template), sectionKey);
+
+    // Remove the buttons while we work so the section can't be regenerated twice at once
+    await client.chat.update({
+      channel: channelId,
+      ts: conversation.memoTs,
+      text: formatMemoText(conversation.memo),
+      blocks: buildMemoBlocks(conversation.memo, {
+        version: conversation.memoVersions.length,
+        statusText: `⏳ Regenerating _${section.heading}_...`
+      })
+    });
+
+    // The section is rewritten from this version, so it's only saved if nothing else changed the memo meanwhile
+    const basedOn = conversation.memoVersions.length;
+
+    try {
+      const sectionContent = await regenerateMemoSection(
+        conversation.context,
+        conversation.participants,
+        conversation.memo,
+        sectionKey,
+        guidance,
+        sessionMeta(conversation)
+      );
+
+      await saveMemoRevision(client, channelId, conversation, `regenerated "${section.heading}"`, current => ({
+        ...current.memo,
+        [sectionKey]: sectionContent
+      }), { basedOn });
+    } catch (error) {
+      sessionLogger(conversation).error('Error regenerating memo section', { error });
+
+      // Put the buttons back so the user can try again
+      await client.chat.update({
+        channel: channelId,
+        ts: conversation.memoTs,
+        text: formatMemoText(conversation.memo),
+        blocks: buildMemoBlocks(conversation.memo, {
+          version: conversation.memoVersions.length,
+          reviewing: true
+        })
+      });
+
+      await client.chat.postMessage({
+        channel: channelId,
+        text: "Sorry, I couldn't regenerate that section. Please try again, or edit it by hand with *Edit in modal*."
+      });
+    }
+  }
+
+  // Handle the "Edit in modal" button
+  async function handleEditMemo({ body, ack, client }) {
+    await ack();
+
+    const conversation = await getReviewSession(client, body.channel.id, { memoTs: body.message.ts });
+    if (!conversation) return;
+
+    try {
+      await client.views.open({
+        trigger_id: body.trigger_id,
+        view: buildEditMemoModal(body.channel.id, conversation.memo, conversation.key)
+      });
+    } catch (error) {
+      sessionLogger(conversation).error('Error opening edit memo modal', { error });
+    }
+  }
+
+  // Save the hand-edited memo once the modal is submitted
+  async function handleEditMemoSubmission({ ack, view, client }) {
+    const { channelId, sessionKey, template: templateName, readOnly = [] } = JSON.parse(view.private_metadata);
+    const values = view.state.values;
+    const template = resolveTemplate(templateName);
+
+    const memo = {
+      template: template.name,
+      title: (values.title.value.value || '').trim()
+    };
+    for (const section of template.sections) {
+      if (readOnly.includes(section.key)) continue;
+      memo[section.key] = sectionFromEditText(template, section.key, values[section.key].value.value);
+    }
+
+    // Sections that were too long to edit in the modal keep what they had
+    const current = readOnly.length > 0 ? await getSession(sessionKey) : null;
+    if (current && current.memo) {
+      for (const key of readOnly) {
+        memo[key] = current.memo[key];
+      }
+    }
+
+    // Edits have to keep the memo valid, so point out any empty or overlong fields in the modal
+    const problems = validateMemo(memo, template);
+    if (problems.length > 0) {
+      const errors = {};
+      for (const problem of problems) {
+        const blockId = problem.split(' ')[0].split('/')[1];
+        if (blockId && values[blockId] && !errors[blockId]) {
+          errors[blockId] = describeEditProblem(template, blockId, problem);
+        }
+      }
+      if (Object.keys(errors).length > 0) {
+        await ack({ response_action: 'errors', errors });
+        return;
+      }
+    }
+
+    await ack();
+
+    const conversation = await getReviewSession(client, channelId, { sessionKey });
+    if (!conversation) return;
+
+    try {
+      // Who was involved is corrected separately, so keep it as it was
+      await saveMemoRevision(client, channelId, conversation, 'edited', current => (
+        current.memo.involved ? { ...memo, involved: current.memo.involved } : memo
+      ));
+    } catch (error) {
+      sessionLogger(conversation).error('Error saving edited memo', { error });
+      await client.chat.postMessage({
+        channel: channelId,
+        text: "Sorry, there was an error saving your edits. Please try again."
+      });
+    }
+  }
+
+  // Handle the "Who was involved…" button
+  async function handleEditInvolved({ body, ack, client }) {
+    await ack();
+
+    const conversation = await getReviewSession(client, body.channel.id, { memoTs: body.message.ts });
+    if (!conversation) return;
+
+    try {
+      await client.views.open({
+        trigger_id: body.trigger_id,
+        view: buildInvolvedModal(body.channel.id, conversation.memo, conversation.key)
+      });
+    } catch (error) {
+      sessionLogger(conversation).error('Error opening who was involved modal', { error });
+    }
+  }
+
+  // Save the corrected roster once the modal is submitted. Someone picked for more than one role keeps the first
+  // (in the order the roles are listed); people added by hand are looked up like everyone else.
+  async function handleEditInvolvedSubmission({ ack, view, client }) {
+    await ack();
+
+    const { channelId, sessionKey } = JSON.parse(view.private_metadata);
+    const values = view.state.values;
+
+    const conversation = await getReviewSession(client, channelId, { sessionKey });
+    if (!conversation) return;
+
+    try {
+      const previous = conversation.memo.involved || [];
+      const roleOf = new Map();
+      for (const role of ROLES) {
+        for (const userId of values[`role_${role.key}`].value.selected_users || []) {
+          if (!roleOf.has(userId)) roleOf.set(userId, role.key);
+        }
+      }
+
+      const known = previous.filter(entry => entry.type === 'user' && roleOf.has(entry.id));
+      const added = await buildRoster(createDirectory(client), [], {
+        userIds: Array.from(roleOf.keys()).filter(userId => !known.some(entry => entry.id === userId))
+      });
+      const keptGroups = values.groups
+        ? (values.groups.value.selected_options || []).map(option => option.value)
+        : [];
+
+      const involved = [
+        ...known.concat(added).map(entry => ({ ...entry, role: roleOf.get(entry.id) })),
+        ...previous.filter(entry => entry.type === 'group' && keptGroups.includes(entry.id))
+      ];
+
+      await saveMemoRevision(client, channelId, conversation, 'updated who was involved', current => {
+        // Later section rewrites see the corrected roster too
+        current.roster = involved;
+        current.participants = describeRoster(involved);
+        return { ...current.memo, involved };
+      });
+    } catch (error) {
+      sessionLogger(conversation).error('Error saving who was involved', { error });
+      await client.chat.postMessage({
+        channel: channelId,
+        text: "Sorry, there was an error saving who was involved. Please try again."
+      });
+    }
+  }
+
+  // Handle the "Approve" button
+  async function handleApproveMemo({ body, ack, client }) {
+    await ack();
+
+    const conversation = await getReviewSession(client, body.channel.id, { memoTs: body.message.ts });
+    if (!conversation) return;
+
+    // Only the first click approves: the session leaves review (holding the DM's lock) before anything is posted,
+    // so a second click, or an edit submitted meanwhile, finds it closed
+    if (!(await claimStage(conversation, 'reviewing', 'approved'))) {
+      await postReviewClosed(client, body.channel.id);
+      return;
+    }
+
+    try {
+      await approveMemo(client, body.channel.id, conversation);
+    } catch (error) {
+      sessionLogger(conversation).error('Error approving memo', { error });
+
+      // Reopen the memo for review so the user can approve it again
+      await claimStage(conversation, 'approved', 'reviewing');
+      await client.chat.postMessage({
+        channel: body.channel.id,
+        text: "Sorry, there was an error approving your memo. Please try again."
+      });
+    }
+  }
+
+  return {
+    handleRegenerateSection,
+    handleRegenerateSectionSubmission,
+    handleEditMemo,
+    handleEditMemoSubmission,
+    handleEditInvolved,
+    handleEditInvolvedSubmission,
+    handleApproveMemo
+  };
+}
+
+module.exports = { createMemoReviewHandlers };
@@ -0,0 +1,262 @@
+const { createFileUploadHandler } = require('./fileUpload');
+
+// Create the DM message handler, which moves a memo session along: the pasted (or uploaded) context,
+// the answers to the clarifying questions, "stop", and pointers back to the buttons at the other stages.
+//
+// Messages that arrive while the questions or the memo are being generated are queued and acknowledged rather
+// than starting the same work twice.
+//
+// `deps` holds the session store, the metrics counters and the memo session flow (see createMemoFlow),
+// plus `bootedAt` (when this process started) to spot generations interrupted by a restart.
+function createMessageHandler(deps) {
+  const {
+    conversations,
+    counters,
+    bootedAt,
+    getTeamSettings,
+    sessionLogger,
+    getActiveSession,
+    saveSession,
+    setStage,
+    endSession,
+    askClarifyingQuestions,
+    collectClarifyingAnswers,
+    reviewAnswers,
+    generateAndSendMemo
+  } = deps;
+  const { memosStopped } = counters;
+  const handleFileUpload = deps.handleFileUpload || createFileUploadHandler(deps);
+
+  // Helper function to hold on to a message that arrived while we were busy with the session
+  async function queueMessage(conversation, message) {
+    conversation.queuedMessages = [...(conversation.queuedMessages || []), message.text || ''];
+    await saveSession(conversation);
+  }
+
+  // Helper function to handle "skip": write the memo with the answers so far. If we're still working out
+  // the questions or reading a reply, remember it so no more questions are asked.
+  async function skipQuestions(conversation) {
+    if (conversation.stage === 'evaluating' || !conversation.clarifyingQuestions) {
+      conversation.skipFollowUps = true;
+      await saveSession(conversation);
+      return 'skip_when_ready';
+    }
+
+    // The questions that were waiting for a reply go unanswered
+    const rounds = conversation.clarificationRounds = conversation.clarificationRounds || [];
+    rounds.push({ questions: conversation.roundQuestions || conversation.clarifyingQuestions, reply: '', answers: [] });
+    conversation.clarifyingAnswers = collectClarifyingAnswers(conversation);
+    setStage(conversation, 'generating');
+    await saveSession(conversation);
+    return 'skip';
+  }
+
+  // Helper function to work out what a message means for the session and make the stage change that goes with it.
+  // This runs while holding the DM's lock, so the slow work (reading files, calling the LLM) happens afterwards.
+  async function routeMessage(conversation, message) {
+    // Check if the user wants to stop the process, or to skip the rest of the questions
+    const command = message.text ? message.text.toLowerCase().trim() : '';
+    if (command === 'stop') {
+      return 'stop';
+    }
+    if (command === 'skip' && ['asking_questions', 'evaluating'].includes(conversation.stage)) {
+      return skipQuestions(conversation);
+    }
+
+    if (conversation.stage === 'started') {
+      // Claim the context straight away so a second message can't start another analysis
+      setStage(conversation, 'asking_questions');
+      if (!(message.files && message.files.length > 0)) {
+        conversation.context = message.text;
+      }
+      await saveSession(conversation);
+      return message.files && message.files.length > 0 ? 'read_files' : 'analyze';
+    }
+
+    if (conversation.stage === 'asking_questions' && !conversation.clarifyingQuestions) {
+      // We were restarted before the questions went out, so ask them now
+      if (conversation.updatedAt < bootedAt) {
+        await saveSession(conversation);
+        return 'resume_questions';
+      }
+
+      // Otherwise we're still working out the questions
+      await queueMessage(conversation, message);
+      return 'queued_while_analyzing';
+    }
+
+    if (conversation.stage === 'asking_questions') {
+      // Save the reply to this round of questions - assume the user is answering all of them at once,
+      // along with anything they sent while we were working out the questions
+      const rounds = conversation.clarificationRounds = conversation.clarificationRounds || [];
+      rounds.push({
+        questions: conversation.roundQuestions || conversation.clarifyingQuestions,
+        reply: [...(conversation.queuedMessages || []), message.text].join('\n\n')
+      });
+      delete conversation.queuedMessages;
+
+      // Every reply is read and matched to its questions; follow-ups are only asked while there are rounds left
+      setStage(conversation, 'evaluating');
+      await saveSession(conversation);
+      return 'evaluate';
+    }
+
+    if (conversation.stage === 'evaluating') {
+      // We were restarted while reading the answers, so read them again
+      if (conversation.updatedAt < bootedAt) {
+        await saveSession(conversation);
+        return 'resume_evaluation';
+      }
+
+      await queueMessage(conversation, message);
+      return 'queued_while_evaluating';
+    }
+
+    if (conversation.stage === 'generating') {
+      // The memo was being generated when we restarted, so the answers are saved but the memo never arrived
+      if (conversation.updatedAt < bootedAt) {
+        await saveSession(conversation);
+        return 'resume_generation';
+      }
+
+      await queueMessage(conversation, message);
+      return 'queued_while_generating';
+    }
+
+    return conversation.stage;
+  }
+
+  return async function handleDirectMessage({ message, client }) {
+    // Check if this is a DM
+    if (message.channel_type !== 'im') return;
+
+    // Find the session this DM is working on (possibly one that survived a restart) and decide what to do
+    const { conversation, action } = await conversations.withLock(message.channel, async () => {
+      const active = await getActiveSession(message.channel);
+      return active ? { conversation: active, action: await routeMessage(active, message) } : {};
+    });
+    if (!conversation) return;
+
+    try {
+      if (action === 'stop') {
+        const teamSettings = await getTeamSettings(conversation.teamId);
+        await client.chat.postMessage({
+          channel: message.channel,
+          text: `🛑 I've stopped the Decision Memo process. 🔁 Start again anytime with the \`/decisionmemo\` command or via the message shortcut. Please share any constructive feedback about this tool directly with ${teamSettings.feedbackContact}.`
+        });
+
+        // Clean up the conversation (and pick up any other session the user has open)
+        await endSession(client, conversation);
+        memosStopped.inc();
+        sessionLogger(conversation).info('Memo session stopped by the user', { stage: conversation.stage });
+      }
+      else if (action === 'read_files') {
+        await handleFileUpload(client, conversation, message);
+      }
+      else if (action === 'analyze') {
+        // Let the user know we're analyzing the conversation
+        await client.chat.postMessage({
+          channel: message.channel,
+          text: "Thanks for providing the context. I'm analyzing the conversation to determine if I need any clarifying information..."
+        });
+
+        await askClarifyingQuestions(client, message.channel, conversation);
+      }
+      else if (action === 'resume_questions') {
+        await client.chat.postMessage({
+          channel: message.channel,
+          text: "Sorry, I was restarted before I could send my clarifying questions. Let me pick up where we left off..."
+        });
+
+        await askClarifyingQuestions(client, message.channel, conversation);
+      }
+      else if (action === 'queued_while_analyzing') {
+        await client.chat.postMessage({
+          channel: message.channel,
+          text: "📥 Got it. I'm still working out my clarifying questions, so I'll add this to your answers."
+        });
+      }
+      else if (action === 'evaluate') {
+        await client.chat.postMessage({
+          channel: message.channel,
+          text: "Thanks! Let me check whether I have everything I need..."
+        });
+
+        await reviewAnswers(client, message.channel, conversation);
+      }
+      else if (action === 'resume_evaluation') {
+        await client.chat.postMessage({
+          channel: message.channel,
+          text: "Sorry, I was restarted while reading your answers. Let me pick up where we left off..."
+        });
+
+        await reviewAnswers(client, message.channel, conversation);
+      }
+      else if (action === 'queued_while_evaluating') {
+        await client.chat.postMessage({
+          channel: message.channel,
+          text: "📥 Got it. I'm still reading your answers, so I'll add this to them."
+        });
+      }
+      else if (action === 'skip_when_ready') {
+        await client.chat.postMessage({
+          channel: message.channel,
+          text: "⏭️ OK, no more questions. I'll go straight to writing your Decision Memo."
+        });
+      }
+      else if (action === 'skip') {
+        await client.chat.postMessage({
+          channel: message.channel,
+          text: "⏭️ OK, skipping the rest of the questions. I'm now generating your Decision Memo with what I have. This may take a moment... ⏳"
+        });
+
+        await generateAndSendMemo(client, message.channel, conversation);
+      }
+      else if (action === 'resume_generation') {
+        await client.chat.postMessage({
+          channel: message.channel,
+          text: "Sorry, I was restarted while generating your Decision Memo. I'm picking up where we left off with the answers you already gave. This may take a moment... ⏳"
+        });
+
+        await generateAndSendMemo(client, message.channel, conversation);
+      }
+      else if (action === 'queued_while_generating') {
+        await client.chat.postMessage({
+          channel: message.channel,
+          text: "📥 Got it. I'm still writing your Decision Memo, so this won't be in the first draft. I'll remind you about it when the draft arrives."
+        });
+      }
+      else if (action === 'failed') {
+        // Generation failed, so point the user at the retry button
+        await client.chat.postMessage({
+          channel: message.channel,
+          text: "I couldn't generate your memo last time. Click *Retry generation* above to try again with the information you've already given me, or respond with \"stop\" to give up."
+        });
+      }
+      else if (action === 'selecting') {
+        // The user is collecting messages with the shortcut, so point them at the selection buttons
+        await client.chat.postMessage({
+          channel: message.channel,
+          text: "You're building a message selection. Keep adding messages with the *Add to Decision Memo* shortcut, click *Create memo from selection* when you're ready, or respond with \"stop\" to cancel."
+        });
+      }
+      else if (action === 'reviewing') {
+        // The memo is waiting for review, so point the user at the buttons
+        await client.chat.postMessage({
+          channel: message.channel,
+          text: "Your draft memo is ready for review above. Use *Regenerate section…*, *Edit in modal* or *Approve* on the memo, or respond with \"stop\" to discard it."
+        });
+      }
+    } catch (error) {
+      sessionLogger(conversation).error('Error processing message', { error });
+
+      // Send an error message
+      await client.chat.postMessage({
+        channel: message.channel,
+        text: "Sorry, there was an error processing your message. Please try again."
+      });
+    }
+  };
+}
+
+module.exports = { createMessageHandler };
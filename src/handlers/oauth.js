@@ -0,0 +1,72 @@
+const { logger } = require('../logger');
+
+// Create the handlers that keep the OAuth installations (see installationStore.js) up to date: forgetting a workspace
+// once the app is uninstalled or its bot token is revoked. Also gets the Slack client for a workspace when there's
+// no incoming request to take a token from.
+//
+// `deps` holds the installation store, whether OAuth is enabled (`oauthEnabled`) and the app's own Slack client
+// (`slackClient`), which is used as it is without OAuth.
+function createOAuthHandlers(deps) {
+  const { installationStore, oauthEnabled, slackClient } = deps;
+
+  // Forget a workspace's (or org's) installation once the app is uninstalled from it
+  async function handleAppUninstalled({ context }) {
+    try {
+      const deleted = await installationStore.deleteInstallation({
+        isEnterpriseInstall: context.isEnterpriseInstall,
+        enterpriseId: context.enterpriseId,
+        teamId: context.teamId
+      });
+      if (deleted) {
+        logger.info('App uninstalled', { teamId: context.teamId, enterpriseId: context.enterpriseId, isEnterpriseInstall: context.isEnterpriseInstall });
+      }
+    } catch (error) {
+      logger.error('Error removing installation', { error });
+    }
+  }
+
+  // A revoked bot token is useless, so drop the installation until someone reinstalls the app
+  async function handleTokensRevoked({ event, context }) {
+    if (!event.tokens.bot || event.tokens.bot.length === 0) return;
+
+    try {
+      await installationStore.deleteInstallation({
+        isEnterpriseInstall: context.isEnterpriseInstall,
+        enterpriseId: context.enterpriseId,
+        teamId: context.teamId
+      });
+      logger.info('Bot token revoked', { teamId: context.teamId, enterpriseId: context.enterpriseId, isEnterpriseInstall: context.isEnterpriseInstall });
+    } catch (error) {
+      logger.error('Error removing installation', { error });
+    }
+  }
+
+  // Helper function to get a Slack client for a scheduled job, which has no incoming request to take a token from.
+  // With OAuth every call uses the bot token saved when the job's workspace installed the app.
+  async function clientForTeam({ teamId, enterpriseId = null, isEnterpriseInstall = false }) {
+    if (!oauthEnabled) {
+      return slackClient;
+    }
+
+    const installation = await installationStore.fetchInstallation({ teamId, enterpriseId, isEnterpriseInstall });
+    const token = installation.bot.token;
+    const withToken = target => new Proxy(target, {
+      get(object, property) {
+        const value = object[property];
+        if (typeof value === 'function') {
+          return (options = {}) => value.call(object, { token, ...options });
+        }
+        return value && typeof value === 'object' ? withToken(value) : value;
+      }
+    });
+    return withToken(slackClient);
+  }
+
+  return {
+    handleAppUninstalled,
+    handleTokensRevoked,
+    clientForTeam
+  };
+}
+
+module.exports = { createOAuthHandlers };
@@ -0,0 +1,107 @@
+const { logger } = require('../logger');
+const { createDirectory } = require('../slackContext');
+
+// The Decision Log channel's name for button labels.
+// The channel may be a name ("#decision-log") or an ID, which we look up (falling back to "decision-log").
+async function getDecisionLogChannelName(client, channel) {
+  if (!channel) return null;
+  if (channel.startsWith('#')) return channel.slice(1);
+  if (/^[CG][A-Z0-9]+$/.test(channel)) {
+    const name = await createDirectory(client).lookupChannel(channel);
+    return name !== channel ? name : 'decision-log';
+  }
+  return channel;
+}
+
+// Helper function to format a memo for posting in a channel or thread
+function formatPublishedMemo(entry) {
+  let text = `:memo: *Decision Memo #${entry.id}: ${entry.title}*\n_Shared by <@${entry.authorId}>_\n\n${entry.text}`;
+  if (entry.permalink) {
+    text += `\n\n<${entry.permalink}|View the original conversation>`;
+  }
+  return text;
+}
+
+// Create the handler for the "Post to original thread", "Post to #decision-log" and "Keep private" buttons
+// offered once a memo is approved.
+//
+// `deps` holds the Decision Log and the memo session flow (see createMemoFlow).
+function createPublishHandler(deps) {
+  const { decisionLog, getTeamSettings } = deps;
+
+  return async function handlePublishMemo({ action, body, ack, client }) {
+    await ack();
+
+    const target = action.action_id.replace('publish_memo_', '');
+    const dmChannelId = body.channel.id;
+
+    try {
+      const entry = await decisionLog.get(action.value, body.team && body.team.id, body.user.id);
+      if (!entry) {
+        await client.chat.postMessage({
+          channel: dmChannelId,
+          text: "Sorry, I couldn't find that memo in the Decision Log anymore."
+        });
+        return;
+      }
+
+      let confirmation;
+      if (target === 'private') {
+        // Only the author can read it in the Decision Log from now on (and whoever they ask to review it)
+        await decisionLog.update(entry.id, { visibility: 'members', memberIds: [] });
+        confirmation = "🔒 Got it, this memo stays private: it won't be posted anywhere, and only you can read it in the Decision Log with `/decisionmemo show " + entry.id + "`.";
+      } else {
+        const destination = target === 'thread'
+          ? { channel: entry.channelId, thread_ts: entry.threadTs }
+          : { channel: (await getTeamSettings(entry.teamId)).decisionLogChannel };
+
+        const result = await client.chat.postMessage({
+          ...destination,
+          text: formatPublishedMemo(entry),
+          unfurl_links: false
+        });
+
+        await decisionLog.update(entry.id, {
+          published: [...(entry.published || []), {
+            target,
+            channelId: result.channel,
+            ts: result.ts,
+            publishedAt: new Date().toISOString()
+          }]
+        });
+
+        confirmation = target === 'thread'
+          ? `✅ Posted to the original thread in <#${entry.channelId}>.`
+          : `✅ Posted to <#${result.channel}>.`;
+      }
+
+      // Replace the buttons with what happened so they can't be clicked twice
+      await client.chat.update({
+        channel: dmChannelId,
+        ts: body.message.ts,
+        text: confirmation,
+        blocks: [
+          {
+            type: 'section',
+            text: { type: 'mrkdwn', text: confirmation }
+          }
+        ]
+      });
+    } catch (error) {
+      logger.error('Error publishing memo', { error });
+
+      // Provide clear guidance based on the error
+      const slackError = error.data && error.data.error;
+      const text = slackError === 'not_in_channel' || slackError === 'channel_not_found'
+        ? "Sorry, I couldn't post there. Please invite me to the channel with `/invite @Decision Memo` and try again."
+        : "Sorry, there was an error publishing your memo. Please try again.";
+
+      await client.chat.postMessage({
+        channel: dmChannelId,
+        text
+      });
+    }
+  };
+}
+
+module.exports = { createPublishHandler, getDecisionLogChannelName };
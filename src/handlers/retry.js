@@ -0,0 +1,44 @@
+// Create the handler for the "Retry generation" button posted when a memo couldn't be generated, which generates
+// the memo again from the saved session.
+//
+// `deps` holds the memo session flow (see createMemoFlow).
+function createRetryHandler(deps) {
+  const { getSession, getActiveSession, saveSession, claimStage, generateAndSendMemo } = deps;
+
+  return async function handleRetryGeneration({ body, ack, client }) {
+    await ack();
+
+    const channelId = body.channel.id;
+    const sessionKey = body.actions[0].value;
+    const conversation = sessionKey ? await getSession(sessionKey) : await getActiveSession(channelId);
+
+    // Only the first click retries, in case the button is clicked twice
+    if (!conversation || !(await claimStage(conversation, 'failed', 'generating'))) {
+      await client.chat.postMessage({
+        channel: channelId,
+        text: "Sorry, there's nothing to retry anymore. 🔁 Start again anytime with the `/decisionmemo` command or via the message shortcut."
+      });
+      return;
+    }
+
+    // Replace the button so the retry can't be started twice
+    await client.chat.update({
+      channel: channelId,
+      ts: body.message.ts,
+      text: "Retrying...",
+      blocks: [
+        {
+          type: 'section',
+          text: { type: 'mrkdwn', text: "🔁 Retrying your Decision Memo. This may take a moment... ⏳" }
+        }
+      ]
+    });
+
+    delete conversation.lastError;
+    await saveSession(conversation);
+
+    await generateAndSendMemo(client, channelId, conversation);
+  };
+}
+
+module.exports = { createRetryHandler };
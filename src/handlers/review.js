@@ -0,0 +1,274 @@
+const { logger } = require('../logger');
+const { buildScheduleReviewModal, buildReviewRequestBlocks, buildOutcomeModal } = require('../memoBlocks');
+const {
+  DEFAULT_REVIEW_DAYS,
+  SNOOZE_DAYS,
+  addDays,
+  todayIn,
+  reviewRunAt,
+  reviewOwnerOf,
+  outcomeLabel
+} = require('../reviews');
+
+// How long to wait for someone's timezone before falling back to UTC. The Web API client retries failed calls
+// for up to half an hour, which would hold up the review (or the user) for no good reason.
+const TZ_LOOKUP_TIMEOUT_MS = 2000;
+
+// Create the handlers for decision reviews: the "Set a review date…" button and modal offered when a memo is approved,
+// the scheduled job that asks the reviewer how the decision turned out, and the "Record the outcome…" and
+// "Ask me later" buttons on that question.
+//
+// `deps` holds the Decision Log and the schedule store (see scheduleStore.js), so tests can pass their own.
+function createReviewHandlers(deps) {
+  const { decisionLog, scheduleStore } = deps;
+
+  // Helper function to look up someone's timezone offset, so reviews arrive in their morning.
+  // Gives up (and uses UTC) rather than waiting on the client's retries.
+  async function lookupTzOffset(client, userId) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error('Timed out looking up the user\'s timezone')), TZ_LOOKUP_TIMEOUT_MS);
+    });
+
+    try {
+      const result = await Promise.race([client.users.info({ user: userId }), timeout]);
+      return result.user.tz_offset || 0;
+    } catch (error) {
+      logger.warn('Error looking up user timezone, using UTC', { userId, error });
+      return 0;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // Helper function to (re)schedule a memo's review, replacing any review it already had.
+  // `workspace` is the team (and org) the job has to post to: `{ teamId, enterpriseId, isEnterpriseInstall }`.
+  async function scheduleReview(client, entry, { date, reviewerId, scheduledBy, workspace }) {
+    if (entry.review && entry.review.jobId) {
+      await scheduleStore.cancel(entry.review.jobId);
+    }
+
+    const job = await scheduleStore.add({
+      type: 'memo_review',
+      teamId: workspace.teamId,
+      runAt: reviewRunAt(date, await lookupTzOffset(client, reviewerId)),
+      payload: {
+        logEntryId: entry.id,
+        enterpriseId: workspace.enterpriseId || null,
+        isEnterpriseInstall: Boolean(workspace.isEnterpriseInstall)
+      }
+    });
+
+    // The reviewer has to be able to read the memo they're asked about
+    await decisionLog.share(entry.id, reviewerId);
+    await decisionLog.update(entry.id, {
+      review: { date, reviewerId, jobId: job.id, status: 'scheduled', scheduledBy }
+    });
+    logger.info('Decision review scheduled', { logEntryId: entry.id, teamId: workspace.teamId, jobId: job.id, date });
+    return job;
+  }
+
+  // Helper function to read the workspace a button or modal came from, for the jobs it schedules
+  function workspaceOf(body) {
+    return {
+      teamId: body.team ? body.team.id : body.user.team_id,
+      enterpriseId: body.enterprise ? body.enterprise.id : null,
+      isEnterpriseInstall: Boolean(body.is_enterprise_install)
+    };
+  }
+
+  // Helper function to load the memo a button is for, letting the user know if it's gone
+  async function getEntry(client, channelId, id, teamId, userId) {
+    const entry = await decisionLog.get(id, teamId, userId);
+    if (!entry) {
+      await client.chat.postMessage({
+        channel: channelId,
+        text: `I couldn't find Decision Memo #${id}. It may have been deleted from the Decision Log.`
+      });
+    }
+    return entry;
+  }
+
+  // Handle the "Set a review date…" button by asking when, and who to ask
+  async function handleScheduleReview({ body, ack, client }) {
+    await ack();
+
+    const entry = await getEntry(client, body.channel.id, body.actions[0].value, workspaceOf(body).teamId, body.user.id);
+    if (!entry) return;
+
+    try {
+      const review = entry.review && entry.review.status === 'scheduled' ? entry.review : null;
+      await client.views.open({
+        trigger_id: body.trigger_id,
+        view: buildScheduleReviewModal(entry, {
+          channelId: body.channel.id,
+          date: review ? review.date : addDays(new Date(), DEFAULT_REVIEW_DAYS),
+          reviewerId: review ? review.reviewerId : reviewOwnerOf(entry)
+        })
+      });
+    } catch (error) {
+      logger.error('Error opening schedule review modal', { logEntryId: entry.id, error });
+    }
+  }
+
+  // Schedule the review once the modal is submitted
+  async function handleScheduleReviewSubmission({ ack, body, view, client }) {
+    const { channelId, logEntryId } = JSON.parse(view.private_metadata);
+    const values = view.state.values;
+    const date = values.date.value.selected_date;
+    const reviewerId = values.reviewer.value.selected_user;
+
+    // Reviews look back, so the date has to be after today. This is checked in UTC: Slack needs an answer
+    // within 3 seconds, so there's no time to look up anyone's timezone first.
+    if (!date || date <= todayIn(0)) {
+      await ack({ response_action: 'errors', errors: { date: 'Please pick a date after today.' } });
+      return;
+    }
+    await ack();
+
+    const workspace = workspaceOf(body);
+    const entry = await getEntry(client, channelId, logEntryId, workspace.teamId, body.user.id);
+    if (!entry) return;
+
+    try {
+      await scheduleReview(client, entry, { date, reviewerId, scheduledBy: body.user.id, workspace });
+      await client.chat.postMessage({
+        channel: channelId,
+        text: `📅 Done. On *${date}* I'll ask ${reviewerId === body.user.id ? 'you' : `<@${reviewerId}>`} how *${entry.title}* turned out. See every review that's coming up with \`/decisionmemo due\`.`
+      });
+    } catch (error) {
+      logger.error('Error scheduling decision review', { logEntryId: entry.id, error });
+      await client.chat.postMessage({
+        channel: channelId,
+        text: "Sorry, there was an error scheduling the review. Please try again."
+      });
+    }
+  }
+
+  // The scheduled `memo_review` job: DM the reviewer what the memo expected and ask how it turned out.
+  // Jobs for memos that were deleted or rescheduled since are skipped.
+  async function sendMemoReview(client, job) {
+    const entry = await decisionLog.find(job.payload.logEntryId, job.teamId);
+    if (!entry || !entry.review || entry.review.jobId !== job.id) {
+      logger.info('Skipping decision review that no longer applies', { jobId: job.id, logEntryId: job.payload.logEntryId });
+      return;
+    }
+
+    const dmResult = await client.conversations.open({
+      users: entry.review.reviewerId
+    });
+
+    await client.chat.postMessage({
+      channel: dmResult.channel.id,
+      text: `🔍 Time to look back on a decision: #${entry.id} ${entry.title}. How did it turn out?`,
+      blocks: buildReviewRequestBlocks(entry)
+    });
+
+    await decisionLog.update(entry.id, {
+      review: { ...entry.review, status: 'asked', askedAt: new Date().toISOString() }
+    });
+    logger.info('Decision review sent', { logEntryId: entry.id, teamId: job.teamId, jobId: job.id });
+  }
+
+  // Handle the "Record the outcome…" button
+  async function handleRecordOutcome({ body, ack, client }) {
+    await ack();
+
+    const entry = await getEntry(client, body.channel.id, body.actions[0].value, workspaceOf(body).teamId, body.user.id);
+    if (!entry) return;
+
+    try {
+      await client.views.open({
+        trigger_id: body.trigger_id,
+        view: buildOutcomeModal(entry, body.channel.id)
+      });
+    } catch (error) {
+      logger.error('Error opening outcome modal', { logEntryId: entry.id, error });
+    }
+  }
+
+  // Save the outcome to the memo once the modal is submitted
+  async function handleRecordOutcomeSubmission({ ack, body, view, client }) {
+    await ack();
+
+    const { channelId, logEntryId } = JSON.parse(view.private_metadata);
+    const values = view.state.values;
+
+    const entry = await getEntry(client, channelId, logEntryId, workspaceOf(body).teamId, body.user.id);
+    if (!entry) return;
+
+    try {
+      const outcome = {
+        result: values.result.value.selected_option.value,
+        summary: (values.summary.value.value || '').trim(),
+        lessons: (values.lessons.value.value || '').trim() || null,
+        recordedBy: body.user.id
+      };
+      await decisionLog.addOutcome(entry.id, outcome);
+
+      // Answering settles the review, and an earlier "Ask me later" isn't needed any more
+      if (entry.review && entry.review.status !== 'answered') {
+        if (entry.review.jobId) {
+          await scheduleStore.cancel(entry.review.jobId);
+        }
+        await decisionLog.update(entry.id, { review: { ...entry.review, status: 'answered' } });
+      }
+      logger.info('Decision outcome recorded', { logEntryId: entry.id, result: outcome.result });
+
+      await client.chat.postMessage({
+        channel: channelId,
+        text: `🙏 Thanks! I've added this outcome (${outcomeLabel(outcome.result)}) to *#${entry.id} ${entry.title}*. Read it anytime with \`/decisionmemo show ${entry.id}\`.`
+      });
+    } catch (error) {
+      logger.error('Error recording decision outcome', { logEntryId: entry.id, error });
+      await client.chat.postMessage({
+        channel: channelId,
+        text: "Sorry, there was an error saving the outcome. Please try again."
+      });
+    }
+  }
+
+  // Handle the "Ask me later" button by asking the same person again in a couple of weeks
+  async function handleSnoozeReview({ body, ack, client }) {
+    await ack();
+
+    const workspace = workspaceOf(body);
+    const entry = await getEntry(client, body.channel.id, body.actions[0].value, workspace.teamId, body.user.id);
+    if (!entry) return;
+
+    try {
+      const date = addDays(todayIn(await lookupTzOffset(client, body.user.id)), SNOOZE_DAYS);
+      await scheduleReview(client, entry, { date, reviewerId: body.user.id, scheduledBy: body.user.id, workspace });
+
+      await client.chat.update({
+        channel: body.channel.id,
+        ts: body.message.ts,
+        text: `⏰ OK, I'll ask you about #${entry.id} ${entry.title} again on ${date}.`,
+        blocks: [
+          {
+            type: 'section',
+            text: { type: 'mrkdwn', text: `⏰ OK, I'll ask you about *#${entry.id} ${entry.title}* again on *${date}*.` }
+          }
+        ]
+      });
+    } catch (error) {
+      logger.error('Error snoozing decision review', { logEntryId: entry.id, error });
+      await client.chat.postMessage({
+        channel: body.channel.id,
+        text: "Sorry, there was an error rescheduling the review. Please try again."
+      });
+    }
+  }
+
+  return {
+    scheduleReview,
+    sendMemoReview,
+    handleScheduleReview,
+    handleScheduleReviewSubmission,
+    handleRecordOutcome,
+    handleRecordOutcomeSubmission,
+    handleSnoozeReview
+  };
+}
+
+module.exports = { createReviewHandlers };
@@ -0,0 +1,229 @@
+const { logger } = require('../logger');
+const { describeBudget } = require('../memoFlow');
+const { buildRoster } = require('../participants');
+const { fetchThreadMessages, isHumanMessage, createDirectory, renderMessages } = require('../slackContext');
+const { buildSelectionBlocks } = require('../memoBlocks');
+
+// Create the handlers for memos built from a selection of messages: the "Add to Decision Memo" message shortcut,
+// and the "Create memo from selection" and "Clear selection" buttons on the selection message in the DM.
+//
+// `deps` holds the session store and the memo session flow (see createMemoFlow).
+function createSelectionHandlers(deps) {
+  const {
+    conversations,
+    listSessions,
+    saveSession,
+    setStage,
+    isCurrent,
+    chooseTemplate,
+    checkBudget,
+    sessionLogger,
+    startCapturedMemo,
+    endSession
+  } = deps;
+
+  // Handle the "Add to Decision Memo" message shortcut, which collects messages from anywhere into one memo
+  async function handleAddToSelection({ shortcut, ack, client }) {
+    await ack();
+
+    try {
+      const dmResult = await client.conversations.open({
+        users: shortcut.user.id
+      });
+      const dmChannelId = dmResult.channel.id;
+
+      // Hold the DM's lock so messages added in quick succession all end up in the same selection
+      await conversations.withLock(dmChannelId, async () => {
+        const sessions = await listSessions(dmChannelId);
+        let conversation = sessions.find(session => session.stage === 'selecting');
+
+        // A new selection sits alongside any memo that's already open, until it's turned into a memo of its own
+        if (!conversation) {
+          conversation = {
+            userId: shortcut.user.id,
+            teamId: shortcut.team.id,
+            dmChannelId,
+            name: 'Message selection',
+            parked: sessions.some(session => !session.parked),
+            template: await chooseTemplate(shortcut.team.id, shortcut.channel.id),
+            context: '',
+            participants: '',
+            selection: []
+          };
+          setStage(conversation, 'selecting');
+        }
+
+        // Skip messages that are already in the selection
+        const alreadySelected = conversation.selection.some(item =>
+          item.channelId === shortcut.channel.id && item.ts === shortcut.message.ts);
+        if (!alreadySelected) {
+          conversation.selection.push({
+            channelId: shortcut.channel.id,
+            ts: shortcut.message.ts,
+            threadTs: shortcut.message.thread_ts || null,
+            message: shortcut.message
+          });
+        }
+
+        const selectionMessage = {
+          channel: dmChannelId,
+          text: `${conversation.selection.length} messages selected for your Decision Memo`,
+          blocks: buildSelectionBlocks(conversation.selection)
+        };
+
+        // Keep one selection message up to date rather than posting a new one for every message
+        if (conversation.selectionMessageTs) {
+          await client.chat.update({ ...selectionMessage, ts: conversation.selectionMessageTs });
+        } else {
+          const result = await client.chat.postMessage(selectionMessage);
+          conversation.selectionMessageTs = result.ts;
+        }
+
+        await saveSession(conversation);
+      });
+    } catch (error) {
+      logger.error('Error adding message to selection', { error });
+    }
+  }
+
+  // Build the memo from every selected message (and the threads they belong to)
+  async function handleBuildFromSelection({ body, ack, client }) {
+    await ack();
+
+    const dmChannelId = body.channel.id;
+    const conversation = (await listSessions(dmChannelId)).find(session => session.stage === 'selecting');
+    if (!conversation || conversation.selection.length === 0) {
+      await client.chat.postMessage({
+        channel: dmChannelId,
+        text: "Your message selection has expired. Use the *Add to Decision Memo* shortcut to start a new one."
+      });
+      return;
+    }
+
+    // Keep the selection if the workspace's monthly budget is used up, so the memo can be created later
+    const budget = await checkBudget(conversation.teamId);
+    if (budget.status !== 'ok') {
+      await client.chat.postMessage({
+        channel: dmChannelId,
+        text: describeBudget(budget)
+      });
+      if (budget.blocked) return;
+    }
+
+    // Take the selection while holding the DM's lock, so clicking the button twice only builds one memo
+    const selection = await conversations.withLock(dmChannelId, async () => {
+      if (!conversation.selection || !(await isCurrent(conversation))) return null;
+      const taken = conversation.selection;
+      delete conversation.selection;
+      await saveSession(conversation);
+      return taken;
+    });
+    if (!selection) return;
+
+    try {
+      await client.chat.update({
+        channel: dmChannelId,
+        ts: body.message.ts,
+        text: `Creating a Decision Memo from ${selection.length} selected messages`,
+        blocks: [
+          {
+            type: 'section',
+            text: { type: 'mrkdwn', text: `📌 Creating a Decision Memo from ${selection.length} selected messages.` }
+          }
+        ]
+      });
+
+      const directory = createDirectory(client);
+      const renderedThreads = new Set();
+      const parts = [];
+      const sourceMessages = [];
+      let unreadableThreads = 0;
+
+      for (const item of selection) {
+        const channelName = await directory.lookupChannel(item.channelId);
+
+        // Include the whole thread a message belongs to, but only once per thread
+        if (item.threadTs) {
+          const threadKey = `${item.channelId}:${item.threadTs}`;
+          if (renderedThreads.has(threadKey)) continue;
+          renderedThreads.add(threadKey);
+
+          try {
+            const thread = (await fetchThreadMessages(client, item.channelId, item.threadTs)).filter(isHumanMessage);
+            parts.push(`--- Thread in #${channelName} ---\n${await renderMessages(thread, directory)}`);
+            sourceMessages.push(...thread);
+            continue;
+          } catch (error) {
+            logger.error('Error fetching thread for selected message', { error });
+            unreadableThreads++;
+          }
+        }
+
+        parts.push(`--- Message in #${channelName} ---\n${await renderMessages([item.message], directory)}`);
+        sourceMessages.push(item.message);
+      }
+
+      // Who may read the memo depends on every channel the selection came from
+      conversation.sourceChannelIds = Array.from(new Set(selection.map(item => item.channelId)));
+
+      // Link back to the source thread if everything came from a single one
+      const sourceThreads = new Set(selection.map(item => `${item.channelId}:${item.threadTs || item.ts}`));
+      if (sourceThreads.size === 1) {
+        conversation.originalChannel = selection[0].channelId;
+        conversation.threadTs = selection[0].threadTs || selection[0].ts;
+      }
+
+      conversation.context = parts.join('\n\n');
+      conversation.roster = await buildRoster(directory, sourceMessages);
+      let introText = `:memo: I'm creating a Decision Memo from the ${selection.length} messages you selected.`;
+      if (unreadableThreads > 0) {
+        introText += `\n\n:warning: I couldn't read ${unreadableThreads} of the threads, so I've only used the selected message from ${unreadableThreads === 1 ? 'it' : 'them'}. Invite me to those channels with \`/invite @Decision Memo\` to include the full threads.`;
+      }
+
+      delete conversation.selectionMessageTs;
+      await startCapturedMemo(client, dmChannelId, conversation, introText, 'selection');
+    } catch (error) {
+      sessionLogger(conversation).error('Error creating memo from selection', { error });
+
+      // Put the selection back if the memo never got going, so the user can try again
+      if (conversation.stage === 'selecting') {
+        conversation.selection = selection;
+        await saveSession(conversation);
+      }
+      await client.chat.postMessage({
+        channel: dmChannelId,
+        text: "Sorry, there was an error creating a memo from your selection. Please try again."
+      });
+    }
+  }
+
+  // Throw away the current message selection
+  async function handleClearSelection({ body, ack, client }) {
+    await ack();
+
+    const conversation = (await listSessions(body.channel.id)).find(session => session.stage === 'selecting');
+    if (conversation) {
+      await endSession(client, conversation);
+    }
+
+    await client.chat.update({
+      channel: body.channel.id,
+      ts: body.message.ts,
+      text: "Selection cleared",
+      blocks: [
+        {
+          type: 'section',
+          text: { type: 'mrkdwn', text: "🧹 Selection cleared. Use the *Add to Decision Memo* shortcut to start a new one." }
+        }
+      ]
+    });
+  }
+
+  return {
+    handleAddToSelection,
+    handleBuildFromSelection,
+    handleClearSelection
+  };
+}
+
+module.exports = { createSelectionHandlers };
@@ -0,0 +1,124 @@
+const { sessionLabel, describeStage } = require('../memoFlow');
+
+// Create the handlers for the buttons that manage the memo sessions in a DM: "Resume", "Replace it" and "Run both"
+// on the question asked when a new memo is started while another one is open, and "Switch to" in the list from
+// `/decisionmemo sessions`.
+//
+// `deps` holds the session store, the metrics counters and the memo session flow (see createMemoFlow).
+function createSessionActionHandlers(deps) {
+  const { conversations, counters, sessionLogger, getSession, isCurrent, beginSession, switchToSession, discardDraft } = deps;
+  const { memosStopped } = counters;
+
+  // Helper function to replace the question's buttons with what the user chose
+  async function answerPrompt(client, body, text) {
+    await client.chat.update({
+      channel: body.channel.id,
+      ts: body.message.ts,
+      text,
+      blocks: [
+        {
+          type: 'section',
+          text: { type: 'mrkdwn', text }
+        }
+      ]
+    });
+  }
+
+  // Helper function to load the sessions a question is about, taking the new session's opening so that
+  // a second click can't act on it again. Lets the user know if the new session has expired.
+  async function claimNewSession(client, body) {
+    const { newKey, openKey } = JSON.parse(body.actions[0].value);
+
+    const claimed = await conversations.withLock(body.channel.id, async () => {
+      const newConversation = await getSession(newKey);
+      if (!newConversation || newConversation.stage !== 'pending' || !newConversation.opening) return null;
+
+      const opening = newConversation.opening;
+      delete newConversation.opening;
+      return { newConversation, opening, openConversation: await getSession(openKey) };
+    });
+
+    if (!claimed) {
+      await answerPrompt(client, body, "This memo request has expired. 🔁 Start again anytime with the `/decisionmemo` command or via the message shortcut.");
+    }
+    return claimed;
+  }
+
+  // Keep the memo that's already open and drop the new one
+  async function handleResumeOpenSession({ body, ack, client }) {
+    await ack();
+
+    const claimed = await claimNewSession(client, body);
+    if (!claimed) return;
+    const { newConversation, openConversation } = claimed;
+
+    await conversations.delete(newConversation.key);
+
+    const openText = openConversation
+      ? `*${sessionLabel(openConversation)}* (${describeStage(openConversation)})`
+      : 'your open memo';
+    await answerPrompt(client, body, `👍 Carrying on with ${openText}. I've dropped the new memo.`);
+  }
+
+  // Discard the memo that's open and start the new one in its place
+  async function handleReplaceOpenSession({ body, ack, client }) {
+    await ack();
+
+    const claimed = await claimNewSession(client, body);
+    if (!claimed) return;
+    const { newConversation, opening, openConversation } = claimed;
+
+    // Anything still working on the old memo (like a generation in flight) sees it's gone and stops
+    if (openConversation && await isCurrent(openConversation)) {
+      await conversations.delete(openConversation.key);
+      await discardDraft(openConversation);
+      memosStopped.inc();
+      sessionLogger(openConversation).info('Memo session replaced by a new one', {
+        stage: openConversation.stage,
+        replacedBy: newConversation.sessionId
+      });
+    }
+
+    await answerPrompt(client, body, `🗑️ I've discarded ${openConversation ? `*${sessionLabel(openConversation)}*` : 'the open memo'} and started *${sessionLabel(newConversation)}*.`);
+    await beginSession(client, newConversation, opening);
+  }
+
+  // Start the new memo and put the open one aside, to switch back to later
+  async function handleRunBothSessions({ body, ack, client }) {
+    await ack();
+
+    const claimed = await claimNewSession(client, body);
+    if (!claimed) return;
+    const { newConversation, opening, openConversation } = claimed;
+
+    const asideText = openConversation ? `*${sessionLabel(openConversation)}* is on hold` : 'Your other memo is on hold';
+    await answerPrompt(client, body, `▶️ Running both. *${sessionLabel(newConversation)}* is starting now and ${asideText}: switch back anytime with \`/decisionmemo sessions\`.`);
+    await beginSession(client, newConversation, opening);
+  }
+
+  // Make another open memo the one the DM is working on
+  async function handleSwitchSession({ body, ack, client }) {
+    await ack();
+
+    const conversation = await getSession(body.actions[0].value);
+    if (!conversation || conversation.stage === 'pending') {
+      const dm = await client.conversations.open({ users: body.user.id });
+      await client.chat.postMessage({
+        channel: dm.channel.id,
+        text: "Sorry, that Decision Memo is no longer open. Use `/decisionmemo sessions` to see the ones that are."
+      });
+      return;
+    }
+
+    await switchToSession(client, conversation);
+  }
+
+  return {
+    handleResumeOpenSession,
+    handleReplaceOpenSession,
+    handleRunBothSessions,
+    handleSwitchSession
+  };
+}
+
+module.exports = { createSessionActionHandlers };
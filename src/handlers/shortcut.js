@@ -0,0 +1,210 @@
+const crypto = require('crypto');
+const { logger } = require('../logger');
+const { describeBudget } = require('../memoFlow');
+const { buildRoster } = require('../participants');
+const {
+  fetchThreadMessages,
+  isHumanMessage,
+  createDirectory,
+  renderMessages
+} = require('../slackContext');
+
+// Create the "Create a Decision Memo" message shortcut handler, which starts a memo from a message or its whole thread.
+//
+// `deps` holds the session store and the memo session flow (see createMemoFlow), so tests can pass their own.
+function createShortcutHandler(deps) {
+  const { checkBudget, chooseTemplate, openSession } = deps;
+
+  return async function handleMemoShortcut({ shortcut, ack, client }) {
+    // Acknowledge the shortcut request
+    await ack();
+
+    // Every log line for this memo carries the session ID, from the shortcut through to the LLM calls
+    const sessionId = crypto.randomUUID();
+    const log = logger.child({ sessionId, teamId: shortcut.team.id, userId: shortcut.user.id });
+
+    try {
+      // Get the message text from the shortcut
+      const messageText = shortcut.message.text || "";
+
+      // Open a DM with the user who triggered the shortcut
+      const dmResult = await client.conversations.open({
+        users: shortcut.user.id
+      });
+
+      const dmChannelId = dmResult.channel.id;
+
+      // New memos are paused once the workspace's monthly budget is used up
+      const budget = await checkBudget(shortcut.team.id);
+      if (budget.status !== 'ok') {
+        await client.chat.postMessage({
+          channel: dmChannelId,
+          text: describeBudget(budget)
+        });
+        if (budget.blocked) return;
+      }
+
+      // Create a link to the DM
+      const dmLink = `slack://channel?team=${shortcut.team.id}&id=${dmChannelId}`;
+
+      // If we're in a thread, get the thread timestamp
+      const threadTs = shortcut.message.thread_ts || shortcut.message.ts;
+
+      // Post a message in the thread that only mentions the user who triggered the shortcut
+      // This will appear in the thread and notify only that user
+      try {
+        await client.chat.postMessage({
+          channel: shortcut.channel.id,
+          thread_ts: threadTs,
+          text: `<@${shortcut.user.id}> :memo: I'm creating a Decision Memo based on this thread. <${dmLink}|Click here to open our conversation> and I'll guide you through the process.`,
+          unfurl_links: false
+        });
+      } catch (error) {
+        log.warn('Error sending thread notification', { error });
+        // Continue with the process anyway
+      }
+
+      // Names, titles and channel names are looked up once and reused for every message
+      const directory = createDirectory(client);
+
+      let threadMessages = [shortcut.message];
+      let threadFetchFailed = false;
+
+      // Try to fetch all thread messages (every page of them) if we're in a thread
+      if (shortcut.message.thread_ts) {
+        try {
+          const allMessages = await fetchThreadMessages(client, shortcut.channel.id, shortcut.message.thread_ts);
+
+          // Check if we really got the thread messages
+          if (allMessages.length > 0) {
+            // Filter out messages from bots (including this one) and Slack housekeeping like channel joins,
+            // but keep file shares, edited messages and huddle notes
+            const humanMessages = allMessages.filter(isHumanMessage);
+
+            log.debug('Fetched thread', { messageCount: allMessages.length, humanMessageCount: humanMessages.length });
+
+            // Update threadMessages to only contain human messages
+            threadMessages = humanMessages;
+          }
+        } catch (threadError) {
+          log.error('Error fetching thread messages', { error: threadError });
+          threadFetchFailed = true;
+        }
+      }
+
+      // Build the context with real names, expanded links and anything that was shared
+      const threadContent = threadFetchFailed ? '' : await renderMessages(threadMessages, directory);
+
+      // Store conversation state
+      const conversation = {
+        sessionId,
+        userId: shortcut.user.id,
+        teamId: shortcut.team.id,
+        dmChannelId,
+        template: await chooseTemplate(shortcut.team.id, shortcut.channel.id),
+        context: threadContent,
+        participants: '',
+        roster: threadFetchFailed ? [] : await buildRoster(directory, threadMessages),
+        rawMessages: threadMessages,
+        originalChannel: shortcut.channel.id,
+        threadTs: shortcut.message.thread_ts || shortcut.message.ts
+      };
+
+      // Show the user what was captured
+      if (shortcut.message.thread_ts && threadFetchFailed) {
+        // Bot is not in the channel and can't access thread messages
+        const channelId = shortcut.channel.id;
+
+        let capturedPreviewText = `:warning: Thanks for using the Decision Memo tool. Before we can proceed, *I need to be added to the <#${channelId}> channel so I can access thread messages.*\n\n`;
+        capturedPreviewText += "*To add me to the channel:*\n";
+        capturedPreviewText += `1. Go to <#${channelId}>\n`;
+        capturedPreviewText += "2. Type and send: `/invite @Decision Memo`\n";
+        capturedPreviewText += "3. Launch the message shortcut again in your thread\n\n";
+
+        // Let the user know (we're stopping until they try again, so any memo they have open carries on)
+        await client.chat.postMessage({
+          channel: dmChannelId,
+          text: capturedPreviewText
+        });
+        return;
+      }
+
+      // The messages that introduce the memo in the DM
+      const openingMessages = [];
+
+      if (shortcut.message.thread_ts) {
+        // We got thread messages successfully
+        // First, provide context about what we're doing
+        openingMessages.push({
+          text: `:memo: I'm creating a Decision Memo based on the thread in <#${shortcut.channel.id}>. (Respond with "stop" at any time to terminate this process)`
+        });
+
+        // Get the first message in the thread (the parent message)
+        let parentMessage = threadMessages[0];
+        for (let msg of threadMessages) {
+          if (!msg.thread_ts || msg.thread_ts === msg.ts) {
+            // This is a parent message (either it has no thread_ts or its thread_ts equals its own ts)
+            parentMessage = msg;
+            break;
+          }
+        }
+
+        // Format the parent message for display
+        const parentText = parentMessage.text || '';
+        const parentLines = parentText.split('\n');
+        const blockquotedParent = parentLines.map(line => `>${line}`).join('\n');
+
+        // Then show the first message and that we've captured everything
+        let previewMessage = `I've captured the thread starting with this message:\n\n`;
+        previewMessage += `${blockquotedParent}\n\n`;
+        previewMessage += "I'm analyzing the conversation to determine if I need any clarifying information...";
+
+        // Let the user know we're starting a Decision Memo process
+        openingMessages.push({ text: previewMessage });
+      } else {
+        // We only have one message (not in a thread)
+        // First, provide context about what we're doing
+        openingMessages.push({
+          text: `:memo: I'm creating a Decision Memo based on a message from <#${shortcut.channel.id}>. (Respond with "stop" at any time to terminate this process)`
+        });
+
+        // Format the message for display
+        const messageLines = messageText.split('\n');
+        const blockquotedText = messageLines.map(line => `>${line}`).join('\n');
+
+        // Then show the message that we've captured
+        let previewMessage = `I've captured the message:\n\n`;
+        previewMessage += `${blockquotedText}\n\n`;
+        previewMessage += "I'm analyzing the conversation to determine if I need any clarifying information...";
+
+        // Send the preview
+        openingMessages.push({ text: previewMessage });
+      }
+
+      // Generate clarifying questions directly (once the user has decided what to do with any memo already open)
+      await openSession(client, conversation, { stage: 'asking_questions', source: 'shortcut', messages: openingMessages });
+    } catch (error) {
+      log.error('Error processing message shortcut', { error });
+
+      // Try to notify the user of the error in the thread
+      try {
+        // Get the thread ts if it exists
+        const errorThreadTs = shortcut.message?.thread_ts || shortcut.message?.ts;
+
+        // Post an error message in the thread mentioning only the user who triggered the shortcut
+        if (shortcut.channel && shortcut.user && errorThreadTs) {
+          await client.chat.postMessage({
+            channel: shortcut.channel.id,
+            thread_ts: errorThreadTs,
+            text: `:warning: <@${shortcut.user.id}> Sorry, there was an error processing your Decision Memo request. Please try again.`,
+            unfurl_links: false
+          });
+        }
+      } catch (messageError) {
+        log.error('Failed to send error notification', { error: messageError });
+      }
+    }
+  };
+}
+
+module.exports = { createShortcutHandler };
@@ -0,0 +1,254 @@
+const { FILE_FORMAT_LABELS, describeFileFormats } = require('./extractors');
+
+function truncate(text, maxLength) {
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
+
+function describeChannel(channel) {
+  if (!channel) return '_Not set_';
+  return /^[CG][A-Z0-9]+$/.test(channel) ? `<#${channel}>` : channel;
+}
+
+function formatBudget(settings, spentUsd) {
+  const spent = `$${spentUsd.toFixed(2)}`;
+  return settings.monthlyBudgetUsd
+    ? `${spent} of $${settings.monthlyBudgetUsd.toFixed(2)} used this month`
+    : `No limit (${spent} used this month)`;
+}
+
+// Build the App Home tab: how to use the app, and the workspace's settings (editable by admins).
+// `spentUsd` is what the workspace's LLM calls have cost so far this month.
+function buildHomeView(settings, { isAdmin = false, templates = [], spentUsd = 0 } = {}) {
+  const template = templates.find(candidate => candidate.name === settings.defaultTemplate);
+
+  const fields = [
+    `*Default template*\n${template ? template.label : settings.defaultTemplate}`,
+    `*Decision Log channel*\n${describeChannel(settings.decisionLogChannel)}`,
+    `*Clarifying questions*\nUp to ${settings.maxClarifyingQuestions} per round, ${settings.maxClarifyingRounds} round${settings.maxClarifyingRounds === 1 ? '' : 's'} at most`,
+    `*Final question*\n${settings.finalQuestion ? truncate(settings.finalQuestion, 150) : '_None_'}`,
+    `*Allowed file types*\n${describeFileFormats(settings.allowedFileFormats) || '_None_'}`,
+    `*Keep memos for*\n${settings.retentionDays ? `${settings.retentionDays} days` : 'Forever'}`,
+    `*Feedback contact*\n${settings.feedbackContact}`,
+    `*Monthly LLM budget*\n${formatBudget(settings, spentUsd)}`
+  ];
+
+  const blocks = [
+    {
+      type: 'header',
+      text: { type: 'plain_text', text: '📝 Decision Memo', emoji: true }
+    },
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: "Turn Slack discussions into clear Decision Memos. Run `/decisionmemo` to start, use the *Decision Memo* shortcut on any thread, `/decisionmemo search <terms>` to find past decisions, or `/decisionmemo usage` to see what the app has cost this month."
+      }
+    },
+    { type: 'divider' },
+    {
+      type: 'section',
+      text: { type: 'mrkdwn', text: '*⚙️ Workspace settings*' }
+    },
+    {
+      type: 'section',
+      fields: fields.slice(0, 4).map(text => ({ type: 'mrkdwn', text }))
+    },
+    {
+      type: 'section',
+      fields: fields.slice(4).map(text => ({ type: 'mrkdwn', text }))
+    }
+  ];
+
+  if (isAdmin) {
+    blocks.push({
+      type: 'actions',
+      block_id: 'workspace_settings',
+      elements: [
+        {
+          type: 'button',
+          action_id: 'open_workspace_settings',
+          text: { type: 'plain_text', text: 'Edit settings', emoji: true },
+          style: 'primary'
+        }
+      ]
+    });
+  } else {
+    blocks.push({
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: 'Only workspace admins can change these settings.' }]
+    });
+  }
+
+  return {
+    type: 'home',
+    blocks
+  };
+}
+
+// Build the modal where admins change the workspace's settings
+function buildSettingsModal(settings, { templates = [] } = {}) {
+  const templateOptions = templates.map(template => ({
+    text: { type: 'plain_text', text: truncate(template.label, 75) },
+    value: template.name
+  }));
+
+  const questionOptions = [0, 1, 2, 3, 4, 5].map(count => ({
+    text: { type: 'plain_text', text: count === 0 ? '0 (only the final question)' : String(count) },
+    value: String(count)
+  }));
+
+  const roundOptions = [1, 2, 3, 4, 5].map(count => ({
+    text: { type: 'plain_text', text: count === 1 ? '1 (no follow-up questions)' : String(count) },
+    value: String(count)
+  }));
+
+  const formatOptions = Object.entries(FILE_FORMAT_LABELS).map(([format, label]) => ({
+    text: { type: 'plain_text', text: label },
+    value: format
+  }));
+
+  const channelSelect = {
+    type: 'conversations_select',
+    action_id: 'value',
+    placeholder: { type: 'plain_text', text: 'Choose a channel' },
+    filter: { include: ['public', 'private'], exclude_bot_users: true }
+  };
+  if (/^[CG][A-Z0-9]+$/.test(settings.decisionLogChannel || '')) {
+    channelSelect.initial_conversation = settings.decisionLogChannel;
+  }
+
+  const finalQuestionInput = {
+    type: 'plain_text_input',
+    action_id: 'value',
+    max_length: 300
+  };
+  if (settings.finalQuestion) finalQuestionInput.initial_value = settings.finalQuestion;
+
+  const allowedFormatsInput = {
+    type: 'checkboxes',
+    action_id: 'value',
+    options: formatOptions
+  };
+  const initialFormats = formatOptions.filter(option => settings.allowedFileFormats.includes(option.value));
+  if (initialFormats.length > 0) allowedFormatsInput.initial_options = initialFormats;
+
+  const retentionInput = {
+    type: 'number_input',
+    action_id: 'value',
+    is_decimal_allowed: false,
+    min_value: '1',
+    placeholder: { type: 'plain_text', text: 'Keep memos forever' }
+  };
+  if (settings.retentionDays) retentionInput.initial_value = String(settings.retentionDays);
+
+  const contactSelect = {
+    type: 'users_select',
+    action_id: 'value',
+    placeholder: { type: 'plain_text', text: 'Choose a person' }
+  };
+  if (settings.feedbackContactId) contactSelect.initial_user = settings.feedbackContactId;
+
+  const budgetInput = {
+    type: 'number_input',
+    action_id: 'value',
+    is_decimal_allowed: true,
+    min_value: '0.01',
+    placeholder: { type: 'plain_text', text: 'No limit' }
+  };
+  if (settings.monthlyBudgetUsd) budgetInput.initial_value = String(settings.monthlyBudgetUsd);
+
+  return {
+    type: 'modal',
+    callback_id: 'workspace_settings_modal',
+    title: { type: 'plain_text', text: 'Workspace settings' },
+    submit: { type: 'plain_text', text: 'Save' },
+    close: { type: 'plain_text', text: 'Cancel' },
+    blocks: [
+      {
+        type: 'input',
+        block_id: 'default_template',
+        label: { type: 'plain_text', text: 'Default template' },
+        hint: { type: 'plain_text', text: 'Used unless a channel has its own default or someone picks another with template:<name>' },
+        element: {
+          type: 'static_select',
+          action_id: 'value',
+          options: templateOptions,
+          initial_option: templateOptions.find(option => option.value === settings.defaultTemplate) || templateOptions[0]
+        }
+      },
+      {
+        type: 'input',
+        block_id: 'decision_log_channel',
+        optional: true,
+        label: { type: 'plain_text', text: 'Decision Log channel' },
+        hint: { type: 'plain_text', text: 'Offered by the "Post to #decision-log" button once a memo is approved' },
+        element: channelSelect
+      },
+      {
+        type: 'input',
+        block_id: 'max_clarifying_questions',
+        label: { type: 'plain_text', text: 'Clarifying questions' },
+        hint: { type: 'plain_text', text: 'The most questions the bot may ask in each round' },
+        element: {
+          type: 'static_select',
+          action_id: 'value',
+          options: questionOptions,
+          initial_option: questionOptions.find(option => option.value === String(settings.maxClarifyingQuestions)) || questionOptions[2]
+        }
+      },
+      {
+        type: 'input',
+        block_id: 'max_clarifying_rounds',
+        label: { type: 'plain_text', text: 'Clarifying rounds' },
+        hint: { type: 'plain_text', text: 'How many rounds of questions the bot may ask, counting the first. After each reply it asks follow-ups about anything still thin.' },
+        element: {
+          type: 'static_select',
+          action_id: 'value',
+          options: roundOptions,
+          initial_option: roundOptions.find(option => option.value === String(settings.maxClarifyingRounds)) || roundOptions[2]
+        }
+      },
+      {
+        type: 'input',
+        block_id: 'final_question',
+        optional: true,
+        label: { type: 'plain_text', text: 'Final question' },
+        hint: { type: 'plain_text', text: 'Always asked after the clarifying questions. Leave it empty to skip it.' },
+        element: finalQuestionInput
+      },
+      {
+        type: 'input',
+        block_id: 'allowed_file_formats',
+        optional: true,
+        label: { type: 'plain_text', text: 'Allowed file types' },
+        element: allowedFormatsInput
+      },
+      {
+        type: 'input',
+        block_id: 'retention_days',
+        optional: true,
+        label: { type: 'plain_text', text: 'Keep memos for (days)' },
+        hint: { type: 'plain_text', text: 'Memos older than this are deleted from the Decision Log. Leave it empty to keep them forever.' },
+        element: retentionInput
+      },
+      {
+        type: 'input',
+        block_id: 'feedback_contact',
+        optional: true,
+        label: { type: 'plain_text', text: 'Feedback contact' },
+        hint: { type: 'plain_text', text: 'Who people should send feedback about the app to' },
+        element: contactSelect
+      },
+      {
+        type: 'input',
+        block_id: 'monthly_budget',
+        optional: true,
+        label: { type: 'plain_text', text: 'Monthly LLM budget (USD)' },
+        hint: { type: 'plain_text', text: 'People are warned at 80% and new memos are paused once it is used up. Leave it empty for no limit.' },
+        element: budgetInput
+      }
+    ]
+  };
+}
+
+module.exports = { buildHomeView, buildSettingsModal };
@@ -0,0 +1,66 @@
+const path = require('path');
+const { readJsonFile, createJsonFileWriter } = require('./jsonFile');
+
+// Org-wide (Enterprise Grid) installs cover every workspace in the org, so they're keyed by
+// enterprise; everything else is keyed by the workspace it was installed to.
+function installationKey({ isEnterpriseInstall, enterpriseId, teamId }) {
+  if (isEnterpriseInstall && enterpriseId) {
+    return `enterprise:${enterpriseId}`;
+  }
+  return `team:${teamId}`;
+}
+
+// Create the installation store Bolt's OAuth flow uses: the bot token (and installer details)
+// for every workspace or org the app is installed to, saved to a local JSON file.
+function createInstallationStore(options = {}) {
+  const filePath = options.filePath || path.join(process.cwd(), 'data', 'installations.json');
+  const state = readJsonFile(filePath, { installations: {} });
+  state.installations = state.installations || {};
+
+  // The file holds bot tokens, so only the app's own user can read it
+  const saveState = createJsonFileWriter(filePath, { mode: 0o600, label: 'installations' });
+  const persist = () => saveState(state);
+
+  // Called by Bolt when someone finishes installing (or reinstalling) the app
+  async function storeInstallation(installation) {
+    const key = installationKey({
+      isEnterpriseInstall: installation.isEnterpriseInstall,
+      enterpriseId: installation.enterprise && installation.enterprise.id,
+      teamId: installation.team && installation.team.id
+    });
+
+    state.installations[key] = {
+      ...installation,
+      installedAt: new Date().toISOString()
+    };
+    await persist();
+  }
+
+  // Called by Bolt for every incoming request, to find the token for the team that sent it
+  async function fetchInstallation(query) {
+    const installation = state.installations[installationKey(query)];
+    if (!installation) {
+      throw new Error(`No installation found for ${installationKey(query)}`);
+    }
+    return installation;
+  }
+
+  // Forget an installation, e.g. once the app is uninstalled or its tokens are revoked
+  async function deleteInstallation(query) {
+    const key = installationKey(query);
+    if (!state.installations[key]) return false;
+
+    delete state.installations[key];
+    await persist();
+    return true;
+  }
+
+  // How many workspaces and orgs the app is installed to
+  async function count() {
+    return Object.keys(state.installations).length;
+  }
+
+  return { storeInstallation, fetchInstallation, deleteInstallation, count };
+}
+
+module.exports = { createInstallationStore };
@@ -0,0 +1,97 @@
+const { logger } = require('./logger');
+
+// How often the runner looks for jobs that are due
+const DEFAULT_INTERVAL_MS = 5 * 60 * 1000;
+
+// A job that throws is tried again after this long (times the number of attempts so far), up to MAX_ATTEMPTS times
+const RETRY_DELAY_MS = 15 * 60 * 1000;
+const MAX_ATTEMPTS = 5;
+
+// Helper function to describe why a job failed, without request bodies or response payloads
+function describeJobError(error) {
+  return (error.data && error.data.error) || error.code || error.message;
+}
+
+// Create the local job runner: every `intervalMs` it runs the scheduled jobs in `store` (see scheduleStore.js)
+// that are due, one at a time, with the handler registered for the job's type in `handlers`,
+// e.g. { memo_review: async job => ... }.
+function createJobRunner({ store, handlers, intervalMs = DEFAULT_INTERVAL_MS, retryDelayMs = RETRY_DELAY_MS, maxAttempts = MAX_ATTEMPTS }) {
+  let timer = null;
+  let running = null;
+
+  async function runJob(job) {
+    const log = logger.child({ jobId: job.id, jobType: job.type, teamId: job.teamId });
+    const handler = handlers[job.type];
+    if (!handler) {
+      log.error('No handler for scheduled job');
+      await store.update(job.id, { status: 'failed', lastError: `no handler for ${job.type} jobs` });
+      return false;
+    }
+
+    try {
+      await handler(job);
+      await store.update(job.id, { status: 'done', completedAt: new Date().toISOString() });
+      log.info('Ran scheduled job');
+      return true;
+    } catch (error) {
+      const attempts = (job.attempts || 0) + 1;
+      const lastError = describeJobError(error);
+
+      if (attempts >= maxAttempts) {
+        log.error('Scheduled job failed for the last time', { error, attempts });
+        await store.update(job.id, { status: 'failed', attempts, lastError });
+      } else {
+        log.warn('Scheduled job failed, trying again later', { error, attempts });
+        await store.update(job.id, {
+          status: 'scheduled',
+          attempts,
+          lastError,
+          runAt: new Date(Date.now() + retryDelayMs * attempts).toISOString()
+        });
+      }
+      return false;
+    }
+  }
+
+  async function runAll(now) {
+    let completed = 0;
+    for (const due of await store.listDue(now)) {
+      const job = await store.claim(due.id);
+      if (job && await runJob(job)) completed++;
+    }
+    return completed;
+  }
+
+  // Run every job that's due at `now`, returning how many ran successfully.
+  // Runs never overlap: asking again while one is going waits for it to finish instead.
+  function runDue(now = new Date()) {
+    if (!running) {
+      running = runAll(now).finally(() => { running = null; });
+    }
+    return running;
+  }
+
+  // Requeue anything a restart interrupted, run what's due and then keep checking every `intervalMs`
+  async function start() {
+    const requeued = await store.requeueRunning();
+    if (requeued > 0) {
+      logger.warn('Requeued scheduled jobs interrupted by a restart', { requeued });
+    }
+
+    timer = setInterval(() => {
+      runDue().catch(error => logger.error('Error running scheduled jobs', { error }));
+    }, intervalMs);
+    timer.unref();
+
+    return runDue();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { runDue, start, stop };
+}
+
+module.exports = { createJobRunner };
@@ -0,0 +1,53 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+// Read a JSON file, returning the fallback if it doesn't exist yet.
+// Any other problem (a file we can't read or parse) throws, so a damaged file stops the app
+// instead of being silently replaced with the fallback on the next write.
+function readJsonFile(filePath, fallback) {
+  let text;
+  try {
+    text = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback;
+    throw error;
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`${filePath} is not valid JSON. Fix it or move it aside to start fresh.`, { cause: error });
+  }
+}
+
+// Write a JSON file atomically (write to a temp file, then rename over the original)
+// so a crash mid-write never leaves a half-written file behind.
+// Pass `mode` (e.g. 0o600 for files holding secrets) to set the file's permissions instead of the umask default.
+async function writeJsonFile(filePath, data, { mode } = {}) {
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tempPath, JSON.stringify(data, null, 2), mode ? { mode } : undefined);
+  if (mode) {
+    // writeFile only applies the mode to new files, so set it on a temp file left over from a crash too
+    await fs.promises.chmod(tempPath, mode);
+  }
+  await fs.promises.rename(tempPath, filePath);
+}
+
+// Create a function that saves data to a JSON file, chaining writes so two saves never race each other on disk.
+// Each save writes the data as it was when called. A failed save is logged as "Error saving <label>" and
+// doesn't stop later ones. `mode` is passed on to writeJsonFile.
+function createJsonFileWriter(filePath, { mode, label = filePath } = {}) {
+  let pendingWrite = Promise.resolve();
+
+  return function save(data) {
+    const snapshot = JSON.parse(JSON.stringify(data));
+    pendingWrite = pendingWrite
+      .then(() => writeJsonFile(filePath, snapshot, { mode }))
+      .catch(error => logger.error(`Error saving ${label}`, { error }));
+    return pendingWrite;
+  };
+}
+
+module.exports = { readJsonFile, writeJsonFile, createJsonFileWriter };
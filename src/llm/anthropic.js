@@ -0,0 +1,41 @@
+const axios = require('axios');
+
+// Anthropic Messages API
+function createAnthropicProvider(config) {
+  const baseUrl = config.baseUrl || 'https://api.anthropic.com';
+
+  async function complete({ prompt, maxTokens, temperature }) {
+    const response = await axios.post(`${baseUrl}/v1/messages`, {
+      model: config.model,
+      max_tokens: maxTokens,
+      temperature,
+      messages: [
+        {
+          role: "user",
+          content: prompt
+        }
+      ]
+    }, {
+      timeout: config.timeoutMs,
+      headers: {
+        'Content-Type': 'application/json',
+        'anthropic-version': '2023-06-01',
+        'x-api-key': config.apiKey
+      }
+    });
+
+    const usage = response.data.usage || {};
+    return {
+      text: response.data.content[0].text,
+      model: response.data.model || config.model,
+      usage: {
+        inputTokens: usage.input_tokens || 0,
+        outputTokens: usage.output_tokens || 0
+      }
+    };
+  }
+
+  return { name: 'anthropic', complete };
+}
+
+module.exports = { createAnthropicProvider };
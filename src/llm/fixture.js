@@ -0,0 +1,44 @@
+const { readJsonFile } = require('../jsonFile');
+
+// Replays recorded responses so the whole flow can run without a network.
+//
+// A fixture file looks like:
+// { "responses": [ { "purpose": "memo", "match": "optional text in the prompt", "text": "..." } ] }
+//
+// For each call we use the first response with the same purpose whose `match` (if any) appears in
+// the prompt. When several responses match, they're replayed in order and the last one repeats.
+function createFixtureProvider(config) {
+  const fixtures = readJsonFile(config.fixturePath, null);
+  if (!fixtures || !Array.isArray(fixtures.responses)) {
+    throw new Error(`No LLM fixtures found at ${config.fixturePath}`);
+  }
+
+  const callCounts = new Map();
+
+  async function complete({ purpose, prompt }) {
+    const candidates = fixtures.responses.filter(response =>
+      response.purpose === purpose && (!response.match || prompt.includes(response.match)));
+
+    if (candidates.length === 0) {
+      throw new Error(`No LLM fixture recorded for purpose "${purpose}"`);
+    }
+
+    const key = `${purpose}:${candidates.map(candidate => fixtures.responses.indexOf(candidate)).join(',')}`;
+    const callCount = callCounts.get(key) || 0;
+    callCounts.set(key, callCount + 1);
+
+    const response = candidates[Math.min(callCount, candidates.length - 1)];
+    return {
+      text: response.text,
+      model: response.model || 'fixture',
+      usage: response.usage || {
+        inputTokens: Math.ceil(prompt.length / 4),
+        outputTokens: Math.ceil(response.text.length / 4)
+      }
+    };
+  }
+
+  return { name: 'fixture', complete };
+}
+
+module.exports = { createFixtureProvider };
@@ -0,0 +1,161 @@
+const path = require('path');
+const { readJsonFile, writeJsonFile } = require('../jsonFile');
+const { logger } = require('../logger');
+const { createAnthropicProvider } = require('./anthropic');
+const { createOpenAIProvider } = require('./openai');
+const { createFixtureProvider } = require('./fixture');
+const { withRetry } = require('./retry');
+const { loadPriceTable, costOf } = require('./pricing');
+
+// How many tokens each kind of call may generate
+const DEFAULT_MAX_TOKENS = {
+  clarifying_questions: 1000,
+  answer_review: 1000,
+  participant_roles: 500,
+  condense: 1500,
+  section: 2000,
+  memo: 4000
+};
+
+const DEFAULT_MODELS = {
+  anthropic: 'claude-3-7-sonnet-20250219',
+  openai: 'gpt-4o',
+  fixture: 'fixture'
+};
+
+// Read the LLM settings from environment variables
+function loadLlmConfig(env = process.env) {
+  const provider = env.LLM_PROVIDER || 'anthropic';
+
+  return {
+    provider,
+    model: env.LLM_MODEL || DEFAULT_MODELS[provider],
+    baseUrl: env.LLM_BASE_URL || null,
+    apiKey: provider === 'openai' ? env.OPENAI_API_KEY : env.ANTHROPIC_API_KEY,
+    temperature: env.LLM_TEMPERATURE !== undefined ? Number(env.LLM_TEMPERATURE) : 1,
+    maxTokens: { ...DEFAULT_MAX_TOKENS },
+    maxTokensCap: Number(env.LLM_MAX_TOKENS) || null,
+    timeoutMs: Number(env.LLM_TIMEOUT_MS) || 120000,
+    maxRetries: env.LLM_MAX_RETRIES !== undefined ? Number(env.LLM_MAX_RETRIES) : 3,
+    retryBaseDelayMs: Number(env.LLM_RETRY_BASE_DELAY_MS) || 1000,
+    prices: loadPriceTable(env),
+    fixturePath: env.LLM_FIXTURE_PATH || path.join(__dirname, '..', '..', 'fixtures', 'llm', 'default.json'),
+    recordPath: env.LLM_RECORD_FIXTURES || null
+  };
+}
+
+function createProvider(config) {
+  switch (config.provider) {
+    case 'anthropic':
+      return createAnthropicProvider(config);
+    case 'openai':
+      return createOpenAIProvider(config);
+    case 'fixture':
+      return createFixtureProvider(config);
+    default:
+      throw new Error(`Unknown LLM provider: ${config.provider}`);
+  }
+}
+
+// Create the LLM client every prompt goes through.
+//
+// `complete({ purpose, prompt, meta })` returns `{ text, model, usage: { inputTokens, outputTokens, costUsd } }`.
+// `purpose` picks the max tokens for the call and is how fixtures are matched when replaying.
+// `costUsd` comes from the price table (null for models that aren't in it, with a warning logged once per model).
+// `priced` says whether the configured model has a price, which budgets need to work.
+// Rate limits, server errors and timeouts are retried with exponential backoff before giving up.
+// Set `recordPath` to save every response in fixture format, ready to replay later.
+// `onComplete({ purpose, meta, durationMs, usage, error })` is called after every call (retries included),
+// for metrics and usage accounting; `meta` is passed through untouched (e.g. the team and session).
+function createLlmClient(config = loadLlmConfig(), { onComplete } = {}) {
+  const provider = createProvider(config);
+  const unpricedModels = new Set();
+
+  let pendingRecord = Promise.resolve();
+  function record(purpose, result) {
+    pendingRecord = pendingRecord
+      .then(() => {
+        const fixtures = readJsonFile(config.recordPath, { responses: [] });
+        fixtures.responses.push({ purpose, text: result.text, usage: result.usage });
+        return writeJsonFile(config.recordPath, fixtures);
+      })
+      .catch(error => logger.error('Error recording LLM fixture', { error }));
+  }
+
+  async function complete({ purpose, prompt, maxTokens, temperature, meta = null }) {
+    let tokenLimit = maxTokens || config.maxTokens[purpose] || DEFAULT_MAX_TOKENS.memo;
+    if (config.maxTokensCap) {
+      tokenLimit = Math.min(tokenLimit, config.maxTokensCap);
+    }
+
+    const startedAt = Date.now();
+    let result;
+    try {
+      result = await withRetry(() => provider.complete({
+        purpose,
+        prompt,
+        maxTokens: tokenLimit,
+        temperature: temperature !== undefined ? temperature : config.temperature
+      }), {
+        maxRetries: config.maxRetries,
+        baseDelayMs: config.retryBaseDelayMs,
+        onRetry: (error, attempt, delayMs) => {
+          const reason = error.response ? `status ${error.response.status}` : error.code;
+          logger.child(meta || {}).warn('LLM call failed, retrying', {
+            purpose,
+            reason,
+            attempt,
+            maxRetries: config.maxRetries,
+            delayMs: Math.round(delayMs)
+          });
+        }
+      });
+    } catch (error) {
+      if (onComplete) onComplete({ purpose, meta, durationMs: Date.now() - startedAt, usage: null, error });
+      throw error;
+    }
+
+    // Price the call by the model that answered, falling back to the configured one (gateways may rename models)
+    const cost = costOf(config.prices, result.model, result.usage);
+    const costUsd = cost !== null ? cost : costOf(config.prices, config.model, result.usage);
+    result.usage = { ...result.usage, costUsd };
+    if (costUsd === null && !unpricedModels.has(result.model)) {
+      unpricedModels.add(result.model);
+      logger.warn('No price for this LLM model, so its calls count as free towards budgets. Add it to LLM_PRICES.', {
+        model: result.model,
+        configuredModel: config.model
+      });
+    }
+
+    logger.child(meta || {}).info('LLM call completed', {
+      purpose,
+      model: result.model,
+      durationMs: Date.now() - startedAt,
+      inputTokens: result.usage.inputTokens,
+      outputTokens: result.usage.outputTokens
+    });
+
+    if (onComplete) onComplete({ purpose, meta, durationMs: Date.now() - startedAt, usage: result.usage, error: null });
+
+    if (config.recordPath) {
+      record(purpose, result);
+    }
+
+    return result;
+  }
+
+  // Whether the provider has what it needs to authenticate (a gateway behind LLM_BASE_URL may need no key)
+  const hasCredentials = config.provider === 'fixture' ||
+    Boolean(config.apiKey) ||
+    (config.provider === 'openai' && Boolean(config.baseUrl));
+
+  return {
+    provider: provider.name,
+    model: config.model,
+    priced: Boolean(config.prices[config.model]),
+    hasCredentials,
+    complete
+  };
+}
+
+module.exports = { loadLlmConfig, createLlmClient };
@@ -0,0 +1,44 @@
+const axios = require('axios');
+
+// Any OpenAI-compatible Chat Completions endpoint (OpenAI itself, or a self-hosted gateway)
+function createOpenAIProvider(config) {
+  const baseUrl = config.baseUrl || 'https://api.openai.com';
+
+  async function complete({ prompt, maxTokens, temperature }) {
+    const headers = {
+      'Content-Type': 'application/json'
+    };
+    if (config.apiKey) {
+      headers.Authorization = `Bearer ${config.apiKey}`;
+    }
+
+    const response = await axios.post(`${baseUrl}/v1/chat/completions`, {
+      model: config.model,
+      max_tokens: maxTokens,
+      temperature,
+      messages: [
+        {
+          role: "user",
+          content: prompt
+        }
+      ]
+    }, {
+      timeout: config.timeoutMs,
+      headers
+    });
+
+    const usage = response.data.usage || {};
+    return {
+      text: response.data.choices[0].message.content,
+      model: response.data.model || config.model,
+      usage: {
+        inputTokens: usage.prompt_tokens || 0,
+        outputTokens: usage.completion_tokens || 0
+      }
+    };
+  }
+
+  return { name: 'openai', complete };
+}
+
+module.exports = { createOpenAIProvider };
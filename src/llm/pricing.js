@@ -0,0 +1,41 @@
+// What each model costs, in US dollars per million tokens. Override or extend it with LLM_PRICES,
+// e.g. LLM_PRICES='{"claude-3-7-sonnet-20250219": {"input": 3, "output": 15}}'.
+const DEFAULT_PRICES = {
+  'claude-3-7-sonnet-20250219': { input: 3, output: 15 },
+  'claude-3-5-sonnet-20241022': { input: 3, output: 15 },
+  'claude-3-5-haiku-20241022': { input: 0.8, output: 4 },
+  'claude-3-opus-20240229': { input: 15, output: 75 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  fixture: { input: 0, output: 0 }
+};
+
+// Read the price table, with LLM_PRICES (a JSON object keyed by model) on top of the defaults
+function loadPriceTable(env = process.env) {
+  if (!env.LLM_PRICES) return { ...DEFAULT_PRICES };
+
+  let overrides;
+  try {
+    overrides = JSON.parse(env.LLM_PRICES);
+  } catch (error) {
+    throw new Error(`LLM_PRICES is not valid JSON: ${error.message}`);
+  }
+
+  for (const [model, price] of Object.entries(overrides)) {
+    if (!price || typeof price.input !== 'number' || typeof price.output !== 'number') {
+      throw new Error(`LLM_PRICES for ${model} needs numeric "input" and "output" prices per million tokens`);
+    }
+  }
+
+  return { ...DEFAULT_PRICES, ...overrides };
+}
+
+// The cost of one call in US dollars, or null if the model isn't in the price table
+function costOf(prices, model, usage) {
+  const price = prices[model];
+  if (!price) return null;
+
+  return ((usage.inputTokens || 0) * price.input + (usage.outputTokens || 0) * price.output) / 1000000;
+}
+
+module.exports = { DEFAULT_PRICES, loadPriceTable, costOf };
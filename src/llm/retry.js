@@ -0,0 +1,59 @@
+// Retry LLM calls that fail for temporary reasons: rate limits, overloaded or failing servers, and timeouts
+
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504, 529];
+const RETRYABLE_CODES = ['ECONNABORTED', 'ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'ECONNREFUSED', 'ERR_NETWORK'];
+
+function isRetryable(error) {
+  if (error.response) {
+    return RETRYABLE_STATUSES.includes(error.response.status);
+  }
+  return RETRYABLE_CODES.includes(error.code);
+}
+
+// How long the server asked us to wait, in milliseconds (retry-after is either seconds or an HTTP date)
+function getRetryAfterMs(error) {
+  const headers = error.response && error.response.headers;
+  const retryAfter = headers && (headers['retry-after'] || headers['Retry-After']);
+  if (!retryAfter) return null;
+
+  const seconds = Number(retryAfter);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+
+  const date = Date.parse(retryAfter);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Exponential backoff with full jitter: a random delay between 0 and base * 2^attempt, capped
+function getBackoffMs(attempt, { baseDelayMs, maxDelayMs }) {
+  return Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+}
+
+// Call `fn` until it succeeds, it fails with an error that isn't worth retrying, or we run out of retries.
+// The final error is thrown with `attempts` and `retryable` set on it.
+async function withRetry(fn, { maxRetries = 3, baseDelayMs = 1000, maxDelayMs = 30000, sleep, onRetry } = {}) {
+  const wait = sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      const retryable = isRetryable(error);
+      if (!retryable || attempt >= maxRetries) {
+        error.attempts = attempt + 1;
+        error.retryable = retryable;
+        throw error;
+      }
+
+      // Honour retry-after when the server sends it, but never wait longer than maxDelayMs
+      const retryAfterMs = getRetryAfterMs(error);
+      const delayMs = retryAfterMs !== null
+        ? Math.min(retryAfterMs, maxDelayMs)
+        : getBackoffMs(attempt, { baseDelayMs, maxDelayMs });
+
+      if (onRetry) onRetry(error, attempt + 1, delayMs);
+      await wait(delayMs);
+    }
+  }
+}
+
+module.exports = { withRetry, isRetryable, getRetryAfterMs };
@@ -0,0 +1,148 @@
+// Structured JSON logging: one JSON object per line, with a level, a message and any fields
+// (like the memo session's correlation ID) passed along with it.
+//
+// Decision context is confidential, so by default (LOG_REDACT unset or anything but "false")
+// fields that carry conversation content are replaced by their length, and emails, Slack tokens
+// and API keys are masked in every string that gets logged.
+
+// LOG_LEVEL=silent turns logging off, e.g. for the tests
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 50 };
+
+// Fields whose values are conversation content (prompts, responses, messages, memos...)
+const CONTENT_FIELDS = [
+  'text', 'content', 'context', 'prompt', 'response', 'answer', 'answers', 'question', 'questions',
+  'message', 'messages', 'memo', 'title', 'participants', 'body', 'guidance', 'output'
+];
+
+const SECRET_PATTERNS = [
+  [/[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi, '[email]'],
+  [/\bxox[abposr]-[A-Za-z0-9-]+/g, '[slack-token]'],
+  [/\bxapp-[A-Za-z0-9-]+/g, '[slack-token]'],
+  [/\bsk-[A-Za-z0-9_-]{10,}/g, '[api-key]'],
+  [/\bsecret_[A-Za-z0-9]{10,}/g, '[api-key]'],
+  [/\b(Bearer|Basic)\s+[A-Za-z0-9._~+/=-]+/g, '$1 [redacted]']
+];
+
+function maskSecrets(text) {
+  return SECRET_PATTERNS.reduce((masked, [pattern, replacement]) => masked.replace(pattern, replacement), text);
+}
+
+// Keep what's useful for debugging an error, without request bodies or response payloads
+function serializeError(error) {
+  const serialized = { name: error.name, message: error.message };
+  if (error.code) serialized.code = error.code;
+  if (error.response && error.response.status) serialized.status = error.response.status;
+  if (error.data && error.data.error) serialized.slackError = error.data.error;
+  if (error.stack) serialized.stack = error.stack;
+  return serialized;
+}
+
+function describeContent(value) {
+  if (typeof value === 'string') return `[redacted ${value.length} chars]`;
+  if (Array.isArray(value)) return `[redacted ${value.length} items]`;
+  return '[redacted]';
+}
+
+// Turn a field value into something JSON-safe, redacting content and secrets when asked to
+function sanitize(value, redact, key = null, depth = 0) {
+  if (value instanceof Error) {
+    // Error messages are ours (or the API's), not conversation content, so only secrets are masked
+    const serialized = serializeError(value);
+    for (const [name, item] of Object.entries(serialized)) {
+      if (redact && typeof item === 'string') serialized[name] = maskSecrets(item);
+    }
+    return serialized;
+  }
+  if (redact && key && CONTENT_FIELDS.includes(key) && value !== null && value !== undefined) {
+    return describeContent(value);
+  }
+  if (typeof value === 'string') {
+    return redact ? maskSecrets(value) : value;
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (depth >= 5) {
+    return '[nested]';
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => sanitize(item, redact, null, depth + 1));
+  }
+  if (Buffer.isBuffer(value)) {
+    return `[${value.length} bytes]`;
+  }
+
+  const sanitized = {};
+  for (const [name, item] of Object.entries(value)) {
+    sanitized[name] = sanitize(item, redact, name, depth + 1);
+  }
+  return sanitized;
+}
+
+// Read the logging settings from environment variables
+function loadLoggerConfig(env = process.env) {
+  const level = (env.LOG_LEVEL || 'info').toLowerCase();
+  return {
+    level: LEVELS[level] ? level : 'info',
+    redact: env.LOG_REDACT !== 'false'
+  };
+}
+
+// Create a logger. `fields` are added to every line, which is how child loggers carry a session's correlation ID.
+function createLogger(config = loadLoggerConfig(), fields = {}, write = line => process.stdout.write(line)) {
+  function log(level, message, extra = {}) {
+    if (LEVELS[level] < LEVELS[config.level]) return;
+
+    const entry = sanitize({ ...fields, ...extra }, config.redact);
+    write(`${JSON.stringify({
+      time: new Date().toISOString(),
+      level,
+      msg: config.redact ? maskSecrets(message) : message,
+      ...entry
+    })}\n`);
+  }
+
+  return {
+    get level() {
+      return config.level;
+    },
+    redact: config.redact,
+    // Change the level for this logger and every logger created from it (they share `config`)
+    setLevel: newLevel => {
+      const level = String(newLevel).toLowerCase();
+      if (LEVELS[level]) config.level = level;
+    },
+    debug: (message, extra) => log('debug', message, extra),
+    info: (message, extra) => log('info', message, extra),
+    warn: (message, extra) => log('warn', message, extra),
+    error: (message, extra) => log('error', message, extra),
+    // A logger that adds `extra` to every line, e.g. `logger.child({ sessionId })`
+    child: extra => createLogger(config, { ...fields, ...extra }, write)
+  };
+}
+
+// Bolt logs through its own Logger interface, with arguments like console.log.
+// This routes those lines through the JSON logger so every line has the same shape, and Bolt's `logLevel`
+// setting changes the JSON logger's level (Bolt's levels are the same names).
+function createBoltLogger(logger) {
+  let name = 'bolt';
+
+  function format(args) {
+    return args.map(arg => (typeof arg === 'string' ? arg : JSON.stringify(sanitize(arg, logger.redact)))).join(' ');
+  }
+
+  return {
+    debug: (...args) => logger.debug(format(args), { source: name }),
+    info: (...args) => logger.info(format(args), { source: name }),
+    warn: (...args) => logger.warn(format(args), { source: name }),
+    error: (...args) => logger.error(format(args), { source: name }),
+    setLevel: newLevel => logger.setLevel(newLevel),
+    getLevel: () => logger.level,
+    setName: newName => { name = newName; }
+  };
+}
+
+// The app-wide logger, configured with LOG_LEVEL and LOG_REDACT
+const logger = createLogger();
+
+module.exports = { logger, createLogger, createBoltLogger, loadLoggerConfig, serializeError };
@@ -0,0 +1,729 @@
+const { memoSections, formatSectionText, formatInvolvedText, sectionToEditText } = require('./memoFormat');
+const { ROLES, describeParticipant, roleLabel } = require('./participants');
+const { OUTCOME_RESULTS, reviewSectionsOf } = require('./reviews');
+const { FILE_FORMATS } = require('./export/files');
+
+// Slack limits section text to 3000 characters and plain text inputs to 3000 characters
+const MAX_SECTION_TEXT = 3000;
+
+function truncate(text, maxLength) {
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
+
+// Build the Block Kit blocks for a memo message.
+// While the memo is being reviewed, the review buttons are shown underneath it.
+function buildMemoBlocks(memo, { version, change, reviewing = false, statusText = '' } = {}) {
+  const blocks = [];
+
+  if (memo.title) {
+    blocks.push({
+      type: 'header',
+      text: { type: 'plain_text', text: truncate(memo.title, 150), emoji: true }
+    });
+  }
+
+  for (const section of memoSections(memo)) {
+    const content = formatSectionText(memo, section.key) || '_Not covered_';
+    blocks.push({
+      type: 'section',
+      text: { type: 'mrkdwn', text: truncate(`*${section.heading}*\n${content}`, MAX_SECTION_TEXT) }
+    });
+  }
+
+  const involved = formatInvolvedText(memo);
+  if (involved) {
+    blocks.push({
+      type: 'section',
+      text: { type: 'mrkdwn', text: truncate(involved, MAX_SECTION_TEXT) }
+    });
+  }
+
+  const contextParts = [];
+  if (version) contextParts.push(`Version ${version}${change ? ` · ${change}` : ''}`);
+  if (statusText) contextParts.push(statusText);
+  if (contextParts.length > 0) {
+    blocks.push({
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: contextParts.join(' · ') }]
+    });
+  }
+
+  if (reviewing) {
+    blocks.push({
+      type: 'actions',
+      block_id: 'memo_review',
+      elements: [
+        {
+          type: 'button',
+          action_id: 'review_regenerate_section',
+          text: { type: 'plain_text', text: 'Regenerate section…', emoji: true }
+        },
+        {
+          type: 'button',
+          action_id: 'review_edit_memo',
+          text: { type: 'plain_text', text: 'Edit in modal', emoji: true }
+        },
+        {
+          type: 'button',
+          action_id: 'review_edit_involved',
+          text: { type: 'plain_text', text: 'Who was involved…', emoji: true }
+        },
+        {
+          type: 'button',
+          action_id: 'review_approve_memo',
+          text: { type: 'plain_text', text: 'Approve', emoji: true },
+          style: 'primary'
+        }
+      ]
+    });
+  }
+
+  return blocks;
+}
+
+// Build the modal that asks which section to regenerate and what to do differently
+function buildRegenerateSectionModal(channelId, memo, sessionKey) {
+  return {
+    type: 'modal',
+    callback_id: 'regenerate_section_modal',
+    private_metadata: JSON.stringify({ channelId, sessionKey }),
+    title: { type: 'plain_text', text: 'Regenerate section' },
+    submit: { type: 'plain_text', text: 'Regenerate' },
+    close: { type: 'plain_text', text: 'Cancel' },
+    blocks: [
+      {
+        type: 'input',
+        block_id: 'section',
+        label: { type: 'plain_text', text: 'Which section?' },
+        element: {
+          type: 'static_select',
+          action_id: 'value',
+          placeholder: { type: 'plain_text', text: 'Choose a section' },
+          options: memoSections(memo).map(section => ({
+            text: { type: 'plain_text', text: truncate(section.heading, 75) },
+            value: section.key
+          }))
+        }
+      },
+      {
+        type: 'input',
+        block_id: 'guidance',
+        optional: true,
+        label: { type: 'plain_text', text: 'Guidance (optional)' },
+        hint: { type: 'plain_text', text: 'e.g. "Focus on the hiring risk" or "Mention the vendor we rejected"' },
+        element: {
+          type: 'plain_text_input',
+          action_id: 'value',
+          multiline: true
+        }
+      }
+    ]
+  };
+}
+
+// Build the modal with one text area per section so the memo can be edited by hand
+function buildEditMemoModal(channelId, memo, sessionKey) {
+  const titleInput = {
+    type: 'plain_text_input',
+    action_id: 'value',
+    max_length: 150
+  };
+  if (memo.title) titleInput.initial_value = truncate(memo.title, 150);
+
+  const blocks = [
+    {
+      type: 'input',
+      block_id: 'title',
+      label: { type: 'plain_text', text: 'Title' },
+      element: titleInput
+    }
+  ];
+
+  // Sections too long for a text input can't be edited here without cutting them short, so they're shown
+  // as a note instead and keep their content when the modal is saved
+  const readOnly = [];
+  for (const section of memoSections(memo)) {
+    const editText = sectionToEditText(memo, section.key);
+    if (editText.length > MAX_SECTION_TEXT) {
+      readOnly.push(section.key);
+      blocks.push({
+        type: 'section',
+        block_id: section.key,
+        text: {
+          type: 'mrkdwn',
+          text: `*${truncate(section.heading, 200)}*\n_This section is too long to edit here (${editText.length.toLocaleString()} characters), so it's kept as it is. Use *Regenerate section…* to change it._`
+        }
+      });
+      continue;
+    }
+
+    const element = {
+      type: 'plain_text_input',
+      action_id: 'value',
+      multiline: true,
+      max_length: MAX_SECTION_TEXT
+    };
+    if (editText) {
+      element.initial_value = editText;
+    }
+
+    const block = {
+      type: 'input',
+      block_id: section.key,
+      optional: true,
+      label: { type: 'plain_text', text: truncate(section.heading, 2000) },
+      element
+    };
+    if (section.list) {
+      block.hint = { type: 'plain_text', text: 'One point per line' };
+    }
+    blocks.push(block);
+  }
+
+  return {
+    type: 'modal',
+    callback_id: 'edit_memo_modal',
+    private_metadata: JSON.stringify({ channelId, sessionKey, template: memo.template, readOnly }),
+    title: { type: 'plain_text', text: 'Edit Decision Memo' },
+    submit: { type: 'plain_text', text: 'Save' },
+    close: { type: 'plain_text', text: 'Cancel' },
+    blocks
+  };
+}
+
+// Build the modal for correcting who was involved: one people picker per role, plus a checkbox
+// for each mentioned user group (which can be dropped but not added, since Slack has no picker for them)
+function buildInvolvedModal(channelId, memo, sessionKey) {
+  const involved = memo.involved || [];
+  const people = involved.filter(entry => entry.type === 'user');
+  const groups = involved.filter(entry => entry.type === 'group');
+
+  const blocks = ROLES.map(role => {
+    const element = {
+      type: 'multi_users_select',
+      action_id: 'value',
+      placeholder: { type: 'plain_text', text: 'Choose people' }
+    };
+    const initialUsers = people.filter(entry => entry.role === role.key).map(entry => entry.id);
+    if (initialUsers.length > 0) {
+      element.initial_users = initialUsers;
+    }
+
+    return {
+      type: 'input',
+      block_id: `role_${role.key}`,
+      optional: true,
+      label: { type: 'plain_text', text: role.label },
+      hint: { type: 'plain_text', text: `Someone who ${role.description}` },
+      element
+    };
+  });
+
+  if (groups.length > 0) {
+    const options = groups.map(entry => ({
+      text: { type: 'plain_text', text: truncate(`${describeParticipant(entry)} · ${roleLabel(entry.role)}`, 75) },
+      value: entry.id
+    }));
+    blocks.push({
+      type: 'input',
+      block_id: 'groups',
+      optional: true,
+      label: { type: 'plain_text', text: 'User groups' },
+      hint: { type: 'plain_text', text: 'Untick a group to leave it out of the memo' },
+      element: {
+        type: 'checkboxes',
+        action_id: 'value',
+        options,
+        initial_options: options
+      }
+    });
+  }
+
+  return {
+    type: 'modal',
+    callback_id: 'edit_involved_modal',
+    private_metadata: JSON.stringify({ channelId, sessionKey }),
+    title: { type: 'plain_text', text: 'Who was involved' },
+    submit: { type: 'plain_text', text: 'Save' },
+    close: { type: 'plain_text', text: 'Cancel' },
+    blocks
+  };
+}
+
+// Build the first step of the form intake: what was decided, by whom and where.
+// When there's more than one template, the form also asks which one to write the memo with.
+function buildIntakeModal({ templates = [], templateName } = {}) {
+  const templateBlocks = [];
+  if (templates.length > 1) {
+    const options = templates.map(template => {
+      const option = {
+        text: { type: 'plain_text', text: truncate(template.label, 75) },
+        value: template.name
+      };
+      if (template.description) {
+        option.description = { type: 'plain_text', text: truncate(template.description, 75) };
+      }
+      return option;
+    });
+
+    templateBlocks.push({
+      type: 'input',
+      block_id: 'template',
+      label: { type: 'plain_text', text: 'Template' },
+      element: {
+        type: 'static_select',
+        action_id: 'value',
+        options,
+        initial_option: options.find(option => option.value === templateName) || options[0]
+      }
+    });
+  }
+
+  return {
+    type: 'modal',
+    callback_id: 'memo_intake_modal',
+    title: { type: 'plain_text', text: 'New Decision Memo' },
+    submit: { type: 'plain_text', text: 'Next' },
+    close: { type: 'plain_text', text: 'Cancel' },
+    blocks: [
+      {
+        type: 'input',
+        block_id: 'title',
+        label: { type: 'plain_text', text: 'Decision title' },
+        hint: { type: 'plain_text', text: 'A working title, e.g. "Move billing to usage-based pricing"' },
+        element: {
+          type: 'plain_text_input',
+          action_id: 'value',
+          max_length: 150
+        }
+      },
+      {
+        type: 'input',
+        block_id: 'context',
+        label: { type: 'plain_text', text: 'Context' },
+        hint: { type: 'plain_text', text: 'Paste the relevant conversation, meeting notes or a summary of the discussion' },
+        element: {
+          type: 'plain_text_input',
+          action_id: 'value',
+          multiline: true
+        }
+      },
+      {
+        type: 'input',
+        block_id: 'participants',
+        optional: true,
+        label: { type: 'plain_text', text: 'Participants' },
+        element: {
+          type: 'multi_users_select',
+          action_id: 'value',
+          placeholder: { type: 'plain_text', text: 'Who was involved?' }
+        }
+      },
+      {
+        type: 'input',
+        block_id: 'channels',
+        optional: true,
+        label: { type: 'plain_text', text: 'Source channels' },
+        element: {
+          type: 'multi_conversations_select',
+          action_id: 'value',
+          placeholder: { type: 'plain_text', text: 'Where was this discussed?' },
+          filter: { include: ['public', 'private'], exclude_bot_users: true }
+        }
+      },
+      ...templateBlocks
+    ]
+  };
+}
+
+// Build a placeholder modal shown while we do something slow
+function buildLoadingModal(text) {
+  return {
+    type: 'modal',
+    title: { type: 'plain_text', text: 'New Decision Memo' },
+    close: { type: 'plain_text', text: 'Close' },
+    blocks: [
+      {
+        type: 'section',
+        text: { type: 'mrkdwn', text }
+      }
+    ]
+  };
+}
+
+// Build the second step of the form intake: one labelled answer box per clarifying question
+function buildQuestionsModal(channelId, questions, sessionKey) {
+  return {
+    type: 'modal',
+    callback_id: 'memo_questions_modal',
+    private_metadata: JSON.stringify({ channelId, sessionKey }),
+    title: { type: 'plain_text', text: 'Clarifying questions' },
+    submit: { type: 'plain_text', text: 'Generate memo' },
+    close: { type: 'plain_text', text: 'Cancel' },
+    blocks: questions.map((question, index) => ({
+      type: 'input',
+      block_id: `answer_${index}`,
+      optional: true,
+      label: { type: 'plain_text', text: truncate(`${index + 1}) ${question}`, 2000) },
+      element: {
+        type: 'plain_text_input',
+        action_id: 'value',
+        multiline: true
+      }
+    }))
+  };
+}
+
+// Build the export buttons: Notion and Confluence when configured (`exporters`), plus downloadable files
+function buildExportBlocks(logEntry, exporters) {
+  const buttons = [];
+
+  for (const exporter of Object.values(exporters)) {
+    buttons.push({
+      type: 'button',
+      action_id: `export_memo_${exporter.name}`,
+      text: { type: 'plain_text', text: `Send to ${exporter.label}`, emoji: true },
+      value: String(logEntry.id)
+    });
+  }
+
+  for (const [format, definition] of Object.entries(FILE_FORMATS)) {
+    buttons.push({
+      type: 'button',
+      action_id: `export_memo_${format}`,
+      text: { type: 'plain_text', text: definition.label, emoji: true },
+      value: String(logEntry.id)
+    });
+  }
+
+  return [
+    {
+      type: 'section',
+      text: { type: 'mrkdwn', text: "📤 *Export this memo* to your docs, or download it as a file that pastes cleanly into Notion, Confluence or Google Docs." }
+    },
+    {
+      type: 'actions',
+      block_id: 'export_memo',
+      elements: buttons
+    }
+  ];
+}
+
+// Build the offer to check back on an approved memo, with the button that picks a review date
+function buildReviewPromptBlocks(logEntry) {
+  return [
+    {
+      type: 'section',
+      text: { type: 'mrkdwn', text: "📅 *Check back on this decision.* Pick a date and I'll ask the decision owner how it turned out, alongside what this memo expected." },
+      accessory: {
+        type: 'button',
+        action_id: 'schedule_memo_review',
+        text: { type: 'plain_text', text: 'Set a review date…', emoji: true },
+        value: String(logEntry.id)
+      }
+    }
+  ];
+}
+
+// Build the modal that schedules a memo's review: when, and who to ask
+function buildScheduleReviewModal(logEntry, { channelId, date, reviewerId }) {
+  const reviewer = {
+    type: 'users_select',
+    action_id: 'value',
+    placeholder: { type: 'plain_text', text: 'Choose someone' }
+  };
+  if (reviewerId) reviewer.initial_user = reviewerId;
+
+  return {
+    type: 'modal',
+    callback_id: 'schedule_review_modal',
+    private_metadata: JSON.stringify({ channelId, logEntryId: logEntry.id }),
+    title: { type: 'plain_text', text: 'Review this decision' },
+    submit: { type: 'plain_text', text: 'Schedule' },
+    close: { type: 'plain_text', text: 'Cancel' },
+    blocks: [
+      {
+        type: 'section',
+        text: { type: 'mrkdwn', text: `*#${logEntry.id}* ${truncate(logEntry.title, 200)}` }
+      },
+      {
+        type: 'input',
+        block_id: 'date',
+        label: { type: 'plain_text', text: 'When should we look back?' },
+        element: {
+          type: 'datepicker',
+          action_id: 'value',
+          initial_date: date
+        }
+      },
+      {
+        type: 'input',
+        block_id: 'reviewer',
+        label: { type: 'plain_text', text: 'Who should I ask?' },
+        hint: { type: 'plain_text', text: "They'll get a DM that morning with the expected risks and rewards." },
+        element: reviewer
+      }
+    ]
+  };
+}
+
+// Build the DM that asks how a decision turned out: what the memo expected, and buttons to answer or snooze
+function buildReviewRequestBlocks(logEntry) {
+  const blocks = [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `🔍 *Time to look back on a decision:* *#${logEntry.id}* ${logEntry.title} (approved ${(logEntry.approvedAt || logEntry.createdAt).slice(0, 10)})`
+      }
+    }
+  ];
+
+  // Entries saved without the structured memo only have their text, so there are no sections to show again
+  for (const section of logEntry.memo ? reviewSectionsOf(logEntry.memo) : []) {
+    blocks.push({
+      type: 'section',
+      text: { type: 'mrkdwn', text: truncate(`*${section.heading}*\n${section.text}`, MAX_SECTION_TEXT) }
+    });
+  }
+
+  blocks.push(
+    {
+      type: 'section',
+      text: { type: 'mrkdwn', text: 'How did it turn out? Did the risks happen, and did the reward pay off?' }
+    },
+    {
+      type: 'actions',
+      block_id: 'memo_review_request',
+      elements: [
+        {
+          type: 'button',
+          action_id: 'record_memo_outcome',
+          text: { type: 'plain_text', text: 'Record the outcome…', emoji: true },
+          style: 'primary',
+          value: String(logEntry.id)
+        },
+        {
+          type: 'button',
+          action_id: 'snooze_memo_review',
+          text: { type: 'plain_text', text: 'Ask me later', emoji: true },
+          value: String(logEntry.id)
+        }
+      ]
+    }
+  );
+
+  return blocks;
+}
+
+// Build the modal for recording how a decision turned out
+function buildOutcomeModal(logEntry, channelId) {
+  return {
+    type: 'modal',
+    callback_id: 'record_outcome_modal',
+    private_metadata: JSON.stringify({ channelId, logEntryId: logEntry.id }),
+    title: { type: 'plain_text', text: 'Decision outcome' },
+    submit: { type: 'plain_text', text: 'Save' },
+    close: { type: 'plain_text', text: 'Cancel' },
+    blocks: [
+      {
+        type: 'section',
+        text: { type: 'mrkdwn', text: `*#${logEntry.id}* ${truncate(logEntry.title, 200)}` }
+      },
+      {
+        type: 'input',
+        block_id: 'result',
+        label: { type: 'plain_text', text: 'Compared with what we expected, it turned out…' },
+        element: {
+          type: 'static_select',
+          action_id: 'value',
+          placeholder: { type: 'plain_text', text: 'Choose one' },
+          options: OUTCOME_RESULTS.map(result => ({
+            text: { type: 'plain_text', text: result.label, emoji: true },
+            value: result.key
+          }))
+        }
+      },
+      {
+        type: 'input',
+        block_id: 'summary',
+        label: { type: 'plain_text', text: 'What happened?' },
+        hint: { type: 'plain_text', text: 'e.g. which risks came true and whether the reward paid off' },
+        element: {
+          type: 'plain_text_input',
+          action_id: 'value',
+          multiline: true
+        }
+      },
+      {
+        type: 'input',
+        block_id: 'lessons',
+        optional: true,
+        label: { type: 'plain_text', text: 'What would you do differently? (optional)' },
+        element: {
+          type: 'plain_text_input',
+          action_id: 'value',
+          multiline: true
+        }
+      }
+    ]
+  };
+}
+
+// Build the question asked when a new memo is started while another one is open: resume the open one,
+// replace it with the new one, or run both. `newSession` and `openSession` are `{ key, label, stage }`.
+function buildSessionPromptBlocks(newSession, openSession) {
+  const value = JSON.stringify({ newKey: newSession.key, openKey: openSession.key });
+
+  return [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `✋ You already have a Decision Memo in progress: *${openSession.label}* (${openSession.stage}). What should I do with the new one, *${newSession.label}*?`
+      }
+    },
+    {
+      type: 'actions',
+      block_id: 'open_session_prompt',
+      elements: [
+        {
+          type: 'button',
+          action_id: 'resume_open_session',
+          text: { type: 'plain_text', text: `Resume ${truncate(openSession.label, 60)}`, emoji: true },
+          value
+        },
+        {
+          type: 'button',
+          action_id: 'replace_open_session',
+          text: { type: 'plain_text', text: 'Replace it', emoji: true },
+          style: 'danger',
+          value
+        },
+        {
+          type: 'button',
+          action_id: 'run_both_sessions',
+          text: { type: 'plain_text', text: 'Run both', emoji: true },
+          style: 'primary',
+          value
+        }
+      ]
+    }
+  ];
+}
+
+// Build the list of memo sessions open in a DM, with a button to switch to each one that isn't active.
+// `sessions` are `{ key, label, stage, active }`.
+function buildSessionListBlocks(sessions) {
+  return sessions.map(session => {
+    const block = {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `${session.active ? '▶️' : '⏸️'} *${session.label}* (${session.stage})${session.active ? ' _(active)_' : ''}`
+      }
+    };
+    if (!session.active) {
+      block.accessory = {
+        type: 'button',
+        action_id: 'switch_session',
+        text: { type: 'plain_text', text: 'Switch to', emoji: true },
+        value: session.key
+      };
+    }
+    return block;
+  });
+}
+
+// Build the DM message that shows what's in the user's message selection
+function buildSelectionBlocks(selection) {
+  const sources = new Set(selection.map(item => item.channelId));
+  const text = `📌 *${selection.length} message${selection.length === 1 ? '' : 's'} selected* from ${Array.from(sources).map(channelId => `<#${channelId}>`).join(', ')}. Keep adding messages with the *Add to Decision Memo* shortcut, then create the memo when you're ready.`;
+
+  return [
+    {
+      type: 'section',
+      text: { type: 'mrkdwn', text }
+    },
+    {
+      type: 'actions',
+      block_id: 'message_selection',
+      elements: [
+        {
+          type: 'button',
+          action_id: 'build_memo_from_selection',
+          text: { type: 'plain_text', text: 'Create memo from selection', emoji: true },
+          style: 'primary'
+        },
+        {
+          type: 'button',
+          action_id: 'clear_selection',
+          text: { type: 'plain_text', text: 'Clear selection', emoji: true }
+        }
+      ]
+    }
+  ];
+}
+
+// Build the "where should this memo go" buttons offered once a memo is approved.
+// `decisionLogChannelName` is the name of the workspace's Decision Log channel, if it has one.
+function buildPublishBlocks(logEntry, decisionLogChannelName) {
+  const buttons = [];
+
+  if (logEntry.channelId && logEntry.threadTs) {
+    buttons.push({
+      type: 'button',
+      action_id: 'publish_memo_thread',
+      text: { type: 'plain_text', text: 'Post to original thread', emoji: true },
+      style: 'primary',
+      value: String(logEntry.id)
+    });
+  }
+
+  if (decisionLogChannelName) {
+    buttons.push({
+      type: 'button',
+      action_id: 'publish_memo_channel',
+      text: { type: 'plain_text', text: `Post to #${decisionLogChannelName}`, emoji: true },
+      value: String(logEntry.id)
+    });
+  }
+
+  buttons.push({
+    type: 'button',
+    action_id: 'publish_memo_private',
+    text: { type: 'plain_text', text: 'Keep private', emoji: true },
+    value: String(logEntry.id)
+  });
+
+  return [
+    {
+      type: 'section',
+      text: { type: 'mrkdwn', text: "📣 *Where should this memo go next?* Share it with everyone who was part of the discussion, or keep it to yourself." }
+    },
+    {
+      type: 'actions',
+      block_id: 'publish_memo',
+      elements: buttons
+    }
+  ];
+}
+
+module.exports = {
+  buildMemoBlocks,
+  buildRegenerateSectionModal,
+  buildEditMemoModal,
+  buildInvolvedModal,
+  buildIntakeModal,
+  buildLoadingModal,
+  buildQuestionsModal,
+  buildExportBlocks,
+  buildReviewPromptBlocks,
+  buildScheduleReviewModal,
+  buildReviewRequestBlocks,
+  buildOutcomeModal,
+  buildSessionPromptBlocks,
+  buildSessionListBlocks,
+  buildSelectionBlocks,
+  buildPublishBlocks
+};
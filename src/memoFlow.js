@@ -0,0 +1,863 @@
+const crypto = require('crypto');
+const { DEFAULT_TEMPLATE, getTemplate, resolveTemplate } = require('./templates');
+const { formatMemoText, getSection } = require('./memoFormat');
+const { buildMemoBlocks, buildSessionPromptBlocks } = require('./memoBlocks');
+const { FILE_FORMAT_LABELS } = require('./extractors');
+const { estimateTokens, chunkText, condenseContext } = require('./condense');
+const { buildRoster, describeRoster } = require('./participants');
+const { createDirectory, describeSourceAccess } = require('./slackContext');
+const { FINAL_QUESTION, DEFAULT_MAX_CLARIFYING_QUESTIONS, DEFAULT_MAX_CLARIFYING_ROUNDS } = require('./memoGeneration');
+const { logger } = require('./logger');
+
+// Context longer than this many tokens is condensed (in chunks of CONTEXT_CHUNK_TOKENS) before it goes into the prompts
+const CONTEXT_TOKEN_BUDGET = Number(process.env.CONTEXT_TOKEN_BUDGET) || 20000;
+const CONTEXT_CHUNK_TOKENS = Number(process.env.CONTEXT_CHUNK_TOKENS) || 6000;
+
+// Who users are asked to send feedback to, unless the workspace picked someone
+const DEFAULT_FEEDBACK_CONTACT = '@ryan';
+
+// Warn people starting a memo once this share of the workspace's monthly LLM budget is used
+const BUDGET_WARNING_RATIO = 0.8;
+
+// The stages a memo session can move to from each stage. A new session that's waiting for the user to choose
+// between it and the session they already have open is 'pending'; a file that can't be read sends a session
+// that was analyzing it back to 'started'. Each reply to the questions is read ('evaluating') before we either
+// ask follow-up questions or write the memo.
+const STAGE_TRANSITIONS = {
+  pending: ['started', 'asking_questions'],
+  selecting: ['pending', 'asking_questions'],
+  started: ['asking_questions'],
+  asking_questions: ['started', 'evaluating', 'generating'],
+  evaluating: ['asking_questions', 'generating'],
+  generating: ['reviewing', 'failed'],
+  failed: ['generating'],
+  reviewing: ['approved'],
+  // Only while the approval is posted; the session ends right after (or goes back to review if that fails)
+  approved: ['reviewing']
+};
+
+// What each stage means to the user, e.g. when listing their open sessions
+const STAGE_DESCRIPTIONS = {
+  pending: 'waiting to start',
+  selecting: 'collecting messages',
+  started: 'waiting for your context',
+  asking_questions: 'waiting for your answers',
+  evaluating: 'reading your answers',
+  generating: 'writing the memo',
+  failed: 'waiting for a retry',
+  reviewing: 'draft ready for review',
+  approved: 'approved'
+};
+
+// Helper function to format a cost in US dollars, with enough precision for single calls
+function formatUsd(amount) {
+  return `$${amount.toFixed(amount > 0 && amount < 0.01 ? 4 : 2)}`;
+}
+
+// Helper function to explain where the workspace stands against its budget
+function describeBudget(budget) {
+  const spent = `${formatUsd(budget.spentUsd)} of ${formatUsd(budget.budgetUsd)}`;
+  if (budget.status === 'unpriced') {
+    return `🚫 This workspace has a monthly Decision Memo budget of ${formatUsd(budget.budgetUsd)}, but I don't know what the AI model I use costs, so I can't keep to it. Until the app's admin adds the model's price to \`LLM_PRICES\`, I can't start new memos.`;
+  }
+  if (budget.status === 'exceeded') {
+    return `🚫 This workspace has used its monthly Decision Memo budget (${spent}), so I can't start new memos until next month. A workspace admin can raise the budget in the app's Home tab.`;
+  }
+  return `⚠️ Heads up: this workspace has used ${Math.round(budget.spentUsd / budget.budgetUsd * 100)}% of its monthly Decision Memo budget (${spent}). New memos will be paused once it's used up.`;
+}
+
+// Helper function to describe where a memo session is up to
+function describeStage(conversation) {
+  if (conversation.stage === 'asking_questions' && !conversation.clarifyingQuestions) {
+    return 'analyzing the context';
+  }
+  return STAGE_DESCRIPTIONS[conversation.stage] || conversation.stage;
+}
+
+// Helper function to name a memo session for the user: the memo's title once there is one
+function sessionLabel(conversation) {
+  return (conversation.memo && conversation.memo.title) || conversation.title || conversation.name || 'your memo';
+}
+
+// Helper function to describe a session for the session prompt and list blocks
+function describeSession(conversation) {
+  return { key: conversation.key, label: sessionLabel(conversation), stage: describeStage(conversation), active: !conversation.parked };
+}
+
+// Create the memo session flow shared by every way of starting a memo: workspace settings and budgets,
+// the sessions open in each DM, condensing the context, asking the clarifying questions and generating
+// the memo for review.
+//
+// A DM can have several sessions, each stored under its own key (`<DM channel ID>:<session ID>`). Only one is
+// active at a time, and that's the one the user's messages go to; the others are `parked` until the user
+// switches back to them. Stage changes go through `setStage`, and anything that reads a session's stage and
+// then moves it on does so while holding the DM's lock (see the session store's `withLock`).
+//
+// `deps` holds the stores, the memo generator and the metrics counters, so tests can pass their own.
+function createMemoFlow({ conversations, decisionLog, settings, usageStore, llm, generator, counters }) {
+  const { memosStarted, memosFailed } = counters;
+  const {
+    inferParticipantRoles,
+    generateClarifyingQuestions,
+    reviewClarifyingAnswers,
+    summarizeContextChunk,
+    generateDecisionMemo,
+    generateDecisionMemoWithClarification
+  } = generator;
+
+  // Helper function to read a workspace's settings, filling in the defaults for anything an admin hasn't set
+  async function getTeamSettings(teamId) {
+    const stored = await settings.getTeam(teamId);
+
+    const teamSettings = {
+      defaultTemplate: stored.defaultTemplate && getTemplate(stored.defaultTemplate) ? stored.defaultTemplate : DEFAULT_TEMPLATE,
+      decisionLogChannel: stored.decisionLogChannel || process.env.DECISION_LOG_CHANNEL || null,
+      maxClarifyingQuestions: stored.maxClarifyingQuestions !== undefined ? stored.maxClarifyingQuestions : DEFAULT_MAX_CLARIFYING_QUESTIONS,
+      maxClarifyingRounds: stored.maxClarifyingRounds || DEFAULT_MAX_CLARIFYING_ROUNDS,
+      finalQuestion: stored.finalQuestion !== undefined ? stored.finalQuestion : FINAL_QUESTION,
+      allowedFileFormats: stored.allowedFileFormats || Object.keys(FILE_FORMAT_LABELS),
+      retentionDays: stored.retentionDays || null,
+      feedbackContactId: stored.feedbackContactId || null,
+      monthlyBudgetUsd: stored.monthlyBudgetUsd || null
+    };
+    teamSettings.feedbackContact = teamSettings.feedbackContactId
+      ? `<@${teamSettings.feedbackContactId}>`
+      : DEFAULT_FEEDBACK_CONTACT;
+
+    return teamSettings;
+  }
+
+  // Helper function to pick the template for a new memo: the one asked for, else the channel's default, else the workspace's
+  async function chooseTemplate(teamId, channelId, requested) {
+    if (requested && getTemplate(requested)) return requested;
+
+    const channelSettings = channelId ? await settings.getChannel(teamId, channelId) : {};
+    if (channelSettings.template && getTemplate(channelSettings.template)) return channelSettings.template;
+
+    return (await getTeamSettings(teamId)).defaultTemplate;
+  }
+
+  // Helper function to compare a workspace's LLM spend this month with its monthly budget.
+  // Returns `{ status, blocked, spentUsd, budgetUsd }`, where status is 'ok', 'warning', 'exceeded' or 'unpriced'
+  // (there's a budget but the model has no price), and `blocked` says whether new memos have to wait.
+  async function checkBudget(teamId) {
+    const { monthlyBudgetUsd } = await getTeamSettings(teamId);
+    const { totals } = await usageStore.getTeamMonth(teamId);
+
+    // Calls to a model without a price would count as free, so a budget can't be kept without one
+    let status = 'ok';
+    if (monthlyBudgetUsd && !llm.priced) {
+      status = 'unpriced';
+    } else if (monthlyBudgetUsd && totals.costUsd >= monthlyBudgetUsd) {
+      status = 'exceeded';
+    } else if (monthlyBudgetUsd && totals.costUsd >= monthlyBudgetUsd * BUDGET_WARNING_RATIO) {
+      status = 'warning';
+    }
+
+    return { status, blocked: status === 'exceeded' || status === 'unpriced', spentUsd: totals.costUsd, budgetUsd: monthlyBudgetUsd };
+  }
+
+  // Helper function to describe a memo session for usage accounting and logs, giving it an ID the first time.
+  // The session ID is the correlation ID that ties together every log line (and LLM call) for one memo.
+  function sessionMeta(conversation) {
+    conversation.sessionId = conversation.sessionId || crypto.randomUUID();
+    return { teamId: conversation.teamId, userId: conversation.userId, sessionId: conversation.sessionId };
+  }
+
+  // Helper function to get a logger that tags every line with the memo session's correlation ID
+  function sessionLogger(conversation) {
+    return logger.child(sessionMeta(conversation));
+  }
+
+  // Helper function to count and log a new memo session, so its correlation ID shows up from the very start
+  function recordSessionStart(conversation, source) {
+    memosStarted.inc({ source });
+    sessionLogger(conversation).info('Memo session started', { source, template: conversation.template });
+  }
+
+  // Helper function to list the memo sessions open in a DM, oldest first.
+  // Sessions saved before a DM could have several are stored under the DM channel ID itself, so they count too.
+  async function listSessions(dmChannelId) {
+    const sessions = [];
+    for (const [key, conversation] of await conversations.entries()) {
+      if (key === dmChannelId || key.startsWith(`${dmChannelId}:`)) {
+        conversation.key = key;
+        conversation.dmChannelId = dmChannelId;
+        sessions.push(conversation);
+      }
+    }
+    return sessions.sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  // Helper function to find the session the user's messages in a DM go to
+  async function getActiveSession(dmChannelId) {
+    return (await listSessions(dmChannelId)).find(conversation => !conversation.parked) || null;
+  }
+
+  // Helper function to load a session by its key, e.g. from a button value or a modal's metadata
+  async function getSession(key) {
+    const conversation = key ? await conversations.get(key) : null;
+    if (conversation) {
+      conversation.key = key;
+      conversation.dmChannelId = conversation.dmChannelId || key.split(':')[0];
+    }
+    return conversation;
+  }
+
+  // Helper function to save a session, giving it its key (under its DM) the first time
+  async function saveSession(conversation) {
+    conversation.key = conversation.key || `${conversation.dmChannelId}:${sessionMeta(conversation).sessionId}`;
+    return conversations.set(conversation.key, conversation);
+  }
+
+  // Helper function to check a session is still open, i.e. it hasn't been stopped, approved or replaced meanwhile
+  async function isCurrent(conversation) {
+    return Boolean(conversation.key) && (await conversations.get(conversation.key)) === conversation;
+  }
+
+  // Helper function to move a session to its next stage, refusing moves the flow doesn't allow
+  function setStage(conversation, stage) {
+    const allowed = conversation.stage ? STAGE_TRANSITIONS[conversation.stage] || [] : Object.keys(STAGE_TRANSITIONS);
+    if (!allowed.includes(stage)) {
+      throw new Error(`A memo session can't move from ${conversation.stage} to ${stage}`);
+    }
+    conversation.stage = stage;
+  }
+
+  // Helper function to move a session on only if it's still open and at the stage we expect, holding the DM's lock
+  // so two events can't both make the same move. Returns false if something else got there first.
+  async function claimStage(conversation, from, to) {
+    return conversations.withLock(conversation.dmChannelId, async () => {
+      if (conversation.stage !== from || !(await isCurrent(conversation))) return false;
+      setStage(conversation, to);
+      await saveSession(conversation);
+      return true;
+    });
+  }
+
+  // Helper function to name a new session "Memo 1", "Memo 2"... skipping names that are already taken in the DM
+  function nextSessionName(sessions) {
+    const taken = new Set(sessions.map(conversation => conversation.name));
+    let number = 1;
+    while (taken.has(`Memo ${number}`)) number++;
+    return `Memo ${number}`;
+  }
+
+  // Helper function to start a new memo session in a DM. `opening` says how: the stage it starts at, the source
+  // it's counted under and the messages that introduce it. If the user already has a session open there,
+  // the new one waits ('pending') and they're asked whether to resume the open one, replace it or run both.
+  async function openSession(client, conversation, opening) {
+    const openConversation = await conversations.withLock(conversation.dmChannelId, async () => {
+      const sessions = await listSessions(conversation.dmChannelId);
+      const active = sessions.find(session => !session.parked && session !== conversation);
+      conversation.name = conversation.name || conversation.title || nextSessionName(sessions);
+      conversation.parked = Boolean(active);
+      if (!active) return null;
+
+      setStage(conversation, 'pending');
+      conversation.opening = opening;
+      await saveSession(conversation);
+      return active;
+    });
+
+    if (!openConversation) {
+      await beginSession(client, conversation, opening);
+      return;
+    }
+
+    sessionLogger(conversation).info('Asking whether to replace the open memo session', { openSessionId: openConversation.sessionId });
+    await client.chat.postMessage({
+      channel: conversation.dmChannelId,
+      text: `You already have a Decision Memo in progress: ${sessionLabel(openConversation)}.`,
+      blocks: buildSessionPromptBlocks(describeSession(conversation), describeSession(openConversation))
+    });
+  }
+
+  // Helper function to make a session the one its DM is working on, putting the active one aside.
+  // Call it while holding the DM's lock. Returns the session that was put aside, if any.
+  async function activateSession(conversation) {
+    const previous = (await listSessions(conversation.dmChannelId))
+      .find(session => !session.parked && session !== conversation) || null;
+    if (previous) {
+      previous.parked = true;
+      await saveSession(previous);
+    }
+
+    conversation.parked = false;
+    await saveSession(conversation);
+    return previous;
+  }
+
+  // Helper function to start a session that's ready to go: make it the DM's active session, count it,
+  // post its opening messages and, if its content was captured already, ask the clarifying questions
+  async function beginSession(client, conversation, { stage, source, messages = [] }) {
+    await conversations.withLock(conversation.dmChannelId, async () => {
+      setStage(conversation, stage);
+      delete conversation.opening;
+      await activateSession(conversation);
+    });
+    recordSessionStart(conversation, source);
+
+    for (const message of messages) {
+      await client.chat.postMessage({ channel: conversation.dmChannelId, ...message });
+    }
+
+    if (stage === 'asking_questions') {
+      await askClarifyingQuestions(client, conversation.dmChannelId, conversation);
+    }
+  }
+
+  // Helper function to make a session the one the DM is working on, putting the current one aside
+  async function switchToSession(client, conversation) {
+    const previous = await conversations.withLock(conversation.dmChannelId, () => activateSession(conversation));
+
+    const aside = previous ? ` I've put ${sessionLabel(previous)} aside; switch back anytime with \`/decisionmemo sessions\`.` : '';
+    await client.chat.postMessage({
+      channel: conversation.dmChannelId,
+      text: `🔁 You're now working on *${sessionLabel(conversation)}* (${describeStage(conversation)}).${aside}`
+    });
+  }
+
+  // Helper function to delete a session's draft from the Decision Log when the session ends without it being approved
+  async function discardDraft(conversation) {
+    if (!conversation.logEntryId) return;
+
+    try {
+      await decisionLog.discardDraft(conversation.logEntryId);
+    } catch (error) {
+      sessionLogger(conversation).error('Error discarding draft from the Decision Log', { error });
+    }
+  }
+
+  // Helper function to close a session. If it was the one the DM was working on, the most recent session
+  // that was put aside takes over, and the user is told where it's up to.
+  async function endSession(client, conversation) {
+    await discardDraft(conversation);
+    const resumed = await conversations.withLock(conversation.dmChannelId, async () => {
+      await conversations.delete(conversation.key);
+      if (conversation.parked) return null;
+
+      const next = (await listSessions(conversation.dmChannelId)).filter(session => session.stage !== 'pending').pop();
+      if (!next) return null;
+      next.parked = false;
+      await saveSession(next);
+      return next;
+    });
+
+    if (resumed) {
+      await client.chat.postMessage({
+        channel: conversation.dmChannelId,
+        text: `🔁 Back to *${sessionLabel(resumed)}* (${describeStage(resumed)}).`
+      });
+    }
+  }
+
+  // Helper function to get a link back to the message or thread the memo was created from
+  async function getSourcePermalink(client, conversation) {
+    if (!conversation.originalChannel || !conversation.threadTs) return null;
+
+    try {
+      const result = await client.chat.getPermalink({
+        channel: conversation.originalChannel,
+        message_ts: conversation.threadTs
+      });
+      return result.permalink;
+    } catch (error) {
+      logger.error('Error getting permalink for memo source', { error });
+      return null;
+    }
+  }
+
+  // Helper function to condense context that's too long for the prompts, telling the user how much was condensed
+  async function prepareContext(client, channelId, conversation) {
+    const originalTokens = estimateTokens(conversation.context);
+    if (originalTokens <= CONTEXT_TOKEN_BUDGET) return;
+
+    try {
+      const result = await condenseContext(conversation.context, {
+        maxTokens: CONTEXT_TOKEN_BUDGET,
+        chunkTokens: CONTEXT_CHUNK_TOKENS,
+        summarizeChunk: (chunk, index, total) => summarizeContextChunk(chunk, index, total, sessionMeta(conversation))
+      });
+
+      conversation.context = result.context;
+      conversation.condensed = {
+        originalTokens: result.originalTokens,
+        condensedTokens: result.condensedTokens,
+        chunkCount: result.chunkCount
+      };
+
+      const reduction = Math.round((1 - result.condensedTokens / result.originalTokens) * 100);
+      await client.chat.postMessage({
+        channel: channelId,
+        text: `📚 That's a lot of context (about ${result.originalTokens.toLocaleString()} tokens), so I split it into ${result.chunkCount} parts and condensed each one into the decision-relevant facts. I'll work from that digest (about ${result.condensedTokens.toLocaleString()} tokens, ${reduction}% smaller).`
+      });
+    } catch (error) {
+      sessionLogger(conversation).error('Error condensing context', { error });
+
+      // Fall back to the first part of the context so the prompts don't overflow
+      conversation.context = chunkText(conversation.context, CONTEXT_TOKEN_BUDGET)[0] +
+        "\n\n[Note: The context was too long and couldn't be condensed. Only the first portion is being processed.]";
+
+      await client.chat.postMessage({
+        channel: channelId,
+        text: "⚠️ That's more context than I can work with at once and I had trouble condensing it, so I'll only use the first part of it."
+      });
+    }
+
+    await saveSession(conversation);
+  }
+
+  // Helper function to work out who was involved in the decision, once per session. Sources that have the Slack
+  // messages (threads, channel history, selections) and the form build the roster themselves; otherwise it's the
+  // author and anyone mentioned in the context they pasted. The LLM then assigns the roles, when there's more
+  // than one person to tell apart, and the roster becomes the participants the prompts see.
+  async function identifyParticipants(client, conversation) {
+    if (conversation.rolesInferred) return;
+
+    try {
+      if (!conversation.roster) {
+        conversation.roster = await buildRoster(
+          createDirectory(client),
+          [{ user: conversation.userId, text: conversation.context }],
+          { authorId: conversation.userId }
+        );
+      }
+
+      if (conversation.roster.length > 1) {
+        const roles = await inferParticipantRoles(
+          conversation.context,
+          conversation.roster,
+          resolveTemplate(conversation.template),
+          sessionMeta(conversation)
+        );
+        if (roles) {
+          conversation.roster = conversation.roster.map((entry, index) => ({ ...entry, role: roles[index] }));
+        }
+      }
+
+      conversation.participants = describeRoster(conversation.roster);
+      sessionLogger(conversation).info('Identified participants', { participantCount: conversation.roster.length });
+    } catch (error) {
+      sessionLogger(conversation).error('Error identifying participants', { error });
+      conversation.roster = conversation.roster || [];
+    }
+
+    // Don't bring back a session that was stopped or replaced while we were looking people up
+    conversation.rolesInferred = true;
+    if (await isCurrent(conversation)) {
+      await saveSession(conversation);
+    }
+  }
+
+  // Helper function to generate the clarifying questions for a memo, capped by the workspace's settings
+  // and followed by the workspace's final question (if it has one)
+  async function generateQuestionsFor(conversation) {
+    const teamSettings = await getTeamSettings(conversation.teamId);
+
+    const questions = await generateClarifyingQuestions(
+      conversation.context,
+      conversation.participants,
+      resolveTemplate(conversation.template),
+      {
+        maxQuestions: teamSettings.maxClarifyingQuestions,
+        finalQuestion: teamSettings.finalQuestion,
+        meta: sessionMeta(conversation)
+      }
+    );
+
+    if (teamSettings.finalQuestion) {
+      questions.push(teamSettings.finalQuestion);
+    }
+    return questions;
+  }
+
+  // Helper function to format the clarifying questions as a numbered list
+  function formatQuestionsMessage(questions) {
+    let questionsMessage = "*Clarifying questions❓*\n";
+
+    // Add each question with a number and proper spacing for readability
+    for (let i = 0; i < questions.length; i++) {
+      questionsMessage += `${i+1}) ${questions[i]}\n\n`;
+    }
+
+    return questionsMessage + "*Please answer each question in order.* You can number your responses for clarity, or respond with \"skip\" to go straight to the memo. 👀";
+  }
+
+  // Helper function to line up an answer with every clarifying question asked so far, from each round's reply.
+  // A reply that couldn't be mapped to its questions goes with the round's first question, as it was written,
+  // and anything in a reply that didn't answer a question goes with the round's last one.
+  function collectClarifyingAnswers(conversation) {
+    const answers = [];
+    for (const round of conversation.clarificationRounds || []) {
+      round.questions.forEach((question, index) => {
+        if (round.answers) {
+          const isLast = index === round.questions.length - 1;
+          answers.push([round.answers[index], isLast && round.other ? `The author also added: ${round.other}` : null].filter(Boolean).join('\n\n'));
+        } else {
+          answers.push(index === 0 ? round.reply : '(answered together with the question above)');
+        }
+      });
+    }
+
+    // Anything the user sent while we were reading their answers goes with the last one
+    const queued = conversation.queuedMessages || [];
+    if (queued.length > 0 && answers.length > 0) {
+      answers[answers.length - 1] = [answers[answers.length - 1], ...queued].filter(Boolean).join('\n\n');
+      delete conversation.queuedMessages;
+    }
+    return answers;
+  }
+
+  // Helper function to format a round of follow-up questions, with the sections they're meant to fill in
+  function formatFollowUpMessage(questions, thinSections, template, round, maxRounds) {
+    const headings = thinSections
+      .map(key => getSection(template, key))
+      .filter(Boolean)
+      .map(section => `• _${section.heading}_`);
+
+    let followUpMessage = `*Follow-up questions❓* (round ${round} of ${maxRounds})\n`;
+    if (headings.length > 0) {
+      followUpMessage += `Thanks! These parts of the memo are still a little thin:\n${headings.join('\n')}\n\n`;
+    }
+    questions.forEach((question, index) => {
+      followUpMessage += `${index + 1}) ${question}\n\n`;
+    });
+    return followUpMessage + "Answer what you can, or respond with \"skip\" and I'll write the memo with what I have. 👀";
+  }
+
+  // Helper function to read the user's reply to the latest round of questions, for a session at 'evaluating'.
+  // Asks targeted follow-ups if sections are still thinly supported (and rounds are left), otherwise writes the memo.
+  async function reviewAnswers(client, channelId, conversation) {
+    const teamSettings = await getTeamSettings(conversation.teamId);
+    const template = resolveTemplate(conversation.template);
+    const rounds = conversation.clarificationRounds;
+    const round = rounds[rounds.length - 1];
+
+    const previous = [];
+    for (const earlier of rounds.slice(0, -1)) {
+      const earlierAnswers = collectClarifyingAnswers({ clarificationRounds: [earlier] });
+      earlier.questions.forEach((question, index) => previous.push({ question, answer: earlierAnswers[index] }));
+    }
+
+    // On the last round the reply is still matched to its questions, but there's no room left for follow-ups
+    const lastRound = rounds.length >= teamSettings.maxClarifyingRounds;
+    const review = await reviewClarifyingAnswers(
+      conversation.context,
+      conversation.participants,
+      previous,
+      round.questions,
+      round.reply,
+      template,
+      { maxQuestions: lastRound ? 0 : teamSettings.maxClarifyingQuestions, meta: sessionMeta(conversation) }
+    );
+
+    // The user may have stopped or replaced the session while we were reading
+    if (!(await isCurrent(conversation))) return;
+    round.answers = review.answers;
+    round.other = review.other;
+    round.thinSections = review.thinSections;
+
+    const followUps = conversation.skipFollowUps ? [] : review.followUpQuestions;
+    if (followUps.length > 0 && !lastRound) {
+      if (!(await claimStage(conversation, 'evaluating', 'asking_questions'))) return;
+
+      conversation.roundQuestions = followUps;
+      conversation.clarifyingQuestions = [...conversation.clarifyingQuestions, ...followUps];
+      await saveSession(conversation);
+      sessionLogger(conversation).info('Asking follow-up questions', { round: rounds.length + 1, count: followUps.length, thinSections: review.thinSections });
+
+      await client.chat.postMessage({
+        channel: channelId,
+        text: formatFollowUpMessage(followUps, review.thinSections, template, rounds.length + 1, teamSettings.maxClarifyingRounds)
+      });
+      return;
+    }
+
+    if (!(await claimStage(conversation, 'evaluating', 'generating'))) return;
+    conversation.clarifyingAnswers = collectClarifyingAnswers(conversation);
+    await saveSession(conversation);
+
+    await client.chat.postMessage({
+      channel: channelId,
+      text: "Thanks for the information. I'm now generating your Decision Memo. This may take a moment... ⏳"
+    });
+
+    await generateAndSendMemo(client, channelId, conversation);
+  }
+
+  // Helper function to generate clarifying questions and ask them in the DM, for a session at 'asking_questions'.
+  // If the questions can't be generated, fall back to generating the memo straight away.
+  async function askClarifyingQuestions(client, channelId, conversation) {
+    // Make sure the context fits in the prompts before we analyze it, and that we know who was involved
+    await prepareContext(client, channelId, conversation);
+    await identifyParticipants(client, conversation);
+
+    try {
+      // Call the LLM to generate clarifying questions, followed by the workspace's final question,
+      // unless the user already asked to skip them
+      const questions = conversation.skipFollowUps ? [] : await generateQuestionsFor(conversation);
+
+      // The user may have stopped or replaced the session while we were thinking
+      if (!(await isCurrent(conversation))) return;
+      conversation.clarifyingQuestions = questions;
+      conversation.roundQuestions = questions;
+      conversation.clarificationRounds = [];
+
+      sessionLogger(conversation).info('Asking clarifying questions', { count: conversation.clarifyingQuestions.length });
+
+      // With nothing to ask, go straight to writing the memo
+      if (conversation.clarifyingQuestions.length === 0) {
+        if (!(await claimStage(conversation, 'asking_questions', 'generating'))) return;
+
+        await client.chat.postMessage({
+          channel: channelId,
+          text: ":memo: I have everything I need. I'm now generating your Decision Memo. This may take a moment... ⏳"
+        });
+
+        await generateAndSendMemo(client, channelId, conversation);
+        return;
+      }
+
+      await saveSession(conversation);
+
+      // Ask all the questions at once
+      await client.chat.postMessage({
+        channel: channelId,
+        text: formatQuestionsMessage(conversation.clarifyingQuestions)
+      });
+    } catch (error) {
+      sessionLogger(conversation).error('Error generating clarifying questions', { error });
+
+      // If there's an error, generate the memo without clarifying questions
+      conversation.clarifyingQuestions = [];
+      if (!(await claimStage(conversation, 'asking_questions', 'generating'))) return;
+
+      await client.chat.postMessage({
+        channel: channelId,
+        text: "I had trouble generating clarifying questions, but I'll create a Decision Memo based on the information I have. This may take a moment... ⏳"
+      });
+
+      // Generate the Decision Memo without clarification
+      await generateAndSendMemo(client, channelId, conversation);
+    }
+  }
+
+  // Helper function to generate the memo (using the clarifying answers if we have any) and send it,
+  // for a session at 'generating'
+  async function generateAndSendMemo(client, channelId, conversation) {
+    try {
+      const template = resolveTemplate(conversation.template);
+
+      let memo;
+      if (conversation.clarifyingQuestions && conversation.clarifyingQuestions.length > 0) {
+        // Generate the Decision Memo with clarifying information
+        memo = await generateDecisionMemoWithClarification(
+          conversation.context,
+          conversation.participants,
+          conversation.clarifyingQuestions,
+          // Form answers are already one per question, DM answers arrive as a single response
+          Array.isArray(conversation.clarifyingAnswers) ? conversation.clarifyingAnswers : [conversation.clarifyingAnswers],
+          template,
+          sessionMeta(conversation)
+        );
+      } else {
+        memo = await generateDecisionMemo(conversation.context, conversation.participants, template, sessionMeta(conversation));
+      }
+
+      // Check the session is still waiting for this memo (the user might have stopped or replaced it)
+      if (!(await isGenerating(conversation))) {
+        return;
+      }
+
+      // Process and send the memo
+      await processMemoAndRespond(client, channelId, memo, conversation);
+    } catch (error) {
+      sessionLogger(conversation).error('Error generating memo', { error });
+      if (await isGenerating(conversation)) {
+        await handleGenerationFailure(client, channelId, conversation, error);
+      }
+    }
+  }
+
+  // Helper function to check a session is still open and waiting for its memo
+  async function isGenerating(conversation) {
+    return conversation.stage === 'generating' && await isCurrent(conversation);
+  }
+
+  // Helper function to explain why generation failed and offer to retry with everything the user already gave us
+  async function handleGenerationFailure(client, channelId, conversation, error) {
+    // Keep the session so the retry button can pick up where we left off
+    setStage(conversation, 'failed');
+    memosFailed.inc();
+    sessionLogger(conversation).warn('Memo generation failed, offering a retry');
+    conversation.lastError = error.response ? `status ${error.response.status}` : (error.code || error.message);
+    await saveSession(conversation);
+
+    let reason = "the AI service returned an error";
+    const status = error.response && error.response.status;
+    if (status === 429) {
+      reason = "the AI service is rate limiting us right now";
+    } else if (status === 529 || status === 503) {
+      reason = "the AI service is overloaded right now";
+    } else if (status >= 500) {
+      reason = "the AI service is having problems right now";
+    } else if (['ECONNABORTED', 'ETIMEDOUT'].includes(error.code)) {
+      reason = "the AI service took too long to respond";
+    } else if (status === 401 || status === 403) {
+      reason = "the AI service rejected our credentials (please let the administrator know)";
+    }
+
+    const attempts = error.attempts > 1 ? ` after ${error.attempts} attempts` : '';
+    const text = `:x: Sorry, I couldn't generate your Decision Memo because ${reason}${attempts}. Nothing has been lost: your context and answers are saved, so you can retry without starting over. (Respond with "stop" to give up.)`;
+
+    await client.chat.postMessage({
+      channel: channelId,
+      text,
+      blocks: [
+        {
+          type: 'section',
+          text: { type: 'mrkdwn', text }
+        },
+        {
+          type: 'actions',
+          block_id: 'generation_failed',
+          elements: [
+            {
+              type: 'button',
+              action_id: 'retry_generation',
+              value: conversation.key,
+              text: { type: 'plain_text', text: 'Retry generation', emoji: true },
+              style: 'primary'
+            }
+          ]
+        }
+      ]
+    });
+  }
+
+  // Helper function to work out who may read the memo in the Decision Log, from the channels its context came from
+  // (`sourceChannelIds`, or the channel of the thread it was started from). Memos from pasted text, files and the
+  // form have no source channel and are shared with the workspace once approved.
+  async function describeMemoAccess(client, conversation) {
+    const channelIds = conversation.sourceChannelIds
+      || (conversation.originalChannel ? [conversation.originalChannel] : []);
+    const access = await describeSourceAccess(client, channelIds);
+
+    return {
+      source: { channelIds, private: access.private },
+      visibility: access.private ? 'members' : 'team',
+      memberIds: access.memberIds
+    };
+  }
+
+  // Helper function to process memo and send it to the author for review.
+  // `memo` is the validated memo object ({ title, choice, factors, risks, rewards, alternatives }).
+  async function processMemoAndRespond(client, channelId, memo, conversation) {
+    // Show who was involved under the memo, where the author can correct it before approving
+    if (conversation.roster && conversation.roster.length > 0) {
+      memo = { ...memo, involved: conversation.roster };
+    }
+
+    // Save the draft to the Decision Log
+    let logEntry = null;
+    try {
+      logEntry = await decisionLog.add({
+        title: memo.title,
+        memo,
+        text: formatMemoText(memo, { includeTitle: false }),
+        status: 'draft',
+        authorId: conversation.userId,
+        teamId: conversation.teamId,
+        channelId: conversation.originalChannel,
+        threadTs: conversation.threadTs,
+        permalink: await getSourcePermalink(client, conversation),
+        ...(await describeMemoAccess(client, conversation))
+      });
+    } catch (error) {
+      sessionLogger(conversation).error('Error saving memo to the Decision Log', { error });
+    }
+
+    // First, send the intro message
+    await client.chat.postMessage({
+      channel: channelId,
+      text: "✅ Here's your draft Decision Memo. Regenerate or edit any section that needs work, then approve it when it's ready to share:"
+    });
+
+    // Then send the actual memo with the review buttons
+    const memoMessage = await client.chat.postMessage({
+      channel: channelId,
+      text: formatMemoText(memo),
+      blocks: buildMemoBlocks(memo, { version: 1, change: 'generated', reviewing: true })
+    });
+
+    // Keep the session around while the memo is reviewed, with a history of every version
+    setStage(conversation, 'reviewing');
+    conversation.memo = memo;
+    conversation.memoTs = memoMessage.ts;
+    conversation.logEntryId = logEntry ? logEntry.id : null;
+    conversation.memoVersions = [{
+      version: 1,
+      change: 'generated',
+      memo,
+      createdAt: new Date().toISOString()
+    }];
+    await saveSession(conversation);
+
+    // Anything the user sent while we were writing isn't in this draft, so remind them to work it in
+    const queued = conversation.queuedMessages || [];
+    if (queued.length > 0) {
+      delete conversation.queuedMessages;
+      await saveSession(conversation);
+      await client.chat.postMessage({
+        channel: channelId,
+        text: `📥 You sent ${queued.length === 1 ? 'a message' : `${queued.length} messages`} while I was writing this draft, so ${queued.length === 1 ? "it isn't" : "they aren't"} in it yet. Use *Regenerate section…* or *Edit in modal* to work ${queued.length === 1 ? 'it' : 'them'} in.`
+      });
+    }
+  }
+
+  // Helper function to start a memo session from content captured in Slack and ask the clarifying questions
+  async function startCapturedMemo(client, dmChannelId, conversation, introText, source) {
+    conversation.dmChannelId = dmChannelId;
+    await openSession(client, conversation, {
+      stage: 'asking_questions',
+      source,
+      messages: [{
+        text: `${introText}\n\nI'm analyzing the conversation to determine if I need any clarifying information... (Respond with "stop" at any time to terminate this process)`
+      }]
+    });
+  }
+
+  return {
+    getTeamSettings,
+    chooseTemplate,
+    checkBudget,
+    sessionMeta,
+    sessionLogger,
+    recordSessionStart,
+    listSessions,
+    getActiveSession,
+    getSession,
+    saveSession,
+    isCurrent,
+    setStage,
+    claimStage,
+    openSession,
+    activateSession,
+    beginSession,
+    switchToSession,
+    endSession,
+    discardDraft,
+    prepareContext,
+    identifyParticipants,
+    generateQuestionsFor,
+    askClarifyingQuestions,
+    collectClarifyingAnswers,
+    reviewAnswers,
+    generateAndSendMemo,
+    processMemoAndRespond,
+    startCapturedMemo
+  };
+}
+
+module.exports = { createMemoFlow, formatUsd, describeBudget, describeStage, describeSession, sessionLabel, STAGE_TRANSITIONS };
@@ -0,0 +1,253 @@
+const Ajv = require('ajv');
+const { resolveTemplate } = require('./templates');
+const { groupByRole, describeParticipant } = require('./participants');
+
+// Every memo is written with a template (see templates/), which decides its sections.
+// A section with `list: false` is a short statement; the others are lists of points.
+// The memo object is flat: { template, title, <section key>: content, ... }, plus `involved`, the roster of
+// who was involved in the decision (see participants.js), which is shown after the sections.
+
+const ajv = new Ajv({ allErrors: true });
+
+// The sections of the template a memo was written with (memos from before templates use the default)
+function memoSections(memo) {
+  return resolveTemplate(memo.template).sections;
+}
+
+function sectionSchema(section) {
+  if (!section.list) {
+    return { type: 'string', minLength: section.optional ? 0 : 1 };
+  }
+  return {
+    type: 'array',
+    minItems: section.optional ? 0 : 1,
+    maxItems: 12,
+    items: { type: 'string', minLength: 1 }
+  };
+}
+
+// JSON Schema for a memo written with the given template, as the model returns it
+function buildMemoSchema(template) {
+  return {
+    type: 'object',
+    additionalProperties: false,
+    required: ['title', ...template.sections.filter(section => !section.optional).map(section => section.key)],
+    properties: {
+      template: { type: 'string' },
+      title: { type: 'string', minLength: 1, maxLength: 150 },
+      ...Object.fromEntries(template.sections.map(section => [section.key, sectionSchema(section)]))
+    }
+  };
+}
+
+// Compile each template's validators once
+const validators = new WeakMap();
+function getValidators(template) {
+  if (!validators.has(template)) {
+    validators.set(template, {
+      memo: ajv.compile(buildMemoSchema(template)),
+      sections: Object.fromEntries(template.sections.map(section => [
+        section.key,
+        ajv.compile({
+          type: 'object',
+          required: ['content'],
+          properties: { content: sectionSchema(section) }
+        })
+      ]))
+    });
+  }
+  return validators.get(template);
+}
+
+// Turn ajv's errors into short sentences we can show the model when asking it to fix its output
+function describeErrors(errors) {
+  return (errors || []).map(error => `${error.instancePath || '(root)'} ${error.message}`);
+}
+
+// Check a memo object against its template's schema, returning a list of problems (empty when it's valid)
+function validateMemo(memo, template = resolveTemplate(memo && memo.template)) {
+  const validate = getValidators(template).memo;
+  return validate(memo) ? [] : describeErrors(validate.errors);
+}
+
+// Check a regenerated section ({ "content": ... }) against the schema for that section
+function validateSection(template, key, value) {
+  const validate = getValidators(template).sections[key];
+  if (!validate) return [`unknown section "${key}"`];
+  return validate(value) ? [] : describeErrors(validate.errors);
+}
+
+// Pull the JSON object out of a model response, tolerating code fences or a sentence around it
+function parseJsonResponse(text) {
+  const trimmed = (text || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  try {
+    return JSON.parse(trimmed);
+  } catch (error) {
+    const start = trimmed.indexOf('{');
+    const end = trimmed.lastIndexOf('}');
+    if (start !== -1 && end > start) {
+      return JSON.parse(trimmed.slice(start, end + 1));
+    }
+    throw error;
+  }
+}
+
+// Find a section definition in a template by its key
+function getSection(template, key) {
+  return template.sections.find(section => section.key === key) || null;
+}
+
+// Render one section's content, with list points as "• point" (Slack) or "- point" (Markdown)
+function formatSectionContent(memo, section, bullet) {
+  const content = memo[section.key];
+  if (!content || content.length === 0) return null;
+  return section.list ? content.map(point => `${bullet} ${point}`).join('\n') : content;
+}
+
+// Heading for the roster shown after the memo's sections
+const INVOLVED_HEADING = 'Who was involved';
+
+// The memo's roster as one `{ label, names }` per role that has anyone in it (empty when it has no roster)
+function involvedByRole(memo) {
+  return groupByRole(memo.involved).map(({ role, entries }) => ({
+    label: role.label,
+    names: entries.map(describeParticipant).join(', ')
+  }));
+}
+
+// Render the roster as Slack mrkdwn (null when the memo has no roster)
+function formatInvolvedText(memo) {
+  const roles = involvedByRole(memo);
+  if (roles.length === 0) return null;
+  return `*${INVOLVED_HEADING}*\n${roles.map(({ label, names }) => `• *${label}:* ${names}`).join('\n')}`;
+}
+
+// Render one section as Slack mrkdwn (null when the memo doesn't cover it)
+function formatSectionText(memo, key) {
+  return formatSectionContent(memo, getSection(resolveTemplate(memo.template), key), '•');
+}
+
+// Render a memo as Slack mrkdwn, with the title in bold if there is one
+function formatMemoText(memo, { includeTitle = true } = {}) {
+  const parts = [];
+
+  if (includeTitle && memo.title) {
+    parts.push(`*${memo.title}*`);
+  }
+
+  for (const section of memoSections(memo)) {
+    parts.push(`*${section.heading}*\n${formatSectionContent(memo, section, '•') || '_Not covered_'}`);
+  }
+
+  const involved = formatInvolvedText(memo);
+  if (involved) parts.push(involved);
+
+  return parts.join('\n\n');
+}
+
+// Render a memo as standard Markdown, which pastes cleanly into Notion, Confluence and Google Docs
+function formatMemoMarkdown(memo) {
+  const parts = [`# ${memo.title || 'Decision Memo'}`];
+
+  for (const section of memoSections(memo)) {
+    parts.push(`## ${section.heading}\n\n${formatSectionContent(memo, section, '-') || '_Not covered_'}`);
+  }
+
+  const roles = involvedByRole(memo);
+  if (roles.length > 0) {
+    parts.push(`## ${INVOLVED_HEADING}\n\n${roles.map(({ label, names }) => `- **${label}:** ${names}`).join('\n')}`);
+  }
+
+  return `${parts.join('\n\n')}\n`;
+}
+
+// Escape text for HTML and Confluence storage format
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Render a memo as HTML. By default this is a standalone document for downloading;
+// with `document: false` it's a fragment, which is also valid Confluence storage format.
+function formatMemoHtml(memo, { document = true, includeTitle = true } = {}) {
+  const parts = [];
+
+  if (includeTitle) {
+    parts.push(`<h1>${escapeHtml(memo.title || 'Decision Memo')}</h1>`);
+  }
+
+  for (const section of memoSections(memo)) {
+    parts.push(`<h2>${escapeHtml(section.heading)}</h2>`);
+
+    const content = memo[section.key];
+    if (!content || content.length === 0) {
+      parts.push('<p><em>Not covered</em></p>');
+    } else if (section.list) {
+      parts.push(`<ul>${content.map(point => `<li>${escapeHtml(point)}</li>`).join('')}</ul>`);
+    } else {
+      parts.push(`<p>${escapeHtml(content)}</p>`);
+    }
+  }
+
+  const roles = involvedByRole(memo);
+  if (roles.length > 0) {
+    parts.push(`<h2>${INVOLVED_HEADING}</h2>`);
+    parts.push(`<ul>${roles.map(({ label, names }) => `<li><strong>${escapeHtml(label)}:</strong> ${escapeHtml(names)}</li>`).join('')}</ul>`);
+  }
+
+  const body = parts.join('\n');
+  if (!document) return body;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(memo.title || 'Decision Memo')}</title>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+// Render a section for a text area: the statement as is, or one point per line
+function sectionToEditText(memo, key) {
+  const section = getSection(resolveTemplate(memo.template), key);
+  const content = memo[key];
+  if (!content) return '';
+  return section.list ? content.join('\n') : content;
+}
+
+// Read a section back from a text area, treating each non-empty line of a list section as a point
+function sectionFromEditText(template, key, text) {
+  const section = getSection(template, key);
+  const trimmed = (text || '').trim();
+  if (!section.list) return trimmed;
+
+  return trimmed
+    .split('\n')
+    .map(line => line.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, '').trim())
+    .filter(Boolean);
+}
+
+module.exports = {
+  memoSections,
+  buildMemoSchema,
+  validateMemo,
+  validateSection,
+  parseJsonResponse,
+  getSection,
+  INVOLVED_HEADING,
+  involvedByRole,
+  formatInvolvedText,
+  formatSectionText,
+  formatMemoText,
+  formatMemoMarkdown,
+  formatMemoHtml,
+  sectionToEditText,
+  sectionFromEditText
+};
@@ -0,0 +1,547 @@
+const { DEFAULT_TEMPLATE, resolveTemplate } = require('./templates');
+const { validateMemo, validateSection, parseJsonResponse, getSection } = require('./memoFormat');
+const { logger } = require('./logger');
+const { ROLES, ROLE_KEYS, describeParticipant } = require('./participants');
+
+// Defaults for the workspace settings admins can change in App Home
+const FINAL_QUESTION = "Is there anything else I should know about this decision before proceeding?";
+const DEFAULT_MAX_CLARIFYING_QUESTIONS = 2;
+const DEFAULT_MAX_CLARIFYING_ROUNDS = 3;
+
+// Describe the sections a template's memo has to cover, as a numbered list for the prompts
+function describeTemplateSections(template) {
+  const sections = template.sections.map((section, index) => `${index + 1}. ${section.heading}`);
+  return `The ${template.documentName} has these ${sections.length} sections:\n${sections.join('\n')}`;
+}
+
+// Output instructions shared by every prompt that writes a whole memo, built from the template's sections
+function buildMemoOutputInstructions(template) {
+  const shape = { title: `A concise title for the decision${template.titleExample ? `, e.g. ${template.titleExample}` : ''}` };
+  for (const section of template.sections) {
+    const description = [section.heading, section.description].filter(Boolean).join(' ');
+    shape[section.key] = section.list ? [`${description} One point per item.`] : description;
+  }
+
+  const listRule = template.sections.some(section => section.optional)
+    ? 'Every list needs at most 12 points, and at least one unless it says it can be left empty.'
+    : 'Every list needs at least one point and at most 12.';
+
+  const guidelines = template.guidelines.length > 0
+    ? `\n\nIMPORTANT STRUCTURE GUIDELINES:\n${template.guidelines.map((guideline, index) => `${index + 1}. ${guideline}`).join('\n')}`
+    : '';
+
+  return `Respond with a single JSON object and nothing else - no code fences, no commentary. It must have exactly these fields:
+${JSON.stringify(shape, null, 2)}
+
+IMPORTANT FORMATTING INSTRUCTIONS:
+1. Write plain text in every field - no Markdown, no asterisks, no bullet characters, no headings.
+2. If you need to emphasize a point, use ALL CAPS for emphasis instead.
+3. ${listRule}${guidelines}`;
+}
+
+// Helper function to log a failed LLM call without the JSON parser's message, which quotes the response
+function loggableError(error) {
+  return error instanceof SyntaxError ? new Error('response is not valid JSON') : error;
+}
+
+// Parse a JSON response and validate it, returning the value along with any problems found.
+// The parser's message quotes the response, so it's only kept in `correctionErrors` (sent back to the LLM),
+// never in `errors`, which get logged and thrown.
+function parseStructuredResponse(text, validate) {
+  let value;
+  try {
+    value = parseJsonResponse(text);
+  } catch (error) {
+    return {
+      value: null,
+      errors: ['response is not valid JSON'],
+      correctionErrors: [`response is not valid JSON (${error.message})`]
+    };
+  }
+  const errors = validate(value);
+  return { value, errors, correctionErrors: errors };
+}
+
+// Repeat the original prompt with the invalid output and what was wrong with it
+function buildCorrectionPrompt(prompt, previousOutput, errors) {
+  return `${prompt}
+
+Your previous response did not match the required JSON structure.
+
+Your previous response was:
+${previousOutput}
+
+The problems were:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Respond again with the corrected JSON object only.
+`;
+}
+
+// Create the memo generator: every prompt that asks the LLM for clarifying questions, condensed context,
+// a whole memo or a single section, sent through the given LLM client.
+function createMemoGenerator({ llm }) {
+  // Ask the LLM for a memo as JSON and check it against the schema.
+  // If the response doesn't parse or validate, ask once more with the problems spelled out,
+  // then give up so the caller can offer a retry.
+  async function requestStructuredMemo(prompt, template, meta = null) {
+    const validate = memo => validateMemo(memo, template);
+
+    let response = await llm.complete({ purpose: 'memo', prompt, meta });
+    let { value, errors, correctionErrors } = parseStructuredResponse(response.text, validate);
+
+    if (errors.length > 0) {
+      logger.child(meta || {}).warn('Memo failed validation, asking the LLM to correct it', { errors });
+      response = await llm.complete({
+        purpose: 'memo',
+        prompt: buildCorrectionPrompt(prompt, response.text, correctionErrors),
+        meta
+      });
+      ({ value, errors } = parseStructuredResponse(response.text, validate));
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`The memo did not match the expected structure: ${errors.join('; ')}`);
+    }
+
+    return { template: template.name, ...value };
+  }
+
+  // Function to work out the role each participant played in the decision using the configured LLM.
+  // `roster` comes from buildRoster() in participants.js. Returns one role key per entry, in order,
+  // or null if the roles couldn't be worked out (so the caller keeps its guesses).
+  async function inferParticipantRoles(context, roster, template = resolveTemplate(DEFAULT_TEMPLATE), meta = null) {
+    const log = logger.child(meta || {});
+
+    log.debug('Inferring participant roles', { participantCount: roster.length });
+
+    const people = roster.map((entry, index) => {
+      const how = entry.type === 'group'
+        ? 'a user group that was mentioned'
+        : [
+          entry.messages > 0 ? `wrote ${entry.messages} message${entry.messages === 1 ? '' : 's'}` : null,
+          entry.mentioned ? 'was mentioned' : null,
+          entry.messages === 0 && !entry.mentioned ? 'was named as a participant' : null
+        ].filter(Boolean).join(' and ');
+      return `${index + 1}. ${describeParticipant(entry)} - ${how}`;
+    });
+
+    // Prepare the request to the LLM
+    const prompt = `
+You are ${template.persona}. Before writing a ${template.documentName}, you need to know who was involved in the decision and how.
+
+The conversation context is:
+${context}
+
+The people and groups who took part in or were mentioned in the conversation are:
+${people.join('\n')}
+
+Give each of them exactly one of these roles:
+${ROLES.map(role => `- ${role.key}: ${role.description}`).join('\n')}
+
+There should be one decision owner, unless the context makes clear there is none or more than one. Only call someone an approver if the context shows them approving, signing off or being asked to. If the context says nothing about someone beyond their being mentioned, they were informed.
+
+Respond with a single JSON object and nothing else - no code fences, no commentary - with one role per person, in order:
+{"roles": ["owner", "consulted"]}
+`;
+
+    try {
+      // Call the configured LLM provider
+      const response = await llm.complete({ purpose: 'participant_roles', prompt, meta });
+      const result = parseJsonResponse(response.text);
+      const roles = result && Array.isArray(result.roles) ? result.roles : null;
+
+      if (!roles || roles.length !== roster.length || !roles.every(role => ROLE_KEYS.includes(role))) {
+        log.warn('Participant roles did not match the roster, keeping the guesses');
+        return null;
+      }
+
+      log.info('Inferred participant roles', { participantCount: roles.length });
+      return roles;
+    } catch (error) {
+      log.warn("Couldn't infer participant roles, keeping the guesses", { error: loggableError(error) });
+      return null;
+    }
+  }
+
+  // Function to generate clarifying questions using the configured LLM
+  async function generateClarifyingQuestions(context, participants, template = resolveTemplate(DEFAULT_TEMPLATE), options = {}) {
+    const maxQuestions = options.maxQuestions !== undefined ? options.maxQuestions : DEFAULT_MAX_CLARIFYING_QUESTIONS;
+    const finalQuestion = options.finalQuestion !== undefined ? options.finalQuestion : FINAL_QUESTION;
+
+    // The workspace can turn the generated questions off entirely
+    if (maxQuestions === 0) {
+      return [];
+    }
+
+    const log = logger.child(options.meta || {});
+
+    try {
+      log.debug('Generating clarifying questions', { maxQuestions });
+
+      // Prepare the request to the LLM with updated prompt
+      const prompt = `
+You are ${template.persona}. You're analyzing a conversation to identify if any critical information is missing to create a comprehensive ${template.documentName}.
+
+The conversation context is:
+${context}
+
+${participants ? `The participants are: ${participants}` : ''}
+
+${describeTemplateSections(template)}
+
+Apply your judgment to determine if truly essential information is missing. Ask ${maxQuestions === 1 ? '1 high-impact question' : `1-${maxQuestions} high-impact questions`} that would help you understand:
+
+${template.clarifyingGuidance.map(item => `- ${item}`).join('\n')}
+
+If it's not clear from the context who key participants are and what their roles are, you should ask about that, but ONLY if it's truly necessary to understand the decision context.
+
+Do not ask questions merely for curiosity or implementation details - focus on questions that would substantially improve the depth of the ${template.documentName}.
+
+Format your response as a JSON array of strings, with no more than ${maxQuestions} SPECIFIC question${maxQuestions === 1 ? '' : 's'}. Example:
+["What fundamental problem or opportunity is this decision addressing at its root?"]
+
+If the conversation already provides sufficient strategic context and first-principles reasoning, return an empty array:
+[]
+
+${finalQuestion ? `DO NOT include a generic question like "${finalQuestion}" in your response - this question will be asked separately.` : ''}
+`;
+
+      // Call the configured LLM provider
+      const response = await llm.complete({
+        purpose: 'clarifying_questions',
+        prompt,
+        meta: options.meta || null
+      });
+
+      // Parse the response to get the questions (the response itself is only logged with LOG_REDACT=false)
+      const messageContent = response.text;
+      log.debug('Received clarifying questions', { response: messageContent });
+
+      try {
+        // Try to parse as JSON
+        const questions = JSON.parse(messageContent);
+
+        // Ensure we never have more questions than the workspace allows
+        const limitedQuestions = Array.isArray(questions) ? questions.slice(0, maxQuestions) : [];
+        log.info('Parsed clarifying questions', { count: limitedQuestions.length });
+        return limitedQuestions;
+      } catch (parseError) {
+        log.warn('Clarifying questions are not valid JSON', { error: loggableError(parseError) });
+        // If parsing fails, try to extract questions using regex
+        const matches = messageContent.match(/\[(.*)\]/s);
+        if (matches && matches[1]) {
+          const questionsText = matches[1];
+          // Split by commas and clean up
+          const extractedQuestions = questionsText.split('","')
+            .map(q => q.replace(/^"|"$/g, '').replace(/^\["|"\]$/g, '').trim())
+            .filter(q => q.length > 0);
+          // Limit to the workspace's maximum
+          log.info('Extracted clarifying questions with a regex', { count: Math.min(extractedQuestions.length, maxQuestions) });
+          return extractedQuestions.slice(0, maxQuestions);
+        }
+        // If all else fails, return no questions
+        log.warn("Couldn't parse clarifying questions, asking none");
+        return [];
+      }
+    } catch (error) {
+      log.error('Error generating clarifying questions', { error });
+      return []; // Return empty array on error
+    }
+  }
+
+  // Function to read the author's free-form reply to a round of clarifying questions using the configured LLM:
+  // which part of the reply answers each question, which sections of the memo are still thinly supported,
+  // and up to `maxQuestions` targeted follow-up questions (none once there's enough to write the memo).
+  //
+  // `previous` holds the questions and answers from earlier rounds as `{ question, answer }`.
+  // Returns `{ answers, other, thinSections, followUpQuestions }`, where `answers` has one entry per question
+  // (null for a question the reply doesn't answer), or is null if the reply couldn't be mapped, and `other` is
+  // anything in the reply that doesn't answer one of the questions.
+  async function reviewClarifyingAnswers(context, participants, previous, questions, reply, template = resolveTemplate(DEFAULT_TEMPLATE), options = {}) {
+    const maxQuestions = options.maxQuestions !== undefined ? options.maxQuestions : DEFAULT_MAX_CLARIFYING_QUESTIONS;
+    const log = logger.child(options.meta || {});
+    const noReview = { answers: null, other: null, thinSections: [], followUpQuestions: [] };
+
+    log.debug('Reviewing clarifying answers', { questionCount: questions.length, previousCount: previous.length });
+
+    const earlierAnswers = previous.length > 0
+      ? `Answers gathered in earlier rounds:\n${previous.map(({ question, answer }) => `Question: ${question}\nAnswer: ${answer || '(no answer given)'}`).join('\n\n')}\n`
+      : '';
+
+    // Prepare the request to the LLM
+    const prompt = `
+You are ${template.persona}. You asked the author of a ${template.documentName} some clarifying questions, and they replied in their own words. Decide whether you now have enough to write a strong ${template.documentName}.
+
+The conversation context is:
+${context}
+
+${participants ? `The participants are: ${participants}` : ''}
+
+${earlierAnswers}
+The questions you just asked were:
+${questions.map((question, index) => `${index + 1}) ${question}`).join('\n')}
+
+The author's reply was:
+${reply}
+
+${describeTemplateSections(template)}
+The section keys are: ${template.sections.map(section => section.key).join(', ')}
+
+Do three things:
+1. Work out which part of the reply answers each question you just asked, in order. Keep the author's own words and add nothing. Use null for a question the reply doesn't answer, and put anything in the reply that doesn't answer one of the questions in "other" (or null).
+2. Using the context and every answer so far, list the keys of the sections that are still thinly supported.
+3. ${maxQuestions > 0
+    ? `If a thinly supported section or an unanswered question would substantially weaken the ${template.documentName}, ask up to ${maxQuestions} targeted follow-up question${maxQuestions === 1 ? '' : 's'} about ${maxQuestions === 1 ? 'it' : 'them'}. Never repeat a question that has been answered, and don't press for things the author said they don't know.`
+    : 'Ask no follow-up questions.'}
+
+Respond with a single JSON object and nothing else - no code fences, no commentary:
+{"answers": ["The answer to question 1", null], "other": null, "thin_sections": ["risks"], "follow_up_questions": ["A specific follow-up question"]}
+
+If you have enough to write the ${template.documentName}, return an empty "follow_up_questions" list.
+`;
+
+    let review;
+    try {
+      // Call the configured LLM provider
+      const response = await llm.complete({
+        purpose: 'answer_review',
+        prompt,
+        meta: options.meta || null
+      });
+      review = parseJsonResponse(response.text);
+    } catch (error) {
+      log.warn("Couldn't review the clarifying answers, using the reply as it is", { error: loggableError(error) });
+      return noReview;
+    }
+
+    if (!review || typeof review !== 'object') {
+      log.warn('Clarifying answer review is not a JSON object, using the reply as it is');
+      return noReview;
+    }
+
+    // Only trust the mapping if there's one answer per question
+    const answers = Array.isArray(review.answers) && review.answers.length === questions.length
+      ? review.answers.map(answer => (typeof answer === 'string' && answer.trim() ? answer.trim() : null))
+      : null;
+    const other = answers && typeof review.other === 'string' && review.other.trim() ? review.other.trim() : null;
+    const sectionKeys = template.sections.map(section => section.key);
+    const thinSections = Array.isArray(review.thin_sections)
+      ? review.thin_sections.filter(key => sectionKeys.includes(key))
+      : [];
+    const followUpQuestions = Array.isArray(review.follow_up_questions)
+      ? review.follow_up_questions.filter(question => typeof question === 'string' && question.trim()).slice(0, maxQuestions)
+      : [];
+
+    log.info('Reviewed clarifying answers', {
+      mapped: Boolean(answers),
+      unanswered: answers ? answers.filter(answer => answer === null).length : null,
+      thinSections,
+      followUpCount: followUpQuestions.length
+    });
+    return { answers, other, thinSections, followUpQuestions };
+  }
+
+  // Function to condense one chunk of a long conversation into decision-relevant facts using the configured LLM
+  async function summarizeContextChunk(chunk, index, total, meta = null) {
+    logger.child(meta || {}).debug('Condensing context', { part: index + 1, parts: total });
+
+    const prompt = `
+You are helping an executive write a Decision Memo from a long conversation. The conversation has been split into ${total} parts and you are reading part ${index + 1}.
+
+Extract every fact from this part that could matter for the Decision Memo:
+- The decision (or decisions) being made, and who made or owns them
+- The reasons, data, numbers and constraints that were cited
+- Risks, concerns and objections that were raised, and by whom
+- Expected benefits or rewards
+- Alternatives that were proposed or rejected, and why
+- Open questions, disagreements and anything that changed someone's mind
+
+Keep who said what (use the speaker names as written), keep dates and figures exact, and keep the order in which things happened. Leave out small talk, scheduling chatter and anything unrelated to the decision. Don't add anything that isn't in the text.
+
+Respond with a concise bulleted list of facts and nothing else. If nothing in this part is relevant, respond with "No decision-relevant content."
+
+Part ${index + 1} of ${total}:
+${chunk}
+`;
+
+    // Call the configured LLM provider
+    const response = await llm.complete({
+      purpose: 'condense',
+      prompt,
+      meta
+    });
+
+    return response.text;
+  }
+
+  // Function to generate a Decision Memo using the configured LLM
+  async function generateDecisionMemo(context, participants, template = resolveTemplate(DEFAULT_TEMPLATE), meta = null) {
+    const log = logger.child(meta || {});
+
+    try {
+      log.debug('Generating the memo', { template: template.name });
+
+      // Prepare the request to the LLM with updated formatting instructions
+      const prompt = `
+You are writing a ${template.documentName} as ${template.persona}.
+
+The conversation context is:
+${context}
+
+${participants ? `The participants are: ${participants}` : ''}
+
+${describeTemplateSections(template)}
+
+${buildMemoOutputInstructions(template)}
+
+Be concise but thorough in your content. Don't fabricate information, but do connect the decision to deeper strategic thinking where the connection is clear from the context.
+`;
+
+      // Call the configured LLM provider
+      const memo = await requestStructuredMemo(prompt, template, meta);
+
+      // Return the Decision Memo
+      return memo;
+    } catch (error) {
+      log.error('Error generating Decision Memo', { error });
+
+      // Never hand back a placeholder that looks like a real memo, let the caller tell the user it failed
+      throw error;
+    }
+  }
+
+  // Function to generate a Decision Memo with clarifying information
+  async function generateDecisionMemoWithClarification(context, participants, questions, answers, template = resolveTemplate(DEFAULT_TEMPLATE), meta = null) {
+    const log = logger.child(meta || {});
+
+    try {
+      log.debug('Generating the memo with clarifying answers', { template: template.name, questionCount: questions.length });
+
+      // Combine questions and answers into a single string
+      let clarification = "";
+      if (answers.length === questions.length) {
+        for (let i = 0; i < questions.length; i++) {
+          clarification += `Question: ${questions[i]}\nAnswer: ${answers[i] || '(no answer given)'}\n\n`;
+        }
+      } else {
+        // The answers came back as one response covering all the questions
+        clarification += `Questions:\n${questions.map((question, i) => `${i + 1}) ${question}`).join('\n')}\n\n`;
+        clarification += `Answers:\n${answers.join('\n\n')}\n\n`;
+      }
+
+      // Prepare the request to the LLM with updated formatting instructions
+      const prompt = `
+You are writing a ${template.documentName} as ${template.persona}.
+
+The conversation context is:
+${context}
+
+${participants ? `The participants are: ${participants}` : ''}
+
+Additional clarification:
+${clarification}
+
+${describeTemplateSections(template)}
+
+${buildMemoOutputInstructions(template)}
+
+ADDITIONAL CONTENT INSTRUCTIONS:
+1. Carefully incorporate insights from ALL the clarifying questions and answers, especially the final "anything else" question.
+2. Pay special attention to any new information that was provided in response to the final question.
+3. Make sure the decision memo reflects a complete understanding of the situation, including any nuances, concerns, or context added in the clarification phase.
+4. Connect these additional insights to the strategic reasoning, risk assessment, and alternatives consideration.
+
+Be concise but thorough in your content. Don't fabricate information, but do connect the decision to deeper strategic thinking where the connection is clear from the context.
+
+DO NOT include the clarifying questions and answers in the memo.
+`;
+
+      // Call the configured LLM provider
+      const memo = await requestStructuredMemo(prompt, template, meta);
+
+      // Return the Decision Memo
+      return memo;
+    } catch (error) {
+      log.error('Error generating Decision Memo with clarification', { error });
+
+      // Never hand back a placeholder that looks like a real memo, let the caller tell the user it failed
+      throw error;
+    }
+  }
+
+  // Function to regenerate a single section of a Decision Memo using the configured LLM.
+  // Returns the section's new content: a string for the choice, a list of points for the others.
+  async function regenerateMemoSection(context, participants, memo, sectionKey, guidance, meta = null) {
+    const log = logger.child(meta || {});
+    log.debug('Regenerating a memo section', { sectionKey });
+
+    const template = resolveTemplate(memo.template);
+    const section = getSection(template, sectionKey);
+    const currentMemo = JSON.stringify(memo, null, 2);
+    const contentShape = section.list
+      ? '{ "content": ["One point per item"] }'
+      : '{ "content": "The new statement" }';
+
+    // Prepare the request to the LLM
+    const prompt = `
+You are revising a ${template.documentName} as ${template.persona}.
+
+The conversation context is:
+${context}
+
+${participants ? `The participants are: ${participants}` : ''}
+
+The current draft of the ${template.documentName} is:
+${currentMemo}
+
+The author wants you to rewrite ONLY this section:
+${section.heading}${section.description ? ` (${section.description})` : ''}
+Section to rewrite: ${sectionKey}
+
+${guidance ? `The author's guidance for the rewrite is:\n${guidance}\n` : 'The author found this section weak. Make it sharper, more specific and better grounded in the conversation.\n'}
+Keep the rewritten section consistent with the rest of the memo.
+
+IMPORTANT FORMATTING INSTRUCTIONS:
+1. Respond with a single JSON object and nothing else, shaped like: ${contentShape}
+2. Write plain text - no Markdown, no asterisks, no bullet characters, no headings.
+3. If you need to emphasize a point, use ALL CAPS for emphasis instead.
+
+Be concise but thorough in your content. Don't fabricate information, but do connect the decision to deeper strategic thinking where the connection is clear from the context.
+`;
+
+    const validate = value => validateSection(template, sectionKey, value);
+
+    // Call the configured LLM provider
+    let response = await llm.complete({ purpose: 'section', prompt, meta });
+    let { value, errors, correctionErrors } = parseStructuredResponse(response.text, validate);
+
+    if (errors.length > 0) {
+      log.warn('Section failed validation, asking the LLM to correct it', { sectionKey, errors });
+      response = await llm.complete({
+        purpose: 'section',
+        prompt: buildCorrectionPrompt(prompt, response.text, correctionErrors),
+        meta
+      });
+      ({ value, errors } = parseStructuredResponse(response.text, validate));
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`The regenerated section did not match the expected structure: ${errors.join('; ')}`);
+    }
+
+    return value.content;
+  }
+
+  return {
+    inferParticipantRoles,
+    generateClarifyingQuestions,
+    reviewClarifyingAnswers,
+    summarizeContextChunk,
+    generateDecisionMemo,
+    generateDecisionMemoWithClarification,
+    regenerateMemoSection
+  };
+}
+
+module.exports = { createMemoGenerator, FINAL_QUESTION, DEFAULT_MAX_CLARIFYING_QUESTIONS, DEFAULT_MAX_CLARIFYING_ROUNDS };
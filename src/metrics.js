@@ -0,0 +1,132 @@
+// A small Prometheus registry: counters, gauges and histograms with labels,
+// rendered in the text exposition format served from GET /metrics.
+
+const DEFAULT_BUCKETS = [0.5, 1, 2.5, 5, 10, 20, 30, 60, 120];
+
+// Prometheus label values must escape backslashes, quotes and newlines
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+// Key a series by its label values, in the order the metric declared them
+function seriesKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name]))));
+}
+
+function pickLabels(labelNames, labels) {
+  return Object.fromEntries(labelNames.map(name => [name, labels[name] === undefined ? '' : labels[name]]));
+}
+
+function createMetricsRegistry({ prefix = '' } = {}) {
+  const metrics = [];
+
+  function register(metric) {
+    metric.name = `${prefix}${metric.name}`;
+    metrics.push(metric);
+    return metric;
+  }
+
+  // A value that only goes up, e.g. memos started
+  function counter(name, help, labelNames = []) {
+    const series = new Map();
+
+    // A counter without labels has exactly one series, so report it (as 0) from the start
+    if (labelNames.length === 0) {
+      series.set(seriesKey(labelNames, {}), { labels: {}, value: 0 });
+    }
+
+    const metric = register({
+      name,
+      help,
+      type: 'counter',
+      lines() {
+        return Array.from(series.values()).map(({ labels, value }) => `${metric.name}${formatLabels(labels)} ${value}`);
+      }
+    });
+
+    return {
+      inc(labels = {}, amount = 1) {
+        const key = seriesKey(labelNames, labels);
+        const current = series.get(key) || { labels: pickLabels(labelNames, labels), value: 0 };
+        current.value += amount;
+        series.set(key, current);
+      }
+    };
+  }
+
+  // A value read when /metrics is scraped, e.g. active sessions by stage.
+  // `collect` returns (or resolves to) a list of `{ labels, value }`.
+  function gauge(name, help, collect) {
+    const metric = register({
+      name,
+      help,
+      type: 'gauge',
+      async lines() {
+        const samples = await collect();
+        return samples.map(({ labels = {}, value }) => `${metric.name}${formatLabels(labels)} ${value}`);
+      }
+    });
+    return metric;
+  }
+
+  // Observations counted into buckets, e.g. LLM call latency in seconds
+  function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    const series = new Map();
+
+    const metric = register({
+      name,
+      help,
+      type: 'histogram',
+      lines() {
+        const lines = [];
+        for (const { labels, counts, sum, count } of series.values()) {
+          buckets.forEach((bucket, index) => {
+            lines.push(`${metric.name}_bucket${formatLabels({ ...labels, le: bucket })} ${counts[index]}`);
+          });
+          lines.push(`${metric.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+          lines.push(`${metric.name}_sum${formatLabels(labels)} ${sum}`);
+          lines.push(`${metric.name}_count${formatLabels(labels)} ${count}`);
+        }
+        return lines;
+      }
+    });
+
+    return {
+      observe(labels, value) {
+        const key = seriesKey(labelNames, labels);
+        const current = series.get(key) || {
+          labels: pickLabels(labelNames, labels),
+          counts: buckets.map(() => 0),
+          sum: 0,
+          count: 0
+        };
+        buckets.forEach((bucket, index) => {
+          if (value <= bucket) current.counts[index]++;
+        });
+        current.sum += value;
+        current.count++;
+        series.set(key, current);
+      }
+    };
+  }
+
+  // Render every metric in the Prometheus text format
+  async function render() {
+    const output = [];
+    for (const metric of metrics) {
+      output.push(`# HELP ${metric.name} ${metric.help}`);
+      output.push(`# TYPE ${metric.name} ${metric.type}`);
+      output.push(...(await metric.lines()));
+    }
+    return `${output.join('\n')}\n`;
+  }
+
+  return { counter, gauge, histogram, render, contentType: 'text/plain; version=0.0.4; charset=utf-8' };
+}
+
+module.exports = { createMetricsRegistry };
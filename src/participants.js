@@ -0,0 +1,174 @@
+// Who took part in a decision: the people who wrote the messages a memo is built from, the people and
+// user groups they mentioned, and the role each one played. The roster is passed to the prompts as the
+// memo's participants and shown under the memo as "Who was involved", where the author can correct it.
+//
+// A roster entry looks like:
+//   { type: 'user' | 'group', id, name, title, team, role, messages, mentioned }
+
+const { isHumanMessage } = require('./slackContext');
+
+const ROLES = [
+  { key: 'owner', label: 'Decision owner', description: 'owns the decision and is accountable for it' },
+  { key: 'approver', label: 'Approver', description: 'signs the decision off, or could have blocked it' },
+  { key: 'consulted', label: 'Consulted', description: 'gave input that shaped the decision' },
+  { key: 'informed', label: 'Informed', description: 'was kept up to date but had no part in making it' }
+];
+const ROLE_KEYS = ROLES.map(role => role.key);
+
+// Keep the lookups and the prompts small when a long channel history mentions lots of people
+const MAX_ROSTER_SIZE = 25;
+
+// Find the users (<@U123>) and user groups (<!subteam^S123|@design>) mentioned in a message's text
+function findMentions(text) {
+  const users = [];
+  const groups = [];
+  for (const match of (text || '').matchAll(/<@([UW][A-Z0-9]+)(?:\|[^>]*)?>/g)) {
+    users.push(match[1]);
+  }
+  for (const match of (text || '').matchAll(/<!subteam\^([A-Z0-9]+)(?:\|([^>]*))?>/g)) {
+    groups.push({ id: match[1], handle: match[2] || '' });
+  }
+  return { users, groups };
+}
+
+// Work out who took part from a list of Slack messages (with channel history's `replies` nested under them):
+// who wrote how many messages, and who was mentioned. `authorId` is the person writing the memo and
+// `userIds` anyone picked by hand (like the form's participants), who are included even if they said nothing.
+function collectParticipants(messages, { authorId = null, userIds = [] } = {}) {
+  const people = new Map();
+  const groups = new Map();
+
+  function person(userId) {
+    if (!people.has(userId)) {
+      people.set(userId, { type: 'user', id: userId, messages: 0, mentioned: false, started: false });
+    }
+    return people.get(userId);
+  }
+
+  // Whoever wrote the first message from a person (not a bot or a join notice) started the discussion
+  let firstHuman = true;
+  const flattened = messages.flatMap(message => [message, ...(message.replies || [])]);
+  for (const message of flattened) {
+    if (!isHumanMessage(message)) continue;
+
+    if (message.user) {
+      const writer = person(message.user);
+      writer.messages += 1;
+      if (firstHuman) writer.started = true;
+    }
+    firstHuman = false;
+
+    const mentions = findMentions(message.text);
+    for (const userId of mentions.users) {
+      person(userId).mentioned = true;
+    }
+    for (const group of mentions.groups) {
+      if (!groups.has(group.id)) groups.set(group.id, { type: 'group', ...group });
+    }
+  }
+
+  for (const userId of userIds) person(userId);
+  if (authorId) person(authorId).author = true;
+
+  return { people: Array.from(people.values()), groups: Array.from(groups.values()) };
+}
+
+// A first guess at everyone's role, from how they took part: whoever started the discussion (or else the memo's
+// author) owns the decision, people who wrote in it were consulted, and people who were only mentioned were informed
+function guessRoles(people) {
+  const owner = people.find(person => person.started)
+    || people.find(person => person.author)
+    || people[0];
+
+  return people.map(person => {
+    let role = 'informed';
+    if (person === owner) role = 'owner';
+    else if (person.messages > 0 || person.author) role = 'consulted';
+    return { ...person, role };
+  });
+}
+
+// Build the roster: collect the participants, look up their names, titles and teams from their Slack profiles
+// (leaving out bots and deactivated accounts), and guess their roles.
+// `directory` is a lookup created by createDirectory() in slackContext.js.
+async function buildRoster(directory, messages, options = {}) {
+  const { people, groups } = collectParticipants(messages, options);
+
+  const roster = [];
+  for (const person of guessRoles(people)) {
+    const user = await directory.lookupUser(person.id);
+    if (user.isBot) continue;
+
+    roster.push({
+      type: 'user',
+      id: person.id,
+      name: user.realName,
+      title: user.title,
+      team: await directory.lookupTeam(person.id),
+      role: person.role,
+      messages: person.messages,
+      mentioned: person.mentioned
+    });
+  }
+
+  for (const mention of groups) {
+    const group = await directory.lookupGroup(mention.id, mention.handle);
+    roster.push({
+      type: 'group',
+      id: group.id,
+      name: `@${group.handle}`,
+      title: group.name,
+      team: '',
+      role: 'informed',
+      messages: 0,
+      mentioned: true
+    });
+  }
+
+  // The people who said the most matter most, so they're the ones kept when there are too many
+  return roster
+    .map((entry, index) => ({ entry, index }))
+    .sort((a, b) => (b.entry.messages - a.entry.messages) || (a.index - b.index))
+    .slice(0, MAX_ROSTER_SIZE)
+    .sort((a, b) => a.index - b.index)
+    .map(({ entry }) => entry);
+}
+
+// The label for a role key, e.g. "Decision owner"
+function roleLabel(key) {
+  const role = ROLES.find(candidate => candidate.key === key);
+  return role ? role.label : key;
+}
+
+// Describe someone the way the memo shows them, e.g. "Jane Doe (Head of Product, Growth)" or "@design (Design team)"
+function describeParticipant(entry) {
+  const details = [entry.title, entry.team].filter(Boolean);
+  return details.length > 0 ? `${entry.name} (${details.join(', ')})` : entry.name;
+}
+
+// The roster as the prompts read it, e.g. "Jane Doe (Head of Product) - decision owner; Sam Lee - consulted"
+function describeRoster(roster) {
+  return (roster || [])
+    .map(entry => `${describeParticipant(entry)} - ${roleLabel(entry.role).toLowerCase()}`)
+    .join('; ');
+}
+
+// The roster grouped by role in the order roles are listed, leaving out roles nobody has
+function groupByRole(roster) {
+  return ROLES
+    .map(role => ({ role, entries: (roster || []).filter(entry => entry.role === role.key) }))
+    .filter(group => group.entries.length > 0);
+}
+
+module.exports = {
+  ROLES,
+  ROLE_KEYS,
+  findMentions,
+  collectParticipants,
+  guessRoles,
+  buildRoster,
+  roleLabel,
+  describeParticipant,
+  describeRoster,
+  groupByRole
+};
@@ -0,0 +1,84 @@
+// Decision reviews: on a date picked when a memo is approved, the decision owner is asked how it turned out,
+// with the risks and rewards the memo expected, and their answer is saved to the memo as an outcome.
+
+const { resolveTemplate } = require('./templates');
+const { formatSectionText } = require('./memoFormat');
+
+// What the reviewer can say about how a decision turned out
+const OUTCOME_RESULTS = [
+  { key: 'better', label: '🚀 Better than expected' },
+  { key: 'as_expected', label: '✅ As expected' },
+  { key: 'mixed', label: '⚖️ Mixed' },
+  { key: 'worse', label: '⚠️ Worse than expected' }
+];
+
+// The review date suggested when scheduling one, and how long "Ask me later" waits
+const DEFAULT_REVIEW_DAYS = 90;
+const SNOOZE_DAYS = 14;
+
+// Reviews are sent at this hour in the reviewer's timezone
+const REVIEW_HOUR = 9;
+
+// Helper function to add days to a YYYY-MM-DD date (or a Date), returning a YYYY-MM-DD date
+function addDays(date, days) {
+  const start = typeof date === 'string' ? new Date(`${date}T00:00:00.000Z`) : date;
+  return new Date(start.getTime() + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+// Today's date (YYYY-MM-DD) for someone whose timezone is `tzOffsetSeconds` from UTC
+function todayIn(tzOffsetSeconds = 0, now = new Date()) {
+  return new Date(now.getTime() + tzOffsetSeconds * 1000).toISOString().slice(0, 10);
+}
+
+// When to send a review due on a YYYY-MM-DD date, for a reviewer `tzOffsetSeconds` from UTC
+function reviewRunAt(date, tzOffsetSeconds = 0) {
+  const hour = String(REVIEW_HOUR).padStart(2, '0');
+  return new Date(Date.parse(`${date}T${hour}:00:00.000Z`) - tzOffsetSeconds * 1000);
+}
+
+// Who should be asked about a memo: its decision owner, or else its author
+function reviewOwnerOf(entry) {
+  const involved = (entry.memo && entry.memo.involved) || [];
+  const owner = involved.find(person => person.type === 'user' && person.role === 'owner');
+  return owner ? owner.id : entry.authorId;
+}
+
+// The sections to show again in the review (the template's `reviewSections`, like the choice, risks and rewards),
+// as `{ heading, text }` in Slack mrkdwn. Templates without any show their first section.
+function reviewSectionsOf(memo) {
+  const template = resolveTemplate(memo.template);
+  const keys = template.reviewSections.length > 0 ? template.reviewSections : [template.sections[0].key];
+
+  return keys
+    .map(key => ({
+      heading: template.sections.find(section => section.key === key).heading,
+      text: formatSectionText(memo, key)
+    }))
+    .filter(section => section.text);
+}
+
+function outcomeLabel(key) {
+  const result = OUTCOME_RESULTS.find(candidate => candidate.key === key);
+  return result ? result.label : key;
+}
+
+// Render an outcome as Slack mrkdwn, e.g. for `/decisionmemo show`
+function formatOutcome(outcome) {
+  const lines = [`${outcomeLabel(outcome.result)} · ${outcome.recordedAt.slice(0, 10)}${outcome.recordedBy ? ` by <@${outcome.recordedBy}>` : ''}`];
+  if (outcome.summary) lines.push(outcome.summary);
+  if (outcome.lessons) lines.push(`_Lessons:_ ${outcome.lessons}`);
+  return lines.join('\n');
+}
+
+module.exports = {
+  OUTCOME_RESULTS,
+  DEFAULT_REVIEW_DAYS,
+  SNOOZE_DAYS,
+  addDays,
+  todayIn,
+  reviewRunAt,
+  reviewOwnerOf,
+  reviewSectionsOf,
+  outcomeLabel,
+  formatOutcome
+};
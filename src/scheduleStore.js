@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const path = require('path');
+const { readJsonFile, createJsonFileWriter } = require('./jsonFile');
+
+// Create the schedule store: jobs to run at a later date (like asking how a decision turned out),
+// saved to a local JSON file so they survive restarts. The job runner (see jobRunner.js) runs them.
+//
+// A job looks like { id, type, teamId, runAt, status, attempts, lastError, payload, createdAt }, where status is
+// 'scheduled', 'running', 'done', 'failed' or 'cancelled'.
+function createScheduleStore(options = {}) {
+  const filePath = options.filePath || path.join(process.cwd(), 'data', 'schedule.json');
+  const state = readJsonFile(filePath, { jobs: [] });
+  state.jobs = state.jobs || [];
+
+  const saveState = createJsonFileWriter(filePath, { label: 'the schedule' });
+  const persist = () => saveState(state);
+
+  function find(id) {
+    return state.jobs.find(job => job.id === id) || null;
+  }
+
+  // Schedule a job of the given type to run at `runAt` (a Date or ISO string) and return it
+  async function add({ type, teamId = null, runAt, payload = {} }) {
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      teamId,
+      runAt: new Date(runAt).toISOString(),
+      status: 'scheduled',
+      attempts: 0,
+      lastError: null,
+      payload,
+      createdAt: new Date().toISOString()
+    };
+
+    state.jobs.push(job);
+    await persist();
+    return job;
+  }
+
+  async function get(id) {
+    return find(id);
+  }
+
+  // Merge changes into a job and return it
+  async function update(id, changes) {
+    const job = find(id);
+    if (!job) return null;
+
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    await persist();
+    return job;
+  }
+
+  // Scheduled jobs whose time has come, earliest first
+  async function listDue(now = new Date()) {
+    return state.jobs
+      .filter(job => job.status === 'scheduled' && new Date(job.runAt) <= now)
+      .sort((a, b) => a.runAt.localeCompare(b.runAt));
+  }
+
+  // Mark a due job as running so it only runs once, or return null if it's no longer scheduled
+  async function claim(id) {
+    const job = find(id);
+    if (!job || job.status !== 'scheduled') return null;
+
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    await persist();
+    return job;
+  }
+
+  // Stop a job that hasn't run yet from running, returning whether there was one to cancel
+  async function cancel(id) {
+    const job = find(id);
+    if (!job || job.status !== 'scheduled') return false;
+
+    job.status = 'cancelled';
+    job.updatedAt = new Date().toISOString();
+    await persist();
+    return true;
+  }
+
+  // Put jobs that were running when the process stopped back in the queue, returning how many there were
+  async function requeueRunning() {
+    const interrupted = state.jobs.filter(job => job.status === 'running');
+    for (const job of interrupted) {
+      job.status = 'scheduled';
+    }
+    if (interrupted.length > 0) {
+      await persist();
+    }
+    return interrupted.length;
+  }
+
+  // Forget jobs that finished (or were cancelled or gave up) before the cutoff date, returning how many were removed
+  async function purgeFinished(cutoff) {
+    const before = state.jobs.length;
+    state.jobs = state.jobs.filter(job =>
+      ['scheduled', 'running'].includes(job.status) || new Date(job.updatedAt || job.createdAt) >= cutoff);
+
+    const removed = before - state.jobs.length;
+    if (removed > 0) {
+      await persist();
+    }
+    return removed;
+  }
+
+  return { add, get, update, listDue, claim, cancel, requeueRunning, purgeFinished };
+}
+
+module.exports = { createScheduleStore };
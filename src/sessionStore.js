@@ -0,0 +1,119 @@
+const fs = require('fs');
+const path = require('path');
+const { readJsonFile, createJsonFileWriter } = require('./jsonFile');
+
+const DEFAULT_TTL_HOURS = 24;
+
+// Create a session store for in-flight Decision Memo conversations.
+//
+// Sessions are keyed by `<DM channel ID>:<session ID>` (older sessions by the DM
+// channel ID alone) and hold the stage, context, clarifying questions/answers and
+// the originating channel/thread. Every session expires `ttlMs` after it was last saved.
+//
+// Drivers:
+// - 'file' (default): kept in memory and mirrored to a JSON file so sessions survive restarts
+// - 'memory': nothing is persisted (useful for tests and local experiments)
+function createSessionStore(options = {}) {
+  const driver = options.driver || 'file';
+  const ttlMs = options.ttlMs || DEFAULT_TTL_HOURS * 60 * 60 * 1000;
+  const filePath = options.filePath || path.join(process.cwd(), 'data', 'sessions.json');
+
+  if (driver !== 'file' && driver !== 'memory') {
+    throw new Error(`Unknown session store driver: ${driver}`);
+  }
+
+  const sessions = new Map(
+    driver === 'file' ? Object.entries(readJsonFile(filePath, {})) : []
+  );
+
+  const saveSessions = createJsonFileWriter(filePath, { label: 'sessions' });
+  function persist() {
+    if (driver !== 'file') return Promise.resolve();
+    return saveSessions(Object.fromEntries(sessions));
+  }
+
+  function isExpired(session) {
+    return session.expiresAt && session.expiresAt <= Date.now();
+  }
+
+  async function get(id) {
+    const session = sessions.get(id);
+    if (!session) return null;
+
+    if (isExpired(session)) {
+      sessions.delete(id);
+      await persist();
+      return null;
+    }
+
+    return session;
+  }
+
+  async function set(id, session) {
+    const now = Date.now();
+    session.createdAt = session.createdAt || now;
+    session.updatedAt = now;
+    session.expiresAt = now + ttlMs;
+    sessions.set(id, session);
+    await persist();
+    return session;
+  }
+
+  async function remove(id) {
+    if (sessions.delete(id)) {
+      await persist();
+    }
+  }
+
+  // Return every live session as [id, session] pairs
+  async function entries() {
+    await purgeExpired();
+    return Array.from(sessions.entries());
+  }
+
+  // Drop every expired session, returning how many were removed
+  async function purgeExpired() {
+    let removed = 0;
+    for (const [id, session] of sessions) {
+      if (isExpired(session)) {
+        sessions.delete(id);
+        removed++;
+      }
+    }
+    if (removed > 0) {
+      await persist();
+    }
+    return removed;
+  }
+
+  // Run `fn` while holding the lock for `id`, so two events for the same DM can't change its sessions at once.
+  // Calls for the same ID wait their turn; the lock lives in this process, like the sessions themselves.
+  const locks = new Map();
+  async function withLock(id, fn) {
+    const previous = locks.get(id) || Promise.resolve();
+    let release;
+    const current = previous.then(() => new Promise(resolve => { release = resolve; }));
+    locks.set(id, current);
+
+    await previous;
+    try {
+      return await fn();
+    } finally {
+      release();
+      if (locks.get(id) === current) locks.delete(id);
+    }
+  }
+
+  // Check the store can still save sessions (for the readiness check): the file store needs a writable directory
+  async function ping() {
+    if (driver !== 'file') return;
+
+    const dir = path.dirname(filePath);
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.access(dir, fs.constants.W_OK);
+  }
+
+  return { driver, get, set, delete: remove, entries, purgeExpired, withLock, ping };
+}
+
+module.exports = { createSessionStore };
@@ -0,0 +1,68 @@
+const path = require('path');
+const { readJsonFile, createJsonFileWriter } = require('./jsonFile');
+
+// Create the settings store: per-workspace settings chosen by admins in App Home, and per-channel
+// preferences (like the default memo template), saved to a local JSON file so they survive restarts.
+function createSettingsStore(options = {}) {
+  const filePath = options.filePath || path.join(process.cwd(), 'data', 'settings.json');
+  const state = readJsonFile(filePath, { teams: {}, channels: {} });
+  state.teams = state.teams || {};
+  state.channels = state.channels || {};
+
+  const saveState = createJsonFileWriter(filePath, { label: 'settings' });
+  const persist = () => saveState(state);
+
+  // Remove settings set to null, so they fall back to their defaults
+  function merge(current, changes) {
+    const merged = { ...current, ...changes };
+    for (const [name, value] of Object.entries(merged)) {
+      if (value === null) delete merged[name];
+    }
+    return merged;
+  }
+
+  async function getTeam(teamId) {
+    return state.teams[teamId || '-'] || {};
+  }
+
+  // Merge changes into a workspace's settings; a null value removes that setting
+  async function setTeam(teamId, changes) {
+    const settings = merge(state.teams[teamId || '-'], changes);
+    state.teams[teamId || '-'] = settings;
+    await persist();
+    return settings;
+  }
+
+  // Every workspace that has settings, as [teamId, settings] pairs
+  async function listTeams() {
+    return Object.entries(state.teams).map(([teamId, settings]) => [teamId === '-' ? null : teamId, settings]);
+  }
+
+  // Channel IDs are only unique within a workspace, so key them by team as well
+  function channelKey(teamId, channelId) {
+    return `${teamId || '-'}:${channelId}`;
+  }
+
+  async function getChannel(teamId, channelId) {
+    return state.channels[channelKey(teamId, channelId)] || {};
+  }
+
+  // Merge changes into a channel's settings; a null value removes that setting
+  async function setChannel(teamId, channelId, changes) {
+    const key = channelKey(teamId, channelId);
+    const settings = merge(state.channels[key], changes);
+
+    if (Object.keys(settings).length > 0) {
+      state.channels[key] = settings;
+    } else {
+      delete state.channels[key];
+    }
+
+    await persist();
+    return settings;
+  }
+
+  return { getTeam, setTeam, listTeams, getChannel, setChannel };
+}
+
+module.exports = { createSettingsStore };
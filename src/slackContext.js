@@ -0,0 +1,390 @@
+// Helpers for turning Slack messages into context the model can read:
+// every page of a thread, real names instead of user IDs, and the files,
+// attachments and links people shared.
+
+const { logger } = require('./logger');
+
+// Message subtypes that are Slack housekeeping rather than part of the discussion
+const IGNORED_SUBTYPES = [
+  'bot_message',
+  'bot_add',
+  'bot_remove',
+  'channel_join',
+  'channel_leave',
+  'channel_topic',
+  'channel_purpose',
+  'channel_name',
+  'channel_archive',
+  'channel_unarchive',
+  'group_join',
+  'group_leave',
+  'pinned_item',
+  'unpinned_item',
+  'reminder_add',
+  'message_deleted'
+];
+
+// Fetch every message in a thread, following pagination cursors
+async function fetchThreadMessages(client, channel, threadTs) {
+  const messages = [];
+  let cursor;
+
+  do {
+    const result = await client.conversations.replies({
+      channel,
+      ts: threadTs,
+      limit: 200,
+      cursor
+    });
+
+    messages.push(...(result.messages || []));
+    cursor = result.response_metadata && result.response_metadata.next_cursor;
+  } while (cursor);
+
+  return messages;
+}
+
+// Fetch a channel's messages between two timestamps (oldest first), along with the replies to any threads.
+// Stops after `limit` top-level messages so a huge range can't run away.
+async function fetchChannelHistory(client, channel, { oldest, latest, limit = 1000 } = {}) {
+  const messages = [];
+  let cursor;
+
+  do {
+    const result = await client.conversations.history({
+      channel,
+      oldest,
+      latest,
+      inclusive: true,
+      limit: 200,
+      cursor
+    });
+
+    messages.push(...(result.messages || []));
+    cursor = result.response_metadata && result.response_metadata.next_cursor;
+  } while (cursor && messages.length < limit);
+
+  // History comes back newest first
+  const history = messages.slice(0, limit).reverse();
+
+  for (const message of history) {
+    if (message.reply_count > 0) {
+      const thread = await fetchThreadMessages(client, channel, message.ts);
+      message.replies = thread.filter(reply => reply.ts !== message.ts);
+    }
+  }
+
+  return history;
+}
+
+// Find a channel ID from its name (without the #), or null if the bot can't see it
+async function findChannelByName(client, name) {
+  let cursor;
+
+  do {
+    const result = await client.conversations.list({
+      types: 'public_channel,private_channel',
+      exclude_archived: true,
+      limit: 1000,
+      cursor
+    });
+
+    const channel = (result.channels || []).find(candidate => candidate.name === name);
+    if (channel) return channel.id;
+
+    cursor = result.response_metadata && result.response_metadata.next_cursor;
+  } while (cursor);
+
+  return null;
+}
+
+// List everyone in a channel, going through every page of its members
+async function listChannelMembers(client, channel) {
+  const members = [];
+  let cursor;
+
+  do {
+    const result = await client.conversations.members({
+      channel,
+      limit: 1000,
+      cursor
+    });
+
+    members.push(...(result.members || []));
+    cursor = result.response_metadata && result.response_metadata.next_cursor;
+  } while (cursor);
+
+  return members;
+}
+
+// Check whether someone is a member of a channel
+async function isChannelMember(client, channel, userId) {
+  return (await listChannelMembers(client, channel)).includes(userId);
+}
+
+// Work out who may read a memo built from these channels. Public channels are open to the whole workspace;
+// private channels, DMs and group DMs only to the people in every one of them. A channel we can't look up
+// counts as private with nobody in it, so the memo stays with its author.
+// Returns `{ private, memberIds }`.
+async function describeSourceAccess(client, channelIds) {
+  let isPrivate = false;
+  let memberIds = null;
+
+  for (const channel of new Set(channelIds)) {
+    let members = [];
+    try {
+      const { channel: info } = await client.conversations.info({ channel });
+      if (!info.is_private && !info.is_im && !info.is_mpim) continue;
+      members = await listChannelMembers(client, channel);
+    } catch (error) {
+      logger.warn('Error checking who can read a source channel', { channelId: channel, error });
+    }
+
+    isPrivate = true;
+    memberIds = memberIds ? memberIds.filter(userId => members.includes(userId)) : members;
+  }
+
+  return { private: isPrivate, memberIds: memberIds || [] };
+}
+
+// Keep only the messages people wrote (not bots or Slack housekeeping)
+function isHumanMessage(message) {
+  return !message.bot_id && !IGNORED_SUBTYPES.includes(message.subtype);
+}
+
+// Profile field labels workspaces commonly use for someone's team
+const TEAM_FIELD_LABELS = ['team', 'department', 'division', 'group', 'org', 'organization', 'organisation'];
+
+// Create a cached lookup of user, user group and channel names so each ID is only fetched once
+function createDirectory(client) {
+  const users = new Map();
+  const teams = new Map();
+  const channels = new Map();
+  let teamField = null;
+  let userGroups = null;
+
+  async function lookupUser(userId) {
+    if (!users.has(userId)) {
+      users.set(userId, client.users.info({ user: userId })
+        .then(result => {
+          const profile = result.user.profile || {};
+          return {
+            id: userId,
+            name: profile.display_name || profile.real_name || result.user.real_name || result.user.name,
+            realName: profile.real_name || result.user.real_name || result.user.name,
+            title: profile.title || '',
+            isBot: Boolean(result.user.is_bot || result.user.deleted)
+          };
+        })
+        .catch(error => {
+          logger.warn('Error looking up user', { userId, error });
+          return { id: userId, name: userId, realName: userId, title: '', isBot: false };
+        }));
+    }
+    return users.get(userId);
+  }
+
+  // Find the ID of the custom profile field the workspace uses for teams or departments, if it has one
+  function lookupTeamField() {
+    if (!teamField) {
+      teamField = client.team.profile.get()
+        .then(result => {
+          const fields = (result.profile && result.profile.fields) || [];
+          const field = fields.find(candidate => TEAM_FIELD_LABELS.includes(String(candidate.label || '').trim().toLowerCase()));
+          return field ? field.id : null;
+        })
+        .catch(error => {
+          logger.warn('Error looking up profile fields', { error });
+          return null;
+        });
+    }
+    return teamField;
+  }
+
+  // Look up someone's team from their Slack profile, or '' if the workspace doesn't record one
+  async function lookupTeam(userId) {
+    if (!teams.has(userId)) {
+      teams.set(userId, lookupTeamField().then(async fieldId => {
+        if (!fieldId) return '';
+        try {
+          const result = await client.users.profile.get({ user: userId });
+          const field = result.profile && result.profile.fields && result.profile.fields[fieldId];
+          return (field && field.value) || '';
+        } catch (error) {
+          logger.warn('Error looking up user profile', { userId, error });
+          return '';
+        }
+      }));
+    }
+    return teams.get(userId);
+  }
+
+  // Look up a user group by ID, e.g. { id, handle: 'design', name: 'Design team' }.
+  // `fallbackHandle` is used when the group can't be found (like the label in a <!subteam^ID|@handle> mention).
+  async function lookupGroup(groupId, fallbackHandle = '') {
+    if (!userGroups) {
+      userGroups = client.usergroups.list()
+        .then(result => new Map((result.usergroups || []).map(group => [group.id, group])))
+        .catch(error => {
+          logger.warn('Error looking up user groups', { error });
+          return new Map();
+        });
+    }
+    const group = (await userGroups).get(groupId);
+    return {
+      id: groupId,
+      handle: group ? group.handle : fallbackHandle.replace(/^@/, '') || groupId,
+      name: group ? group.name : ''
+    };
+  }
+
+  async function lookupChannel(channelId) {
+    if (!channels.has(channelId)) {
+      channels.set(channelId, client.conversations.info({ channel: channelId })
+        .then(result => result.channel.name || channelId)
+        .catch(error => {
+          logger.warn('Error looking up channel', { channelId, error });
+          return channelId;
+        }));
+    }
+    return channels.get(channelId);
+  }
+
+  return { lookupUser, lookupTeam, lookupGroup, lookupChannel };
+}
+
+// Describe a user the way they should appear in the context, e.g. "Jane Doe (Head of Product)"
+function describeUser(user) {
+  return user.title ? `${user.realName} (${user.title})` : user.realName;
+}
+
+// Replace Slack's markup (<@U123>, <#C123|name>, <!here>, <url|label>) with readable text
+async function renderSlackText(text, directory) {
+  if (!text) return '';
+
+  const tokens = text.match(/<[^>]+>/g) || [];
+  const replacements = new Map();
+
+  for (const token of tokens) {
+    if (replacements.has(token)) continue;
+
+    const inner = token.slice(1, -1);
+    const [target, label] = inner.split('|');
+    let replacement;
+
+    if (target.startsWith('@')) {
+      const user = await directory.lookupUser(target.slice(1));
+      replacement = `@${user.realName}`;
+    } else if (target.startsWith('#')) {
+      replacement = `#${label || await directory.lookupChannel(target.slice(1))}`;
+    } else if (target.startsWith('!subteam^')) {
+      replacement = label || '@group';
+    } else if (target.startsWith('!')) {
+      replacement = `@${label || target.slice(1)}`;
+    } else {
+      replacement = label && label !== target ? `${label} (${target})` : target;
+    }
+
+    replacements.set(token, replacement);
+  }
+
+  let rendered = text;
+  for (const [token, replacement] of replacements) {
+    rendered = rendered.split(token).join(replacement);
+  }
+
+  return rendered
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+// Render one message, including anything shared with it, as "Name (Title): text"
+async function renderMessage(message, directory) {
+  const parts = [];
+
+  const text = await renderSlackText(message.text, directory);
+  if (text) parts.push(text);
+
+  for (const file of message.files || []) {
+    const description = [file.title || file.name, file.filetype].filter(Boolean).join(', ');
+    let rendered = `[Shared file: ${description}]`;
+    if (file.preview) {
+      rendered += `\n${file.preview}`;
+    }
+    parts.push(rendered);
+  }
+
+  for (const attachment of message.attachments || []) {
+    const title = attachment.title || attachment.author_name || attachment.service_name;
+    const body = await renderSlackText(attachment.text || attachment.fallback || '', directory);
+    if (!title && !body) continue;
+    parts.push(`[Attachment${title ? `: ${title}` : ''}]${body ? `\n${body}` : ''}`);
+  }
+
+  let sender = 'Unknown';
+  if (message.user) {
+    sender = describeUser(await directory.lookupUser(message.user));
+  } else if (message.username) {
+    sender = message.username;
+  }
+
+  const notes = [];
+  if (message.edited) notes.push('edited');
+  if (message.subtype === 'huddle_thread') notes.push('huddle notes');
+  const noteText = notes.length > 0 ? ` [${notes.join(', ')}]` : '';
+
+  return `${sender}${noteText}: ${parts.join('\n')}`;
+}
+
+// Render a list of messages into context for the prompts
+async function renderMessages(messages, directory) {
+  const rendered = [];
+  for (const message of messages) {
+    rendered.push(await renderMessage(message, directory));
+  }
+  return rendered.join('\n\n');
+}
+
+// Render channel history with each thread's replies indented under the message that started it
+async function renderChannelHistory(messages, directory) {
+  const rendered = [];
+
+  for (const message of messages.filter(isHumanMessage)) {
+    const date = new Date(Number(message.ts) * 1000).toISOString().slice(0, 10);
+    rendered.push(`[${date}] ${await renderMessage(message, directory)}`);
+
+    for (const reply of (message.replies || []).filter(isHumanMessage)) {
+      rendered.push(`    ↳ ${await renderMessage(reply, directory)}`);
+    }
+  }
+
+  return rendered.join('\n\n');
+}
+
+// Check whether a user is a workspace admin or owner, and so allowed to change the workspace's settings
+async function isWorkspaceAdmin(client, userId) {
+  try {
+    const result = await client.users.info({ user: userId });
+    return Boolean(result.user.is_admin || result.user.is_owner || result.user.is_primary_owner);
+  } catch (error) {
+    logger.warn('Error checking whether user is an admin', { userId, error });
+    return false;
+  }
+}
+
+module.exports = {
+  fetchThreadMessages,
+  fetchChannelHistory,
+  findChannelByName,
+  listChannelMembers,
+  isChannelMember,
+  describeSourceAccess,
+  isHumanMessage,
+  createDirectory,
+  describeUser,
+  renderSlackText,
+  renderMessages,
+  renderChannelHistory,
+  isWorkspaceAdmin
+};
@@ -0,0 +1,121 @@
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+
+// Templates that ship with the app. Extra templates (or overrides of these, by name) can be
+// added by pointing MEMO_TEMPLATES_DIR at a directory of template JSON files.
+const BUILT_IN_DIR = path.join(__dirname, '..', 'templates');
+
+const DEFAULT_TEMPLATE = 'decision-memo';
+
+// What a template file must look like
+const TEMPLATE_SCHEMA = {
+  type: 'object',
+  required: ['name', 'label', 'documentName', 'persona', 'sections'],
+  properties: {
+    name: { type: 'string', pattern: '^[a-z0-9-]+$' },
+    label: { type: 'string', minLength: 1 },
+    description: { type: 'string' },
+    documentName: { type: 'string', minLength: 1 },
+    persona: { type: 'string', minLength: 1 },
+    titleExample: { type: 'string' },
+    sections: {
+      type: 'array',
+      minItems: 1,
+      maxItems: 10,
+      items: {
+        type: 'object',
+        required: ['key', 'heading', 'list'],
+        properties: {
+          key: { type: 'string', pattern: '^[a-z][a-z0-9_]*$', not: { enum: ['title', 'template'] } },
+          heading: { type: 'string', minLength: 1, maxLength: 150 },
+          list: { type: 'boolean' },
+          optional: { type: 'boolean' },
+          description: { type: 'string' }
+        }
+      }
+    },
+    reviewSections: { type: 'array', items: { type: 'string' } },
+    clarifyingGuidance: { type: 'array', items: { type: 'string' } },
+    guidelines: { type: 'array', items: { type: 'string' } }
+  }
+};
+
+const validateTemplate = new Ajv({ allErrors: true }).compile(TEMPLATE_SCHEMA);
+
+// Read every template in the given directories; later directories override earlier ones by name
+function loadTemplates(dirs) {
+  const templates = new Map();
+
+  for (const dir of dirs) {
+    for (const file of fs.readdirSync(dir).filter(name => name.endsWith('.json')).sort()) {
+      const filePath = path.join(dir, file);
+      const template = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+      if (!validateTemplate(template)) {
+        const problems = validateTemplate.errors.map(error => `${error.instancePath || '(root)'} ${error.message}`);
+        throw new Error(`Invalid memo template ${filePath}: ${problems.join('; ')}`);
+      }
+
+      const keys = template.sections.map(section => section.key);
+      if (new Set(keys).size !== keys.length) {
+        throw new Error(`Invalid memo template ${filePath}: section keys must be unique`);
+      }
+      const unknownReviewSections = (template.reviewSections || []).filter(key => !keys.includes(key));
+      if (unknownReviewSections.length > 0) {
+        throw new Error(`Invalid memo template ${filePath}: reviewSections has unknown section keys (${unknownReviewSections.join(', ')})`);
+      }
+
+      templates.set(template.name, {
+        description: '',
+        titleExample: '',
+        reviewSections: [],
+        clarifyingGuidance: [],
+        guidelines: [],
+        ...template
+      });
+    }
+  }
+
+  if (!templates.has(DEFAULT_TEMPLATE)) {
+    throw new Error(`The "${DEFAULT_TEMPLATE}" memo template is missing`);
+  }
+
+  return templates;
+}
+
+// Templates are loaded on first use, so a broken template file fails loudly at startup
+let registry = null;
+function getRegistry() {
+  if (!registry) {
+    registry = loadTemplates([BUILT_IN_DIR, process.env.MEMO_TEMPLATES_DIR].filter(Boolean));
+  }
+  return registry;
+}
+
+// Find a template by name, or null if there isn't one
+function getTemplate(name) {
+  return getRegistry().get(name) || null;
+}
+
+// Find a template by name, falling back to the default for unknown or missing names
+function resolveTemplate(name) {
+  return getTemplate(name) || getTemplate(DEFAULT_TEMPLATE);
+}
+
+// Every template, with the default first
+function listTemplates() {
+  const templates = [...getRegistry().values()];
+  return [
+    ...templates.filter(template => template.name === DEFAULT_TEMPLATE),
+    ...templates.filter(template => template.name !== DEFAULT_TEMPLATE)
+  ];
+}
+
+module.exports = {
+  DEFAULT_TEMPLATE,
+  loadTemplates,
+  getTemplate,
+  resolveTemplate,
+  listTemplates
+};
@@ -0,0 +1,72 @@
+const path = require('path');
+const { readJsonFile, createJsonFileWriter } = require('./jsonFile');
+
+function emptyTotals() {
+  return { calls: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 };
+}
+
+function addTo(totals, { inputTokens, outputTokens, costUsd }) {
+  totals.calls += 1;
+  totals.inputTokens += inputTokens || 0;
+  totals.outputTokens += outputTokens || 0;
+  totals.costUsd += costUsd || 0;
+}
+
+// The calendar month a date falls in (UTC), e.g. "2026-10"
+function monthOf(date = new Date()) {
+  return date.toISOString().slice(0, 7);
+}
+
+// Create the usage store: LLM tokens and cost for every call, added up per team and month
+// (with a breakdown per user, per purpose and per memo session), saved to a local JSON file.
+function createUsageStore(options = {}) {
+  const filePath = options.filePath || path.join(process.cwd(), 'data', 'usage.json');
+  const state = readJsonFile(filePath, { months: {} });
+  state.months = state.months || {};
+
+  const saveState = createJsonFileWriter(filePath, { label: 'usage' });
+  const persist = () => saveState(state);
+
+  function teamMonth(teamId, month, create) {
+    const teams = state.months[month] || (create ? (state.months[month] = {}) : {});
+    const key = teamId || '-';
+    if (!teams[key] && create) {
+      teams[key] = { totals: emptyTotals(), users: {}, purposes: {}, sessions: {} };
+    }
+    return teams[key] || null;
+  }
+
+  // Add one LLM call to its team's totals for this month
+  async function record({ teamId, userId, sessionId, purpose, inputTokens, outputTokens, costUsd }) {
+    const usage = teamMonth(teamId, monthOf(), true);
+    const call = { inputTokens, outputTokens, costUsd };
+
+    addTo(usage.totals, call);
+    if (userId) {
+      addTo(usage.users[userId] = usage.users[userId] || emptyTotals(), call);
+    }
+    if (purpose) {
+      addTo(usage.purposes[purpose] = usage.purposes[purpose] || emptyTotals(), call);
+    }
+    if (sessionId) {
+      addTo(usage.sessions[sessionId] = usage.sessions[sessionId] || { ...emptyTotals(), userId: userId || null }, call);
+    }
+
+    await persist();
+  }
+
+  // A team's usage for a month (this month by default), or empty totals if it hasn't used anything
+  async function getTeamMonth(teamId, month = monthOf()) {
+    return teamMonth(teamId, month, false) || { totals: emptyTotals(), users: {}, purposes: {}, sessions: {} };
+  }
+
+  // What one memo session has used so far this month
+  async function getSession(teamId, sessionId) {
+    const usage = teamMonth(teamId, monthOf(), false);
+    return (usage && usage.sessions[sessionId]) || emptyTotals();
+  }
+
+  return { record, getTeamMonth, getSession };
+}
+
+module.exports = { createUsageStore, monthOf };
@@ -0,0 +1,269 @@
+// Keep the test output readable; run with LOG_LEVEL=debug to see what the app logged
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSessionStore } = require('../../src/sessionStore');
+const { createDecisionLog } = require('../../src/decisionLog');
+const { createScheduleStore } = require('../../src/scheduleStore');
+const { createJobRunner } = require('../../src/jobRunner');
+const { createSettingsStore } = require('../../src/settingsStore');
+const { createUsageStore } = require('../../src/usageStore');
+const { createMetricsRegistry } = require('../../src/metrics');
+const { loadLlmConfig, createLlmClient } = require('../../src/llm');
+const { createMemoGenerator } = require('../../src/memoGeneration');
+const { createMemoFlow } = require('../../src/memoFlow');
+const {
+  createCommandHandler,
+  createShortcutHandler,
+  createMessageHandler,
+  createSessionActionHandlers,
+  createReviewHandlers,
+  createIntakeFormHandlers,
+  createSelectionHandlers,
+  createMemoReviewHandlers,
+  createPublishHandler,
+  createExportHandler,
+  createRetryHandler
+} = require('../../src/handlers');
+const { createFakeSlackClient } = require('./fakeSlackClient');
+
+const TEAM_ID = 'T1';
+const USER_ID = 'U1';
+const CHANNEL_ID = 'C1';
+
+// Run whole memo sessions through the real handlers, the way Bolt would call them: with the fake Slack client,
+// in-memory sessions, stores in a temporary directory and the LLM replaying recorded fixtures.
+//
+// Options:
+// - slack: options for the fake Slack client (users, threads, files, errors...)
+// - fixturePath: the LLM fixtures to replay (fixtures/llm/default.json by default)
+// - llmEnv: extra LLM settings, e.g. { LLM_MODEL: 'my-model', LLM_PRICES: '...' }
+// - downloadFile: stands in for downloading uploaded files from Slack
+// - exporters: the Notion and Confluence exporters to offer (see createExporters), none by default
+function createScenario(options = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'decisionmemo-test-'));
+  const client = createFakeSlackClient(options.slack);
+
+  const metrics = createMetricsRegistry({ prefix: 'decisionmemo_' });
+  const counters = {
+    memosStarted: metrics.counter('memos_started_total', 'Decision Memo sessions started', ['source']),
+    memosCompleted: metrics.counter('memos_completed_total', 'Decision Memos approved'),
+    memosStopped: metrics.counter('memos_stopped_total', 'Decision Memo sessions stopped by the user'),
+    memosFailed: metrics.counter('memos_failed_total', 'Decision Memo generations that failed after every retry')
+  };
+
+  // Usage is recorded in the background, like in the app, so remember the writes to wait for them in cleanup()
+  const usageStore = createUsageStore({ filePath: path.join(dataDir, 'usage.json') });
+  const pendingUsage = [];
+  const llm = createLlmClient(loadLlmConfig({
+    LLM_PROVIDER: 'fixture',
+    LLM_FIXTURE_PATH: options.fixturePath,
+    LLM_MAX_RETRIES: '0',
+    ...options.llmEnv
+  }), {
+    onComplete: ({ purpose, meta, usage }) => {
+      if (meta && usage) pendingUsage.push(usageStore.record({ ...meta, purpose, ...usage }));
+    }
+  });
+
+  const services = {
+    conversations: createSessionStore({ driver: 'memory' }),
+    decisionLog: createDecisionLog({ filePath: path.join(dataDir, 'decision-log.json') }),
+    scheduleStore: createScheduleStore({ filePath: path.join(dataDir, 'schedule.json') }),
+    settings: createSettingsStore({ filePath: path.join(dataDir, 'settings.json') }),
+    usageStore,
+    exporters: options.exporters || {},
+    llm,
+    generator: createMemoGenerator({ llm }),
+    bootedAt: Date.now(),
+    counters
+  };
+  const deps = { ...services, ...createMemoFlow(services), downloadFile: options.downloadFile };
+
+  const handleCommand = createCommandHandler(deps);
+  const handleShortcut = createShortcutHandler(deps);
+  const handleMessage = createMessageHandler(deps);
+  const sessionActions = createSessionActionHandlers(deps);
+  const reviews = createReviewHandlers(deps);
+  const intakeForm = createIntakeFormHandlers(deps);
+  const selection = createSelectionHandlers(deps);
+  const memoReview = createMemoReviewHandlers(deps);
+  const handlePublish = createPublishHandler(deps);
+  const handleExport = createExportHandler(deps);
+  const actionHandlers = {
+    open_intake_form: intakeForm.handleOpenIntakeForm,
+    build_memo_from_selection: selection.handleBuildFromSelection,
+    clear_selection: selection.handleClearSelection,
+    review_regenerate_section: memoReview.handleRegenerateSection,
+    review_edit_memo: memoReview.handleEditMemo,
+    review_edit_involved: memoReview.handleEditInvolved,
+    review_approve_memo: memoReview.handleApproveMemo,
+    publish_memo_thread: handlePublish,
+    publish_memo_channel: handlePublish,
+    publish_memo_private: handlePublish,
+    export_memo_notion: handleExport,
+    export_memo_confluence: handleExport,
+    export_memo_md: handleExport,
+    export_memo_html: handleExport,
+    export_memo_docx: handleExport,
+    retry_generation: createRetryHandler(deps),
+    resume_open_session: sessionActions.handleResumeOpenSession,
+    replace_open_session: sessionActions.handleReplaceOpenSession,
+    run_both_sessions: sessionActions.handleRunBothSessions,
+    switch_session: sessionActions.handleSwitchSession,
+    schedule_memo_review: reviews.handleScheduleReview,
+    record_memo_outcome: reviews.handleRecordOutcome,
+    snooze_memo_review: reviews.handleSnoozeReview
+  };
+  const viewHandlers = {
+    memo_intake_modal: intakeForm.handleIntakeSubmission,
+    memo_questions_modal: intakeForm.handleQuestionsSubmission,
+    regenerate_section_modal: memoReview.handleRegenerateSectionSubmission,
+    edit_memo_modal: memoReview.handleEditMemoSubmission,
+    edit_involved_modal: memoReview.handleEditInvolvedSubmission,
+    schedule_review_modal: reviews.handleScheduleReviewSubmission,
+    record_outcome_modal: reviews.handleRecordOutcomeSubmission
+  };
+
+  // Scheduled jobs run when a test calls jobRunner.runDue(someDate), never on a timer
+  const jobRunner = createJobRunner({
+    store: services.scheduleStore,
+    handlers: { memo_review: job => reviews.sendMemoReview(client, job) }
+  });
+
+  const dmChannelId = `D${USER_ID}`;
+  const responses = [];
+  let lastTs = 1800000000;
+
+  return {
+    ...services,
+    deps,
+    client,
+    metrics,
+    responses,
+    dmChannelId,
+    jobRunner,
+
+    // Run `/decisionmemo <text>` from #C1; ephemeral replies are collected in `responses`
+    async command(text = '') {
+      await handleCommand({
+        command: { text, user_id: USER_ID, team_id: TEAM_ID, channel_id: CHANNEL_ID, trigger_id: 'trigger' },
+        ack: async () => {},
+        client,
+        respond: async response => { responses.push(response); }
+      });
+    },
+
+    // Run the "Create a Decision Memo" shortcut on a message in #C1
+    async shortcut(message) {
+      await handleShortcut({
+        shortcut: {
+          callback_id: 'call_decision_memo_tool',
+          trigger_id: 'trigger',
+          team: { id: TEAM_ID },
+          user: { id: USER_ID },
+          channel: { id: CHANNEL_ID },
+          message
+        },
+        ack: async () => {},
+        client
+      });
+    },
+
+    // Send a DM to the app: text, or a message object (e.g. with `files`)
+    async message(message) {
+      lastTs += 1;
+      await handleMessage({
+        message: {
+          type: 'message',
+          channel: dmChannelId,
+          channel_type: 'im',
+          user: USER_ID,
+          ts: `${lastTs}.000100`,
+          ...(typeof message === 'string' ? { text: message } : message)
+        },
+        client
+      });
+    },
+
+    // Click the button with `actionId` on the latest message the app posted (or responded with) that has one,
+    // using the button's own value
+    async action(actionId) {
+      const buttonsIn = args => (args.blocks || [])
+        .flatMap(block => block.elements || (block.accessory ? [block.accessory] : []))
+        .filter(element => element.action_id === actionId);
+      const posted = client.calls
+        .filter(call => call.method === 'chat.postMessage' && call.result && buttonsIn(call.args).length > 0)
+        .map(call => ({ channel: call.args.channel, ts: call.result.ts, button: buttonsIn(call.args)[0] }));
+      const responded = responses
+        .filter(response => buttonsIn(response).length > 0)
+        .map(response => ({ channel: CHANNEL_ID, ts: null, button: buttonsIn(response)[0] }));
+      const message = posted.concat(responded).at(-1);
+      assert(message, `no message with a ${actionId} button`);
+
+      const action = { action_id: actionId, value: message.button.value };
+      await actionHandlers[actionId]({
+        action,
+        body: {
+          type: 'block_actions',
+          user: { id: USER_ID },
+          team: { id: TEAM_ID },
+          channel: { id: message.channel },
+          message: message.ts ? { ts: message.ts } : undefined,
+          trigger_id: 'trigger',
+          actions: [action]
+        },
+        ack: async () => {},
+        client
+      });
+    },
+
+    // Submit the latest modal the app opened with `callbackId`. `values` are the inputs by block ID, e.g.
+    // { date: { selected_date: '2027-01-15' } }. Returns what the handler acknowledged with (like validation errors).
+    async submit(callbackId, values) {
+      const opened = client.callsTo('views.open').map(args => args.view).filter(view => view.callback_id === callbackId);
+      const view = opened.at(-1);
+      assert(view, `no ${callbackId} modal was opened`);
+
+      let acknowledged;
+      await viewHandlers[callbackId]({
+        body: { type: 'view_submission', user: { id: USER_ID, team_id: TEAM_ID }, team: { id: TEAM_ID } },
+        view: {
+          callback_id: callbackId,
+          private_metadata: view.private_metadata,
+          state: {
+            values: Object.fromEntries(Object.entries(values).map(([blockId, value]) => [blockId, { value }]))
+          }
+        },
+        ack: async response => { acknowledged = response; },
+        client
+      });
+      return acknowledged;
+    },
+
+    // The session the user's DM is working on, or null once it's over
+    session() {
+      return deps.getActiveSession(dmChannelId);
+    },
+
+    // Every session open in the user's DM, oldest first
+    sessions() {
+      return deps.listSessions(dmChannelId);
+    },
+
+    // The text of every message the app posted in the user's DM
+    dmMessages() {
+      return client.messagesIn(dmChannelId);
+    },
+
+    async cleanup() {
+      await Promise.all(pendingUsage);
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  };
+}
+
+module.exports = { createScenario, TEAM_ID, USER_ID, CHANNEL_ID };
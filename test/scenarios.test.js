@@ -0,0 +1,801 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createScenario, CHANNEL_ID, USER_ID } = require('./helpers/scenario');
+const { addDays } = require('../src/reviews');
+const { collectParticipants, guessRoles } = require('../src/participants');
+const { createDecisionLog } = require('../src/decisionLog');
+const { createMemoGenerator } = require('../src/memoGeneration');
+const { withRetry } = require('../src/llm/retry');
+const { loadExportConfig, createExporters } = require('../src/export');
+const { createMockExportApp } = require('../scripts/mock-export-server');
+
+const CONTEXT = [
+  'Jane: We keep losing deals over seat costs. I want to move self-serve to usage-based pricing.',
+  'Sam: Finance is worried about forecasting, but the last two quarters of usage data look good.',
+  'Jane: Agreed. Let us go with per-1,000-call pricing from the Q1 launch.'
+].join('\n');
+
+let scenario;
+
+afterEach(async () => {
+  if (scenario) await scenario.cleanup();
+  scenario = null;
+});
+
+test('slash command, context, clarifying questions and answers produce a memo for review', async () => {
+  scenario = createScenario();
+
+  await scenario.command();
+  assert.deepEqual(scenario.client.callsTo('conversations.open'), [{ users: USER_ID }]);
+  assert.match(scenario.responses[0].text, /I'll send you a direct message/);
+  assert.match(scenario.dmMessages()[0], /Please paste\* the relevant conversation/);
+  assert.equal((await scenario.session()).stage, 'started');
+
+  await scenario.message(CONTEXT);
+  const asking = await scenario.session();
+  assert.equal(asking.stage, 'asking_questions');
+  assert.equal(asking.context, CONTEXT);
+  // Two questions from the fixture, then the workspace's final question
+  assert.equal(asking.clarifyingQuestions.length, 3);
+  assert.match(scenario.dmMessages().at(-1), /Clarifying questions/);
+  assert.match(scenario.dmMessages().at(-1), /3\) Is there anything else I should know/);
+
+  await scenario.message('1) Seat pricing caps growth. 2) Jane owns the migration. 3) No.');
+  const reviewing = await scenario.session();
+  assert.equal(reviewing.stage, 'reviewing');
+  // The reply is split into one answer per question before the memo is written
+  assert.deepEqual(reviewing.clarifyingAnswers.map(answer => answer.slice(0, 20)), ['Seat pricing caps gr', 'Jane owns the migrat', 'No.']);
+  assert.equal(reviewing.memo.title, 'Moving Billing to Usage-Based Pricing');
+  assert.equal(reviewing.memoVersions.length, 1);
+
+  const memoMessage = scenario.client.callsTo('chat.postMessage').at(-1);
+  assert.equal(memoMessage.channel, scenario.dmChannelId);
+  assert.ok(memoMessage.blocks.some(block => block.type === 'actions'), 'memo has the review buttons');
+
+  const [entry] = await scenario.decisionLog.list({ teamId: 'T1', userId: USER_ID });
+  assert.equal(entry.id, reviewing.logEntryId);
+  assert.equal(entry.status, 'draft');
+  assert.equal(entry.authorId, USER_ID);
+
+  // Every LLM call (questions, reading the answers and the memo) is charged to the session
+  const usage = await scenario.usageStore.getSession('T1', reviewing.sessionId);
+  assert.equal(usage.calls, 3);
+});
+
+test('a template option on its own starts a memo with that template', async () => {
+  scenario = createScenario();
+
+  await scenario.command('template:adr');
+  assert.match(scenario.responses[0].text, /I'll send you a direct message/);
+  assert.match(scenario.dmMessages()[0], /using the \*Architecture Decision Record\* template/);
+  const session = await scenario.session();
+  assert.equal(session.stage, 'started');
+  assert.equal(session.template, 'adr');
+});
+
+test('a budget on a model without a price stops new memos until the model is priced', async () => {
+  scenario = createScenario({ llmEnv: { LLM_MODEL: 'gpt-4o-2024-08-06' } });
+  await scenario.settings.setTeam('T1', { monthlyBudgetUsd: 50 });
+
+  await scenario.command();
+  assert.match(scenario.responses.at(-1).text, /I don't know what the AI model I use costs/);
+  assert.equal(await scenario.session(), null);
+  await scenario.cleanup();
+
+  scenario = createScenario({ llmEnv: { LLM_MODEL: 'gpt-4o-2024-08-06', LLM_PRICES: '{"gpt-4o-2024-08-06": {"input": 2.5, "output": 10}}' } });
+  await scenario.settings.setTeam('T1', { monthlyBudgetUsd: 50 });
+  await scenario.command();
+  assert.equal((await scenario.session()).stage, 'started');
+});
+
+test('shortcut in a thread the app cannot read asks to be invited and keeps no session', async () => {
+  scenario = createScenario({ slack: { errors: { 'conversations.replies': 'not_in_channel' } } });
+
+  await scenario.shortcut({ type: 'message', user: 'U2', text: 'Should we switch vendors?', ts: '1700000010.000100', thread_ts: '1700000001.000100' });
+
+  assert.deepEqual(scenario.client.callsTo('conversations.replies').map(args => args.ts), ['1700000001.000100']);
+
+  const threadNotice = scenario.client.callsTo('chat.postMessage').find(args => args.channel === CHANNEL_ID);
+  assert.equal(threadNotice.thread_ts, '1700000001.000100');
+
+  assert.match(scenario.dmMessages().at(-1), /I need to be added to the <#C1> channel/);
+  assert.equal(await scenario.session(), null);
+});
+
+test('shortcut in a readable thread captures it and asks the clarifying questions', async () => {
+  scenario = createScenario({
+    slack: {
+      users: { U2: { real_name: 'Jane Doe', profile: { real_name: 'Jane Doe', title: 'Head of Product' } } },
+      threads: {
+        'C1:1700000001.000100': [
+          { type: 'message', user: 'U2', text: 'Should we move to usage-based pricing?', ts: '1700000001.000100', thread_ts: '1700000001.000100' },
+          { type: 'message', user: 'U3', text: 'Yes, seat costs are losing us deals.', ts: '1700000002.000100', thread_ts: '1700000001.000100' },
+          { type: 'message', bot_id: 'B1', text: 'Reminder: standup', ts: '1700000003.000100', thread_ts: '1700000001.000100' }
+        ]
+      }
+    }
+  });
+
+  await scenario.shortcut({ type: 'message', user: 'U3', text: 'Yes, seat costs are losing us deals.', ts: '1700000002.000100', thread_ts: '1700000001.000100' });
+
+  const session = await scenario.session();
+  assert.equal(session.stage, 'asking_questions');
+  assert.equal(session.rawMessages.length, 2, 'bot messages are left out');
+  assert.match(session.context, /Jane Doe/);
+  assert.doesNotMatch(session.context, /standup/);
+  assert.match(scenario.dmMessages().at(-1), /Clarifying questions/);
+});
+
+test('a memo from channel history is only built for people in that channel', async () => {
+  const history = [
+    { type: 'message', user: 'U2', text: 'We should cut the board deck to ten slides.', ts: `${Math.floor(Date.now() / 1000) - 60}.000100` }
+  ];
+  scenario = createScenario({
+    slack: {
+      channels: { C2: { name: 'leadership', is_private: true, members: ['U2'] } },
+      history: { C2: history }
+    }
+  });
+
+  await scenario.command('from #leadership');
+  assert.match(scenario.responses.at(-1).text, /You're not a member of <#C2>/);
+  assert.equal(scenario.client.callsTo('conversations.history').length, 0, 'the history is never read');
+  assert.equal(await scenario.session(), null);
+
+  // Once they're in the channel, the same command works
+  await scenario.cleanup();
+  scenario = createScenario({
+    slack: {
+      channels: { C2: { name: 'leadership', is_private: true, members: ['U2', USER_ID] } },
+      history: { C2: history }
+    }
+  });
+
+  await scenario.command('from #leadership');
+  assert.equal(scenario.client.callsTo('conversations.history').length, 1);
+  assert.match((await scenario.session()).context, /ten slides/);
+});
+
+test('editing a memo in the modal keeps sections too long to edit there, and approving it saves it to the Decision Log', async () => {
+  scenario = createScenario();
+
+  await scenario.command();
+  await scenario.message(CONTEXT);
+  await scenario.message('1) Seat pricing caps growth. 2) Jane owns the migration. 3) No.');
+
+  // A section longer than a modal input allows
+  const reviewing = await scenario.session();
+  const longChoice = 'Move self-serve to per-1,000-call pricing. '.repeat(80);
+  reviewing.memo.choice = longChoice;
+  await scenario.deps.saveSession(reviewing);
+
+  await scenario.action('review_edit_memo');
+  const modal = scenario.client.callsTo('views.open').at(-1).view;
+  assert.deepEqual(JSON.parse(modal.private_metadata).readOnly, ['choice']);
+  assert.match(modal.blocks.find(block => block.block_id === 'choice').text.text, /too long to edit here/);
+
+  // Submit the modal as it was opened, with a new title
+  const values = {};
+  for (const block of modal.blocks.filter(block => block.type === 'input')) {
+    values[block.block_id] = { value: block.element.initial_value || '' };
+  }
+  values.title = { value: 'Usage-based pricing for self-serve' };
+  assert.equal(await scenario.submit('edit_memo_modal', values), undefined, 'no validation errors');
+
+  const edited = await scenario.session();
+  assert.equal(edited.memo.title, 'Usage-based pricing for self-serve');
+  assert.equal(edited.memo.choice, longChoice);
+  assert.equal(edited.memoVersions.length, 2);
+
+  await scenario.action('review_approve_memo');
+  assert.equal(await scenario.session(), null);
+  const [entry] = await scenario.decisionLog.list({ teamId: 'T1', userId: USER_ID });
+  assert.equal(entry.status, 'approved');
+  assert.equal(entry.title, 'Usage-based pricing for self-serve');
+  assert.equal(entry.memo.choice, longChoice);
+  assert.match(await scenario.metrics.render(), /decisionmemo_memos_completed_total 1/);
+
+  // Approved memos from pasted context are shared with the workspace, unless the author keeps it private
+  assert.ok(await scenario.decisionLog.get(entry.id, 'T1', 'U9'));
+  await scenario.action('publish_memo_private');
+  assert.match(scenario.client.callsTo('chat.update').at(-1).text, /won't be posted anywhere/);
+  assert.equal(await scenario.decisionLog.get(entry.id, 'T1', 'U9'), null);
+  assert.ok(await scenario.decisionLog.get(entry.id, 'T1', USER_ID));
+});
+
+test('the people in a thread, and the people and groups they mention, are shown under the memo with their roles', async () => {
+  scenario = createScenario({
+    slack: {
+      users: {
+        U2: { real_name: 'Jane Doe', profile: { real_name: 'Jane Doe', title: 'Head of Product', fields: { Xf1: { value: 'Growth' } } } },
+        U3: { real_name: 'Sam Lee', profile: { real_name: 'Sam Lee' } },
+        U4: { real_name: 'Priya Patel', profile: { real_name: 'Priya Patel', title: 'CFO' } },
+        U5: { real_name: 'Standup Bot', is_bot: true }
+      },
+      profileFields: [{ id: 'Xf1', label: 'Team' }],
+      userGroups: [{ id: 'S1', handle: 'finance', name: 'Finance team' }],
+      threads: {
+        'C1:1700000001.000100': [
+          { type: 'message', user: 'U2', text: 'Should we move to usage-based pricing? <@U4> needs to sign off.', ts: '1700000001.000100', thread_ts: '1700000001.000100' },
+          { type: 'message', user: 'U3', text: 'Yes. Looping in <!subteam^S1|@finance> and <@U5>.', ts: '1700000002.000100', thread_ts: '1700000001.000100' }
+        ]
+      }
+    }
+  });
+
+  await scenario.shortcut({ type: 'message', user: 'U3', text: 'Yes.', ts: '1700000002.000100', thread_ts: '1700000001.000100' });
+
+  const asking = await scenario.session();
+  assert.deepEqual(asking.roster.map(entry => [entry.name, entry.role]), [
+    ['Jane Doe', 'owner'],
+    ['Priya Patel', 'approver'],
+    ['Sam Lee', 'consulted'],
+    ['@finance', 'informed']
+  ], 'bots are left out and the roles come from the model');
+  assert.equal(asking.roster[0].team, 'Growth');
+  assert.equal(asking.participants, 'Jane Doe (Head of Product, Growth) - decision owner; Priya Patel (CFO) - approver; Sam Lee - consulted; @finance (Finance team) - informed');
+
+  await scenario.message('1) Seat pricing caps growth. 2) Jane owns the migration. 3) No.');
+  const reviewing = await scenario.session();
+  assert.equal(reviewing.stage, 'reviewing');
+  assert.equal(reviewing.memo.involved.length, 4);
+
+  const memoMessage = scenario.client.callsTo('chat.postMessage').at(-1);
+  const involvedBlock = memoMessage.blocks.find(block => block.text && /Who was involved/.test(block.text.text));
+  assert.match(involvedBlock.text.text, /• \*Decision owner:\* Jane Doe \(Head of Product, Growth\)/);
+  assert.match(involvedBlock.text.text, /• \*Informed:\* @finance \(Finance team\)/);
+  assert.ok(memoMessage.blocks.some(block => (block.elements || []).some(element => element.action_id === 'review_edit_involved')));
+
+  const [entry] = await scenario.decisionLog.list({ teamId: 'T1', userId: USER_ID });
+  assert.match(entry.text, /Who was involved/);
+});
+
+test('a discussion that starts with a bot message is owned by the first person who wrote in it', () => {
+  const { people } = collectParticipants([
+    { type: 'message', bot_id: 'B1', text: 'Weekly pricing review: what should we change?', ts: '1700000001.000100' },
+    { type: 'message', user: 'U2', text: 'Should we move to usage-based pricing?', ts: '1700000002.000100' },
+    { type: 'message', user: 'U3', text: 'Yes, seat costs are losing us deals.', ts: '1700000003.000100' }
+  ], { authorId: 'U3' });
+
+  const owner = guessRoles(people).find(person => person.role === 'owner');
+  assert.equal(owner.id, 'U2', 'not the memo author, because someone started the discussion');
+});
+
+test('"stop" mid-flow ends the session and later messages are ignored', async () => {
+  scenario = createScenario();
+
+  await scenario.command();
+  await scenario.message(CONTEXT);
+  assert.equal((await scenario.session()).stage, 'asking_questions');
+
+  await scenario.message('stop');
+  assert.equal(await scenario.session(), null);
+  assert.match(scenario.dmMessages().at(-1), /I've stopped the Decision Memo process/);
+  assert.match(await scenario.metrics.render(), /decisionmemo_memos_stopped_total 1/);
+
+  const postedBefore = scenario.client.callsTo('chat.postMessage').length;
+  await scenario.message('1) Some late answers');
+  assert.equal(scenario.client.callsTo('chat.postMessage').length, postedBefore);
+});
+
+test('drafts are only visible to their author, and a stopped draft leaves the Decision Log', async () => {
+  scenario = createScenario();
+
+  await scenario.command();
+  await scenario.message(CONTEXT);
+  await scenario.message('1) Seat pricing caps growth. 2) Jane owns the migration. 3) No.');
+  const { logEntryId } = await scenario.session();
+
+  await scenario.command('list');
+  assert.match(scenario.responses.at(-1).text, /Moving Billing to Usage-Based Pricing _\(draft\)_/);
+  assert.equal((await scenario.decisionLog.list({ teamId: 'T1', userId: 'U9' })).length, 0);
+  assert.equal(await scenario.decisionLog.get(logEntryId, 'T1', 'U9'), null);
+  assert.equal((await scenario.decisionLog.search('pricing', { teamId: 'T1', userId: 'U9' })).length, 0);
+  // Without a team nothing is visible
+  assert.equal(await scenario.decisionLog.get(logEntryId, undefined, USER_ID), null);
+
+  await scenario.message('stop');
+  assert.equal(await scenario.decisionLog.get(logEntryId, 'T1', USER_ID), null);
+  await scenario.command('list');
+  assert.match(scenario.responses.at(-1).text, /The Decision Log is empty/);
+});
+
+test('an approved memo from a private channel can only be read by the people in that channel', async () => {
+  scenario = createScenario({
+    slack: {
+      channels: { C1: { name: 'pricing-private', is_private: true, members: [USER_ID, 'U2'] } },
+      threads: {
+        'C1:1700000001.000100': [
+          { type: 'message', user: 'U2', text: 'Should we move to usage-based pricing?', ts: '1700000001.000100', thread_ts: '1700000001.000100' },
+          { type: 'message', user: USER_ID, text: 'Yes, seat costs are losing us deals.', ts: '1700000002.000100', thread_ts: '1700000001.000100' }
+        ]
+      }
+    }
+  });
+
+  await scenario.shortcut({ type: 'message', user: USER_ID, text: 'Yes.', ts: '1700000002.000100', thread_ts: '1700000001.000100' });
+  await scenario.message('1) Seat pricing caps growth. 2) Jane owns the migration. 3) No.');
+  await scenario.action('review_approve_memo');
+
+  const [entry] = await scenario.decisionLog.list({ teamId: 'T1', userId: USER_ID });
+  assert.equal(entry.status, 'approved');
+  assert.deepEqual(entry.source, { channelIds: ['C1'], private: true });
+  assert.equal((await scenario.decisionLog.list({ teamId: 'T1', userId: 'U2' })).length, 1, 'channel members can read it');
+  assert.equal(await scenario.decisionLog.get(entry.id, 'T1', 'U9'), null, 'everyone else cannot');
+  assert.equal((await scenario.decisionLog.search('pricing', { teamId: 'T1', userId: 'U9' })).length, 0);
+});
+
+test('file upload without the files:read scope explains how to fix it', async () => {
+  scenario = createScenario({ slack: { errors: { 'files.info': 'missing_scope' } } });
+
+  await scenario.command();
+  await scenario.message({ text: '', files: [{ id: 'F1', name: 'meeting-notes.txt', filetype: 'text' }] });
+
+  assert.deepEqual(scenario.client.callsTo('files.info'), [{ file: 'F1' }]);
+  assert.match(scenario.dmMessages().at(-1), /reinstalled with the 'files:read' permission/);
+  // The session waits for the context to be pasted instead
+  assert.equal((await scenario.session()).stage, 'started');
+});
+
+test('uploaded files become the context', async () => {
+  scenario = createScenario({
+    slack: { files: { F1: { id: 'F1', name: 'meeting-notes.txt', url_private: 'https://files.slack.com/F1' } } },
+    downloadFile: async url => Buffer.from(url === 'https://files.slack.com/F1' ? CONTEXT : '')
+  });
+
+  await scenario.command();
+  await scenario.message({ text: '', files: [{ id: 'F1', name: 'meeting-notes.txt', filetype: 'text' }] });
+
+  const session = await scenario.session();
+  assert.equal(session.stage, 'asking_questions');
+  assert.equal(session.context, CONTEXT);
+  assert.match(scenario.dmMessages().at(-1), /Clarifying questions/);
+});
+
+test('files over the upload limit are never downloaded', async () => {
+  const downloaded = [];
+  scenario = createScenario({
+    slack: {
+      files: {
+        F1: { id: 'F1', name: 'meeting-notes.txt', url_private: 'https://files.slack.com/F1' },
+        F2: { id: 'F2', name: 'all-hands.vtt', url_private: 'https://files.slack.com/F2' }
+      }
+    },
+    downloadFile: async url => {
+      downloaded.push(url);
+      return Buffer.from(CONTEXT);
+    }
+  });
+
+  await scenario.command();
+  await scenario.message({ text: '', files: [{ id: 'F2', name: 'all-hands.vtt', filetype: 'vtt', size: 500 * 1024 * 1024 }] });
+  assert.deepEqual(downloaded, []);
+  assert.match(scenario.dmMessages().at(-1), /all-hands\.vtt is over the 20 MB upload limit/);
+  assert.equal((await scenario.session()).stage, 'started');
+
+  // Files within the limit in the same upload are still read
+  await scenario.message({
+    text: '',
+    files: [
+      { id: 'F1', name: 'meeting-notes.txt', filetype: 'text', size: 2048 },
+      { id: 'F2', name: 'all-hands.vtt', filetype: 'vtt', size: 500 * 1024 * 1024 }
+    ]
+  });
+  assert.deepEqual(downloaded, ['https://files.slack.com/F1']);
+  assert.equal((await scenario.session()).context, CONTEXT);
+  assert.ok(scenario.dmMessages().some(text => /Thanks for uploading the file[\s\S]*all-hands\.vtt is over the 20 MB upload limit/.test(text)));
+});
+
+test('starting a memo while one is open asks first, and "Resume" keeps the open one', async () => {
+  scenario = createScenario();
+
+  await scenario.command();
+  await scenario.message(CONTEXT);
+  const open = await scenario.session();
+  assert.equal(open.stage, 'asking_questions');
+
+  await scenario.command();
+  assert.match(scenario.dmMessages().at(-1), /You already have a Decision Memo in progress: Memo 1/);
+  assert.equal(await scenario.session(), open, 'the open memo is still the active one');
+  assert.deepEqual((await scenario.sessions()).map(session => session.stage), ['asking_questions', 'pending']);
+
+  await scenario.action('resume_open_session');
+  assert.deepEqual((await scenario.sessions()).map(session => session.name), ['Memo 1']);
+  assert.match(scenario.client.callsTo('chat.update').at(-1).text, /Carrying on with \*Memo 1\*/);
+
+  // Clicking again does nothing more than say the request has gone
+  await scenario.action('resume_open_session');
+  assert.match(scenario.client.callsTo('chat.update').at(-1).text, /This memo request has expired/);
+  assert.equal((await scenario.sessions()).length, 1);
+});
+
+test('"Replace it" discards the open memo and starts the new one', async () => {
+  scenario = createScenario();
+
+  await scenario.command();
+  await scenario.message(CONTEXT);
+  await scenario.command();
+  await scenario.action('replace_open_session');
+
+  const sessions = await scenario.sessions();
+  assert.equal(sessions.length, 1);
+  assert.equal(sessions[0].name, 'Memo 2');
+  assert.equal(sessions[0].stage, 'started');
+  assert.equal(sessions[0].parked, false);
+  assert.match(scenario.dmMessages().at(-1), /Please paste\* the relevant conversation/);
+  assert.match(await scenario.metrics.render(), /decisionmemo_memos_stopped_total 1/);
+});
+
+test('"Run both" keeps two named sessions that the user can switch between', async () => {
+  scenario = createScenario();
+
+  await scenario.command();
+  await scenario.message(CONTEXT);
+  await scenario.command();
+  await scenario.action('run_both_sessions');
+
+  let [first, second] = await scenario.sessions();
+  assert.equal(first.parked, true);
+  assert.equal(second.parked, false);
+  assert.equal((await scenario.session()).name, 'Memo 2');
+
+  // DMs go to the new memo, and the first one keeps its questions for later
+  await scenario.message(CONTEXT);
+  assert.equal(second.stage, 'asking_questions');
+  assert.equal(first.clarifyingAnswers, undefined);
+
+  await scenario.command('sessions');
+  assert.match(scenario.responses.at(-1).text, /You have 2 Decision Memos in progress/);
+
+  await scenario.action('switch_session');
+  assert.match(scenario.dmMessages().at(-1), /You're now working on \*Memo 1\*/);
+  [first, second] = await scenario.sessions();
+  assert.equal((await scenario.session()).name, 'Memo 1');
+  assert.equal(second.parked, true);
+
+  // Finishing with one memo picks the other one back up
+  await scenario.message('stop');
+  assert.match(scenario.dmMessages().at(-1), /Back to \*Memo 2\* \(waiting for your answers\)/);
+  assert.equal((await scenario.session()).name, 'Memo 2');
+});
+
+test('messages that arrive while the app is busy are queued instead of starting the work twice', async () => {
+  scenario = createScenario();
+
+  await scenario.command();
+
+  // The second message lands while the first is still being analyzed
+  await Promise.all([scenario.message(CONTEXT), scenario.message('Also: legal signed off on the new terms.')]);
+  assert.ok(scenario.dmMessages().includes("📥 Got it. I'm still working out my clarifying questions, so I'll add this to your answers."));
+  assert.equal(scenario.dmMessages().filter(text => /Clarifying questions/.test(text)).length, 1);
+
+  // Two quick replies only start one review, and the second is added to the answers
+  await Promise.all([scenario.message('1) Seat pricing caps growth. 2) Jane owns it. 3) No.'), scenario.message('Oh, and Sam approved.')]);
+  const session = await scenario.session();
+  assert.equal(session.stage, 'reviewing');
+  assert.match(session.clarificationRounds[0].reply, /^Also: legal signed off on the new terms\.\n\n1\) Seat pricing/);
+  assert.match(session.clarifyingAnswers.at(-1), /Sam approved/);
+  assert.ok(scenario.dmMessages().includes("📥 Got it. I'm still reading your answers, so I'll add this to them."));
+  assert.equal((await scenario.decisionLog.list({ teamId: 'T1', userId: USER_ID })).length, 1);
+});
+
+test('a double click on Approve approves the memo once, and the memo can no longer be edited', async () => {
+  scenario = createScenario();
+
+  await scenario.command();
+  await scenario.message(CONTEXT);
+  await scenario.message('1) Seat pricing caps growth. 2) Jane owns it. 3) No.');
+  await scenario.action('review_edit_memo');
+
+  await Promise.all([scenario.action('review_approve_memo'), scenario.action('review_approve_memo')]);
+  assert.equal(await scenario.session(), null);
+  assert.match(await scenario.metrics.render(), /decisionmemo_memos_completed_total 1/);
+  assert.equal(scenario.dmMessages().filter(text => /Thanks for using the Decision Memo tool/.test(text)).length, 1);
+  assert.ok(scenario.dmMessages().includes("Sorry, this memo is no longer open for review. 🔁 Start again anytime with the `/decisionmemo` command or via the message shortcut."));
+
+  // The edit modal opened before approving can't change the approved memo
+  const [entry] = await scenario.decisionLog.list({ teamId: 'T1', userId: USER_ID });
+  const values = {};
+  for (const block of scenario.client.callsTo('views.open').at(-1).view.blocks.filter(block => block.type === 'input')) {
+    values[block.block_id] = { value: block.element.initial_value || '' };
+  }
+  values.title = { value: 'Something else' };
+  await scenario.submit('edit_memo_modal', values);
+  assert.equal((await scenario.decisionLog.get(entry.id, 'T1', USER_ID)).title, entry.title);
+});
+
+test('a regenerated section is dropped if the memo was edited while it was being written', async () => {
+  scenario = createScenario();
+
+  await scenario.command();
+  await scenario.message(CONTEXT);
+  await scenario.message('1) Seat pricing caps growth. 2) Jane owns it. 3) No.');
+  await scenario.action('review_regenerate_section');
+  await scenario.action('review_edit_memo');
+
+  const values = {};
+  for (const block of scenario.client.callsTo('views.open').at(-1).view.blocks.filter(block => block.type === 'input')) {
+    values[block.block_id] = { value: block.element.initial_value || '' };
+  }
+  values.choice = { value: 'Move self-serve to usage-based pricing, edited by hand.' };
+
+  // The edit is saved while the section is still being rewritten from the version before it
+  const regenerating = scenario.submit('regenerate_section_modal', { section: { selected_option: { value: 'choice' } }, guidance: { value: '' } });
+  await scenario.submit('edit_memo_modal', values);
+  await regenerating;
+
+  const session = await scenario.session();
+  assert.equal(session.memo.choice, 'Move self-serve to usage-based pricing, edited by hand.');
+  assert.deepEqual(session.memoVersions.map(version => version.change), ['generated', 'edited']);
+  assert.match(scenario.dmMessages().at(-1), /The memo changed while I was working on it/);
+  assert.ok(scenario.client.callsTo('chat.update').at(-1).blocks.some(block => block.type === 'actions'), 'the review buttons are back');
+});
+
+test('messages sent while the memo is being written are held until the draft arrives', async () => {
+  scenario = createScenario();
+
+  await scenario.command();
+  await scenario.message(CONTEXT);
+  await Promise.all([scenario.message('skip'), scenario.message('Oh, and Sam approved.')]);
+
+  const session = await scenario.session();
+  assert.equal(session.stage, 'reviewing');
+  assert.equal((await scenario.decisionLog.list({ teamId: 'T1', userId: USER_ID })).length, 1);
+  assert.ok(scenario.dmMessages().some(text => /I'm still writing your Decision Memo/.test(text)));
+  assert.match(scenario.dmMessages().at(-1), /You sent a message while I was writing this draft/);
+});
+
+test('with a single round the reply is still matched to its questions, without follow-ups', async () => {
+  scenario = createScenario();
+  await scenario.settings.setTeam('T1', { maxClarifyingRounds: 1 });
+
+  await scenario.command();
+  await scenario.message(CONTEXT);
+  await scenario.message('Only the first one matters: seat pricing caps growth.');
+
+  const session = await scenario.session();
+  assert.equal(session.stage, 'reviewing');
+  assert.equal(session.clarificationRounds.length, 1);
+  assert.deepEqual(session.clarificationRounds[0].answers.slice(1), [null, null]);
+  assert.deepEqual(session.clarifyingAnswers, ['Seat pricing caps growth for accounts that automate instead of hiring.', '', '']);
+  assert.ok(!scenario.dmMessages().some(text => /Follow-up questions/.test(text)));
+});
+
+test('a partial reply gets targeted follow-up questions before the memo is written', async () => {
+  scenario = createScenario();
+
+  await scenario.command();
+  await scenario.message(CONTEXT);
+  await scenario.message('Only the first one matters: seat pricing caps growth.');
+
+  const following = await scenario.session();
+  assert.equal(following.stage, 'asking_questions');
+  assert.equal(following.clarificationRounds.length, 1);
+  assert.deepEqual(following.clarificationRounds[0].answers.slice(1), [null, null]);
+  assert.match(scenario.dmMessages().at(-1), /Follow-up questions❓\* \(round 2 of 3\)/);
+  assert.match(scenario.dmMessages().at(-1), /still a little thin:\n• _What are the risks of making this decision\?_\n• _What other choices did you consider\?_/);
+  assert.match(scenario.dmMessages().at(-1), /1\) Who owns the migration of existing customers/);
+
+  await scenario.message('Jane owns it. The risk is churn among small accounts.');
+  const reviewing = await scenario.session();
+  assert.equal(reviewing.stage, 'reviewing');
+  assert.equal(reviewing.clarifyingQuestions.length, 4);
+  assert.equal(reviewing.clarifyingAnswers.length, 4);
+  assert.equal(reviewing.clarifyingAnswers.at(-1), 'Jane owns it. The risk is churn among small accounts.');
+});
+
+test('"skip" goes straight to the memo with the answers so far', async () => {
+  scenario = createScenario();
+
+  await scenario.command();
+  await scenario.message(CONTEXT);
+  await scenario.message('Only the first one matters: seat pricing caps growth.');
+  await scenario.message('skip');
+
+  const reviewing = await scenario.session();
+  assert.equal(reviewing.stage, 'reviewing');
+  assert.deepEqual(reviewing.clarifyingAnswers.slice(1), ['', '', '']);
+  assert.ok(scenario.dmMessages().some(text => /skipping the rest of the questions/.test(text)));
+});
+
+test('exports create pages in Notion and Confluence, in batches Notion accepts, and are saved in the Decision Log', async () => {
+  const mock = createMockExportApp();
+  const server = await new Promise(resolve => {
+    const listening = mock.app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const apiUrl = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    scenario = createScenario({
+      exporters: createExporters(loadExportConfig({
+        NOTION_API_URL: apiUrl,
+        NOTION_TOKEN: 'mock',
+        NOTION_DATABASE_ID: 'mock-database',
+        CONFLUENCE_BASE_URL: apiUrl,
+        CONFLUENCE_SPACE_KEY: 'MOCK'
+      }))
+    });
+
+    await scenario.command();
+    await scenario.message(CONTEXT);
+    await scenario.message('1) Seat pricing caps growth. 2) Jane owns the migration. 3) No.');
+
+    // More risks than Notion takes in one request
+    const reviewing = await scenario.session();
+    reviewing.memo.risks = Array.from({ length: 150 }, (_, index) => `Risk ${index + 1}`);
+    await scenario.deps.saveSession(reviewing);
+    await scenario.action('review_approve_memo');
+
+    await scenario.action('export_memo_notion');
+    await scenario.action('export_memo_confluence');
+
+    const [notionPage, confluencePage] = mock.pages;
+    assert.equal(notionPage.target, 'notion');
+    assert.equal(notionPage.body.parent.database_id, 'mock-database');
+    assert.equal(notionPage.body.properties.Name.title[0].text.content, 'Moving Billing to Usage-Based Pricing');
+    assert.equal(notionPage.body.children.length, 100);
+    const notionBlocks = [...notionPage.body.children, ...notionPage.appended];
+    const risks = notionBlocks.filter(block => block.type === 'bulleted_list_item' && /^Risk \d+$/.test(block.bulleted_list_item.rich_text[0].text.content));
+    assert.deepEqual(risks.map(block => block.bulleted_list_item.rich_text[0].text.content), reviewing.memo.risks, 'every risk, in order');
+
+    assert.equal(confluencePage.target, 'confluence');
+    assert.equal(confluencePage.body.space.key, 'MOCK');
+    assert.match(confluencePage.body.title, /^Moving Billing to Usage-Based Pricing \(Decision #\d+\)$/);
+    assert.match(confluencePage.body.body.storage.value, /<li>Risk 150<\/li>/);
+
+    const entry = await scenario.decisionLog.get(reviewing.logEntryId, 'T1', USER_ID);
+    assert.deepEqual(entry.exports.map(({ target, id, url }) => ({ target, id, url })), [
+      { target: 'notion', id: notionPage.id, url: `${apiUrl}/notion/${notionPage.id}` },
+      { target: 'confluence', id: confluencePage.id, url: `${apiUrl}/wiki/spaces/MOCK/pages/${confluencePage.id}` }
+    ]);
+    assert.match(scenario.dmMessages().at(-1), /✅ Memo #\d+ is now in Confluence/);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+test('an approved memo gets a review date, and on that date the reviewer is asked how it turned out', async () => {
+  scenario = createScenario();
+
+  await scenario.command();
+  await scenario.message(CONTEXT);
+  await scenario.message('1) Seat pricing caps growth. 2) Jane owns the migration. 3) No.');
+  const { logEntryId } = await scenario.session();
+
+  // Approving the memo offers to schedule a review
+  await scenario.action('review_approve_memo');
+  assert.equal((await scenario.decisionLog.get(logEntryId, 'T1')).status, 'approved');
+  const prompt = scenario.client.callsTo('chat.postMessage').find(args => args.text === 'When should we look back on this decision?');
+  assert.equal(prompt.channel, scenario.dmChannelId);
+
+  await scenario.action('schedule_memo_review');
+  const modal = scenario.client.callsTo('views.open').at(-1).view;
+  assert.equal(modal.blocks.find(block => block.block_id === 'date').element.initial_date, addDays(new Date(), 90));
+  assert.equal(modal.blocks.find(block => block.block_id === 'reviewer').element.initial_user, USER_ID);
+
+  // The date has to be in the future, which is checked without calling Slack before the submission is acknowledged
+  const lookups = scenario.client.callsTo('users.info').length;
+  const rejected = await scenario.submit('schedule_review_modal', { date: { selected_date: '2020-01-01' }, reviewer: { selected_user: 'U2' } });
+  assert.deepEqual(rejected.errors, { date: 'Please pick a date after today.' });
+  assert.equal(scenario.client.callsTo('users.info').length, lookups);
+
+  await scenario.submit('schedule_review_modal', { date: { selected_date: '2099-03-02' }, reviewer: { selected_user: 'U2' } });
+  const scheduled = await scenario.decisionLog.get(logEntryId, 'T1');
+  assert.equal(scheduled.review.date, '2099-03-02');
+  assert.equal(scheduled.review.reviewerId, 'U2');
+  assert.equal(scheduled.review.status, 'scheduled');
+  assert.equal((await scenario.scheduleStore.get(scheduled.review.jobId)).runAt, '2099-03-02T09:00:00.000Z');
+  assert.match(scenario.dmMessages().at(-1), /On \*2099-03-02\* I'll ask <@U2> how \*Moving Billing to Usage-Based Pricing\* turned out/);
+
+  await scenario.command('due');
+  assert.match(scenario.responses.at(-1).text, new RegExp(`\\*📅 Upcoming\\*\\n• 2099-03-02 · \\*#${logEntryId}\\* Moving Billing to Usage-Based Pricing - <@U2>`));
+
+  // Nothing is sent before the day, then the reviewer gets the risks and rewards the memo expected
+  assert.equal(await scenario.jobRunner.runDue(new Date('2099-03-01T12:00:00Z')), 0);
+  assert.equal(await scenario.jobRunner.runDue(new Date('2099-03-02T09:00:00Z')), 1);
+  const request = scenario.client.callsTo('chat.postMessage').at(-1);
+  assert.equal(request.channel, 'DU2');
+  const requestText = request.blocks.map(block => (block.text ? block.text.text : '')).join('\n');
+  assert.match(requestText, /\*What are the risks of making this decision\?\*\n• Revenue becomes less predictable/);
+  assert.match(requestText, /\*What is the compensation \/ reward for taking those risks\?\*\n• Pricing that grows with the value/);
+  assert.equal((await scenario.decisionLog.get(logEntryId, 'T1')).review.status, 'asked');
+
+  await scenario.command('due');
+  assert.match(scenario.responses.at(-1).text, /\*⏰ Overdue\*\n.*_\(waiting for an answer\)_/);
+
+  await scenario.action('record_memo_outcome');
+  await scenario.submit('record_outcome_modal', {
+    result: { selected_option: { value: 'mixed' } },
+    summary: { value: 'Enterprise deals closed faster, but two small accounts churned.' },
+    lessons: { value: '' }
+  });
+
+  const answered = await scenario.decisionLog.get(logEntryId, 'T1');
+  assert.equal(answered.review.status, 'answered');
+  assert.equal(answered.outcomes.length, 1);
+  assert.equal(answered.outcomes[0].result, 'mixed');
+  assert.equal(answered.outcomes[0].lessons, null);
+  assert.match(scenario.client.messagesIn('DU2').at(-1), /🙏 Thanks! I've added this outcome \(⚖️ Mixed\)/);
+
+  await scenario.command(`show ${logEntryId}`);
+  assert.match(scenario.responses.at(-1).text, /\*🔍 Outcomes\*\n⚖️ Mixed · \d{4}-\d{2}-\d{2} by <@U1>\nEnterprise deals closed faster/);
+  await scenario.command('due');
+  assert.match(scenario.responses.at(-1).text, /No decision reviews are scheduled/);
+});
+
+test('"Ask me later" moves the review two weeks out and skips the job it replaced', async () => {
+  scenario = createScenario();
+
+  const entry = await scenario.decisionLog.add({ title: 'Adopt the new CI runner', teamId: 'T1', authorId: USER_ID });
+  const job = await scenario.scheduleStore.add({ type: 'memo_review', teamId: 'T1', runAt: new Date(), payload: { logEntryId: entry.id } });
+  await scenario.decisionLog.update(entry.id, { review: { date: '2026-01-01', reviewerId: USER_ID, jobId: job.id, status: 'scheduled' } });
+
+  await scenario.jobRunner.runDue();
+  assert.equal((await scenario.decisionLog.get(entry.id, 'T1')).review.status, 'asked');
+
+  await scenario.action('snooze_memo_review');
+  const snoozed = await scenario.decisionLog.get(entry.id, 'T1');
+  assert.equal(snoozed.review.status, 'scheduled');
+  assert.equal(snoozed.review.date, addDays(new Date(), 14));
+  assert.match(scenario.client.callsTo('chat.update').at(-1).text, /I'll ask you about #1 Adopt the new CI runner again on/);
+
+  // A job for a review that was rescheduled in the meantime doesn't send anything
+  const stale = await scenario.scheduleStore.add({ type: 'memo_review', teamId: 'T1', runAt: new Date(), payload: { logEntryId: entry.id } });
+  const posted = scenario.client.callsTo('chat.postMessage').length;
+  assert.equal(await scenario.jobRunner.runDue(), 1);
+  assert.equal(scenario.client.callsTo('chat.postMessage').length, posted);
+  assert.equal((await scenario.scheduleStore.get(stale.id)).status, 'done');
+});
+
+test('a Decision Log file that is not valid JSON stops the app instead of being replaced', () => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'decisionmemo-test-'));
+  const filePath = path.join(dataDir, 'decision-log.json');
+  fs.writeFileSync(filePath, '{"nextId": 3, "memos": [');
+
+  try {
+    assert.throws(() => createDecisionLog({ filePath }), /decision-log\.json is not valid JSON/);
+    assert.equal(fs.readFileSync(filePath, 'utf8'), '{"nextId": 3, "memos": [', 'the file is left as it was');
+  } finally {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+});
+
+test('a response that is not JSON is reported without quoting it, and the parser detail only goes back to the model', async () => {
+  const prompts = [];
+  const generator = createMemoGenerator({
+    llm: {
+      complete: async ({ prompt }) => {
+        prompts.push(prompt);
+        return { text: 'Acme is quietly acquiring Globex next quarter' };
+      }
+    }
+  });
+
+  await assert.rejects(
+    generator.regenerateMemoSection(CONTEXT, '', { title: 'Pricing' }, 'choice', ''),
+    error => {
+      assert.equal(error.message, 'The regenerated section did not match the expected structure: response is not valid JSON');
+      return true;
+    }
+  );
+  assert.equal(prompts.length, 2);
+  assert.match(prompts[1], /- response is not valid JSON \(.*Acme/);
+});
+
+test('LLM calls are retried after rate limits and server errors, but not after a conflict', async () => {
+  const failWith = statuses => {
+    const remaining = [...statuses];
+    return async () => {
+      const status = remaining.shift();
+      if (!status) return 'ok';
+      throw Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, headers: {} } });
+    };
+  };
+  const options = { maxRetries: 3, sleep: async () => {} };
+
+  assert.equal(await withRetry(failWith([429, 503, 529]), options), 'ok');
+  await assert.rejects(withRetry(failWith([409]), options), error => error.attempts === 1 && error.retryable === false);
+});